@@ -1,20 +1,61 @@
 // background.js - Main orchestration with Gemma 3 integration for real web scraping
 
+import { LLMClient, LLM_PROVIDERS, DEFAULT_PROVIDER } from './lib/llm-providers.js';
+import { SchemaValidationError } from './lib/json-schema.js';
+import { ScrapeJob, StageTimeoutError } from './lib/jobs.js';
+import { PersistentCache } from './lib/result-cache.js';
+import { DomainRateLimiter, DEFAULT_DOMAIN_POLICY, hostKey } from './lib/rate-limiter.js';
+import { RobotsPolicy } from './lib/robots.js';
+import { SearchHistory, SNAPSHOT_ITEM_LIMIT } from './lib/history.js';
+import { WatchStore, WATCH_ALARM_PREFIX, WATCH_RULES, evaluateWatch, validateWatch } from './lib/watches.js';
+import { SiteAdapterRegistry, CUSTOM_ADAPTERS_KEY, extractPageContent } from './lib/site-adapters.js';
+import { DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT, pageUrl, takeNewItems, followNextPage, scrollForMore } from './lib/pagination.js';
+import { WAIT_TYPES, resolveWait } from './lib/wait-conditions.js';
+import { CONSTRAINTS_SCHEMA, parseConstraints, mergeConstraints, applyConstraints, describeConstraints, normalizeItem } from './lib/constraints.js';
+import { DEFAULT_COMPARE_CONCURRENCY, MAX_COMPARE_CONCURRENCY, mapWithConcurrency, groupOffers, flattenGroups } from './lib/compare.js';
+import { DEFAULT_ENRICH_COUNT, MAX_ENRICH_COUNT, extractDetailPage, mergeDetails } from './lib/enrichment.js';
+import { tableResult } from './lib/tables.js';
+import { schemaOrgItems } from './lib/schema-org.js';
+import { DEFAULT_CONTEXT_WINDOW, MIN_CONTEXT_WINDOW, MAX_CONTEXT_WINDOW, chunkBudget, chunkPage, htmlToText, mergeChunkItems } from './lib/chunking.js';
+
 // Gemma 3 API configuration (replace with actual endpoint)
-const GEMMA_API_ENDPOINT = 'http://localhost:11434/api/generate'; // Ollama local endpoint
-const GEMMA_MODEL = 'gemma2:3b';
-
-// URL Templates for fallback
-const URL_TEMPLATES = {
-  amazon: 'https://www.amazon.in/s?k={QUERY}',
-  flights: 'https://www.google.com/travel/flights?q={QUERY}',
-  tracking: 'https://www.bluedart.com/tracking',
-  google: 'https://www.google.com/search?q={QUERY}',
-  shopping: 'https://shopping.google.com/search?q={QUERY}',
-  flipkart: 'https://www.flipkart.com/search?q={QUERY}',
-  myntra: 'https://www.myntra.com/{QUERY}',
-  zomato: 'https://www.zomato.com/search?q={QUERY}',
-  swiggy: 'https://www.swiggy.com/search?q={QUERY}'
+const GEMMA_API_ENDPOINT = LLM_PROVIDERS[DEFAULT_PROVIDER].defaultEndpoint; // Ollama local endpoint
+const GEMMA_MODEL = 'gemma3n:latest';
+
+// Number of finished jobs kept in chrome.storage.local for diagnostics
+const JOB_HISTORY_LIMIT = 50;
+
+// Time (ms) given to a "next" button that updates the page without navigating
+const PAGE_SETTLE_MS = 3000;
+
+// Watch matches announced per run; further matches are only logged
+const WATCH_NOTIFICATION_LIMIT = 3;
+
+// Results from context-menu runs and area selections wait in chrome.storage.session
+// under this key until the popup is opened; the badge shows how many are waiting
+const PENDING_RESULTS_KEY = 'pendingResults';
+const PENDING_RESULT_LIMIT = 5;
+const PENDING_NOTIFICATION_PREFIX = 'pending:';
+
+// Context-menu failures are announced under their own prefix; clicking them opens nothing
+const ERROR_NOTIFICATION_PREFIX = 'error:';
+
+// Defaults for the settings the popup stores in chrome.storage.sync
+const DEFAULT_SETTINGS = {
+  llmProvider: DEFAULT_PROVIDER,
+  gemmaEndpoint: GEMMA_API_ENDPOINT,
+  gemmaModel: GEMMA_MODEL,
+  apiKey: '',
+  contextWindow: DEFAULT_CONTEXT_WINDOW,
+  maxResults: 20,
+  maxPages: DEFAULT_MAX_PAGES,
+  compareConcurrency: DEFAULT_COMPARE_CONCURRENCY,
+  enrichCount: DEFAULT_ENRICH_COUNT,
+  enableCache: true,
+  domainConcurrency: DEFAULT_DOMAIN_POLICY.concurrency,
+  domainDelayMs: DEFAULT_DOMAIN_POLICY.delayMs,
+  domainPolicies: {},
+  respectRobotsTxt: false
 };
 
 // Gemma 3 Prompts
@@ -23,31 +64,40 @@ You are a query analyzer for a web scraping extension. Your job is to determine
 
 CRITICAL RULE: You only help determine WHERE to scrape real data. You NEVER generate or make up any product prices, flight times, or other information.
 
+Supported websites:
+{WEBSITES}
+
 Given a user query, analyze it and respond with ONLY a JSON object in this exact format:
 {
-  "website": "amazon|flights|tracking|google|shopping|flipkart|myntra|zomato|swiggy",
+  "website": "{WEBSITE_IDS}",
   "url": "complete_url_to_scrape",
-  "scraping_strategy": "product_list|flight_search|tracking_info|general_search|restaurant_search",
+  "scraping_strategy": "{STRATEGIES}",
   "selectors": {
     "primary": "css_selector_for_main_content",
     "secondary": "css_selector_for_additional_data"
+  },
+  "constraints": {
+    "max_price": number_or_null,
+    "min_price": number_or_null,
+    "min_rating": number_or_null,
+    "brand": "brand_or_null",
+    "currency": "ISO_code_or_null"
   }
 }
 
+Only fill "constraints" with limits the user actually stated (e.g. "under 80000" gives max_price 80000) and keep them out of the URL's search terms.
+
 Examples:
-- "laptop under 50000" → amazon search
-- "flights to Mumbai" → flights search
-- "track package ABC123" → tracking page
-- "restaurants near me" → zomato/swiggy search
+{EXAMPLES}
 
 User Query: {QUERY}
 `;
 
 const DATA_EXTRACTOR_PROMPT = `
-You are a data extraction specialist. Given HTML content from a webpage, extract ONLY the real, actual data present in the HTML.
+You are a data extraction specialist. Given the text of a webpage as Markdown, extract ONLY the real, actual data present in the text.
 
 CRITICAL RULES:
-1. ONLY extract data that is actually present in the HTML
+1. ONLY extract data that is actually present in the text
 2. NEVER make up prices, ratings, or any information
 3. If data is not found, mark it as "not_found"
 4. Preserve original formatting and text
@@ -56,7 +106,7 @@ Extract data and respond with ONLY a JSON object:
 {
   "extracted_data": [
     {
-      "title": "actual_title_from_html",
+      "title": "actual_title_from_text",
       "price": "actual_price_or_not_found",
       "rating": "actual_rating_or_not_found",
       "additional_info": "any_other_relevant_data"
@@ -66,22 +116,187 @@ Extract data and respond with ONLY a JSON object:
   "source_url": "url_scraped"
 }
 
-HTML Content: {HTML_CONTENT}
+Page Content (part {PART} of {PARTS}):
+{PAGE_CONTENT}
 `;
 
+// Tokens reserved for Gemma's answer in each extraction request
+const EXTRACTION_OUTPUT_TOKENS = 1000;
+
+// JSON schema every Gemma extraction response is validated against (the analysis
+// schema is generated from the site adapters)
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['extracted_data'],
+  properties: {
+    extracted_data: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          price: { type: ['string', 'number'] },
+          rating: { type: ['string', 'number'] },
+          additional_info: { type: 'string' }
+        }
+      }
+    },
+    total_results: { type: 'integer', minimum: 0 },
+    source_url: { type: 'string' }
+  }
+};
+
+// Class for keeping the popup's saved settings available in the background
+class SettingsService {
+  constructor(defaults) {
+    this.defaults = defaults;
+    this.values = { ...defaults };
+    this.loading = null;
+    this.listening = false;
+  }
+
+  // Load settings once; later changes arrive through chrome.storage.onChanged
+  async load() {
+    this.watch();
+
+    if (!this.loading) {
+      this.loading = chrome.storage.sync.get(this.defaults)
+        .then((stored) => {
+          this.values = this.normalize({ ...this.defaults, ...stored });
+          console.log('⚙️ Settings loaded:', this.values);
+          return this.values;
+        })
+        .catch((error) => {
+          console.warn('⚠️ Failed to load settings, using defaults:', error);
+          this.loading = null;
+          return this.values;
+        });
+    }
+
+    return this.loading;
+  }
+
+  // Keep cached values in sync with changes saved from the popup
+  watch() {
+    if (this.listening) return;
+    this.listening = true;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') return;
+
+      const updated = { ...this.values };
+      let changed = false;
+
+      Object.keys(this.defaults).forEach(key => {
+        if (key in changes) {
+          const { newValue } = changes[key];
+          updated[key] = newValue === undefined ? this.defaults[key] : newValue;
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        this.values = this.normalize(updated);
+        console.log('⚙️ Settings updated:', this.values);
+      }
+    });
+  }
+
+  // Guard against empty or malformed values coming from the settings form
+  normalize(values) {
+    const maxResults = parseInt(values.maxResults, 10);
+    const maxPages = parseInt(values.maxPages, 10);
+    const compareConcurrency = parseInt(values.compareConcurrency, 10);
+    const enrichCount = parseInt(values.enrichCount, 10);
+    const contextWindow = parseInt(values.contextWindow, 10);
+    const domainConcurrency = parseInt(values.domainConcurrency, 10);
+    const domainDelayMs = parseInt(values.domainDelayMs, 10);
+
+    const llmProvider = LLM_PROVIDERS[values.llmProvider] ? values.llmProvider : this.defaults.llmProvider;
+
+    return {
+      ...values,
+      llmProvider,
+      gemmaEndpoint: String(values.gemmaEndpoint || '').trim() || LLM_PROVIDERS[llmProvider].defaultEndpoint,
+      apiKey: String(values.apiKey || '').trim(),
+      gemmaModel: String(values.gemmaModel || '').trim() || this.defaults.gemmaModel,
+      contextWindow: contextWindow > 0
+        ? Math.min(Math.max(contextWindow, MIN_CONTEXT_WINDOW), MAX_CONTEXT_WINDOW)
+        : this.defaults.contextWindow,
+      maxResults: Number.isFinite(maxResults) && maxResults > 0 ? Math.min(maxResults, 50) : this.defaults.maxResults,
+      maxPages: Number.isFinite(maxPages) && maxPages > 0 ? Math.min(maxPages, MAX_PAGES_LIMIT) : this.defaults.maxPages,
+      compareConcurrency: compareConcurrency > 0 ? Math.min(compareConcurrency, MAX_COMPARE_CONCURRENCY) : this.defaults.compareConcurrency,
+      enrichCount: enrichCount >= 0 ? Math.min(enrichCount, MAX_ENRICH_COUNT) : this.defaults.enrichCount,
+      enableCache: values.enableCache !== false,
+      domainConcurrency: domainConcurrency > 0 ? domainConcurrency : this.defaults.domainConcurrency,
+      domainDelayMs: domainDelayMs >= 0 ? domainDelayMs : this.defaults.domainDelayMs,
+      domainPolicies: values.domainPolicies && typeof values.domainPolicies === 'object' ? values.domainPolicies : {},
+      respectRobotsTxt: Boolean(values.respectRobotsTxt)
+    };
+  }
+
+  // Get a snapshot of the current settings
+  async getAll() {
+    await this.load();
+    return { ...this.values };
+  }
+}
+
 // Class for managing scraping operations
 class WebScrapingOrchestrator {
   constructor() {
     this.activeRequests = new Map();
-    this.cache = new Map();
-    this.rateLimiter = new Map();
+    this.cache = new PersistentCache();
+    this.history = new SearchHistory();
+    this.watches = new WatchStore();
+    this.runningWatches = new Set();
+    this.rateLimiter = new DomainRateLimiter();
+    this.robots = new RobotsPolicy();
+    this.adapters = new SiteAdapterRegistry();
+    this.settings = new SettingsService(DEFAULT_SETTINGS);
   }
 
-  // Initialize the orchestrator
-  async initialize() {
+  // Initialize the orchestrator. Listeners are registered synchronously so they are
+  // in place every time the service worker wakes up, not only after install/startup.
+  initialize() {
     console.log('🚀 Web Scraping Orchestrator initialized');
     this.setupMessageListeners();
-    this.setupContextMenus();
+    this.setupContextMenuHandlers();
+    this.setupWatchHandlers();
+    this.settings.load();
+    this.adaptersReady = this.loadCustomAdapters();
+    this.watchCustomAdapters();
+    this.restoreWatchAlarms();
+  }
+
+  // Register the site adapters saved on the options page
+  async loadCustomAdapters() {
+    try {
+      const stored = await chrome.storage.local.get(CUSTOM_ADAPTERS_KEY);
+      this.applyCustomAdapters(stored[CUSTOM_ADAPTERS_KEY]);
+    } catch (error) {
+      console.warn('⚠️ Failed to load custom site adapters:', error);
+    }
+  }
+
+  // Re-register custom adapters whenever the options page saves them
+  watchCustomAdapters() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && CUSTOM_ADAPTERS_KEY in changes) {
+        this.applyCustomAdapters(changes[CUSTOM_ADAPTERS_KEY].newValue);
+      }
+    });
+  }
+
+  applyCustomAdapters(adapters) {
+    const list = Array.isArray(adapters) ? adapters : [];
+    const rejected = this.adapters.setCustomAdapters(list);
+
+    rejected.forEach(({ id, errors }) => {
+      console.warn(`⚠️ Skipping custom site adapter "${id}":`, errors.join('; '));
+    });
+    console.log(`🧩 ${list.length - rejected.length} custom site adapter(s) registered`);
   }
 
   // Setup message listeners for communication with popup/content scripts
@@ -90,48 +305,441 @@ class WebScrapingOrchestrator {
       this.handleMessage(request, sender, sendResponse);
       return true; // Keep message channel open for async response
     });
+
+    // Long-lived connections from the popup receive progress events while a query runs
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'scrapeProgress') {
+        port.onMessage.addListener((request) => this.handlePortMessage(port, request));
+      }
+    });
   }
 
-  // Setup context menus for right-click functionality
+  // Setup context menus for right-click functionality (menus persist across restarts)
   setupContextMenus() {
-    chrome.contextMenus.create({
-      id: 'scrapeSelection',
-      title: 'Smart Scrape: "%s"',
-      contexts: ['selection']
+    const menus = [
+      { id: 'scrapeSelection', title: 'Smart Scrape: "%s"', contexts: ['selection'] },
+      { id: 'comparePrice', title: 'Compare price for "%s"', contexts: ['selection'] },
+      { id: 'scrapeLinks', title: 'Scrape links in selection', contexts: ['selection'] },
+      { id: 'scrapeTable', title: 'Scrape this table', contexts: ['page', 'selection', 'link'] }
+    ];
+    chrome.contextMenus.removeAll(() => {
+      menus.forEach(menu => chrome.contextMenus.create(menu));
     });
+  }
 
+  // Handle context menu clicks, and open the popup from a "results ready" notification
+  setupContextMenuHandlers() {
     chrome.contextMenus.onClicked.addListener((info, tab) => {
-      if (info.menuItemId === 'scrapeSelection') {
-        this.processQuery(info.selectionText, tab);
+      this.runContextMenu(info, tab);
+    });
+
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      if (notificationId.startsWith(PENDING_NOTIFICATION_PREFIX)) {
+        this.openPendingNotification(notificationId);
+      } else if (notificationId.startsWith(ERROR_NOTIFICATION_PREFIX)) {
+        chrome.notifications.clear(notificationId);
+      }
+    });
+  }
+
+  // Run a context-menu entry and park its result for the popup. Failures are announced
+  // with a notification rather than lost.
+  async runContextMenu(info, tab) {
+    const text = (info.selectionText || '').trim();
+
+    try {
+      let query = null;
+      let result;
+      switch (info.menuItemId) {
+        case 'scrapeSelection':
+          query = text;
+          result = await this.processQuery(text, tab);
+          break;
+
+        case 'comparePrice':
+          query = text;
+          result = await this.compareQuery(text);
+          break;
+
+        case 'scrapeTable':
+          result = await this.scrapeContextTable(tab, info.frameId);
+          break;
+
+        case 'scrapeLinks':
+          result = await this.scrapeSelectionLinks(tab, info.frameId);
+          break;
+
+        default:
+          return;
+      }
+
+      await this.parkResult(query, result);
+      await this.notifyPendingResult(query, result);
+    } catch (error) {
+      console.error('❌ Context menu scrape failed:', error);
+      await this.notify(`${ERROR_NOTIFICATION_PREFIX}${Date.now()}`, 'Smart Scrape failed', error.message);
+    }
+  }
+
+  // Ask the content script in the right-clicked frame for something
+  async askContextFrame(tab, frameId, action) {
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { action }, { frameId: frameId || 0 });
+    } catch (error) {
+      throw new Error('The page is not ready for scraping; reload it and try again');
+    }
+    if (!response?.success) throw new Error(response?.error || 'The page did not answer');
+    return response.data;
+  }
+
+  // "Scrape this table": one item per row of the right-clicked table or definition list
+  async scrapeContextTable(tab, frameId) {
+    const table = await this.askContextFrame(tab, frameId, 'getContextTable');
+    if (!table) throw new Error('Right-click inside a table to scrape it');
+
+    console.log(`📋 Table on ${hostKey(tab.url)}: ${table.rows.length} rows × ${table.columns.length} columns`);
+    return tableResult(table, { url: tab.url, pageTitle: tab.title, source: 'context_table' });
+  }
+
+  // "Scrape links in selection": one item per link inside the selected text
+  async scrapeSelectionLinks(tab, frameId) {
+    const links = await this.askContextFrame(tab, frameId, 'getSelectionLinks');
+    if (links.length === 0) throw new Error('The selection contains no links');
+
+    console.log(`🔗 Selection on ${hostKey(tab.url)}: ${links.length} links`);
+    return {
+      success: true,
+      source: 'context_links',
+      url: tab.url,
+      pageTitle: tab.title,
+      strategy: 'links',
+      extracted_data: links,
+      total_results: links.length,
+      timestamp: Date.now()
+    };
+  }
+
+  // Park a result for the popup (newest first) and show the number waiting on the badge
+  async parkResult(query, result) {
+    const { [PENDING_RESULTS_KEY]: pending = [] } = await chrome.storage.session.get(PENDING_RESULTS_KEY);
+    const next = [{ query, data: result }, ...pending].slice(0, PENDING_RESULT_LIMIT);
+
+    await chrome.storage.session.set({ [PENDING_RESULTS_KEY]: next });
+    await chrome.action.setBadgeBackgroundColor({ color: '#667eea' });
+    await chrome.action.setBadgeText({ text: String(next.length) });
+  }
+
+  // Hand the newest parked result to the popup ({ query, data, remaining }), or null.
+  // Older results stay parked and the badge counts them down.
+  async takePendingResult() {
+    const { [PENDING_RESULTS_KEY]: pending = [] } = await chrome.storage.session.get(PENDING_RESULTS_KEY);
+    if (pending.length === 0) return null;
+
+    const [latest, ...rest] = pending;
+    await chrome.storage.session.set({ [PENDING_RESULTS_KEY]: rest });
+    await chrome.action.setBadgeText({ text: rest.length > 0 ? String(rest.length) : '' });
+    return { ...latest, remaining: rest.length };
+  }
+
+  // Announce a parked context-menu result; clicking the notification opens the popup
+  async notifyPendingResult(query, result) {
+    const count = result.total_results || 0;
+    await this.notify(
+      `${PENDING_NOTIFICATION_PREFIX}${Date.now()}`,
+      `${count} ${count === 1 ? 'result' : 'results'} ready`,
+      `${query ? `"${query}"` : result.pageTitle || hostKey(result.url || '')}\nClick to view, or open the extension popup`
+    );
+  }
+
+  // Show a basic notification; failures are only logged
+  async notify(notificationId, title, message) {
+    try {
+      await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title,
+        message,
+        priority: 1
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to show notification:', error);
+    }
+  }
+
+  // Open the popup on the parked result. openPopup needs Chrome 127+; older versions
+  // keep the result waiting behind the badge.
+  async openPendingNotification(notificationId) {
+    chrome.notifications.clear(notificationId);
+    try {
+      await chrome.action.openPopup();
+    } catch (error) {
+      console.warn('⚠️ Could not open the popup:', error.message);
+    }
+  }
+
+  // Run watches when their alarms fire, and open the matched item when a watch
+  // notification is clicked
+  setupWatchHandlers() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name.startsWith(WATCH_ALARM_PREFIX)) {
+        this.runWatch(alarm.name.slice(WATCH_ALARM_PREFIX.length));
+      }
+    });
+
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      if (notificationId.startsWith(WATCH_ALARM_PREFIX)) {
+        this.openWatchNotification(notificationId);
       }
     });
   }
 
+  // Alarms can be dropped on browser restart or extension update; recreate missing ones
+  async restoreWatchAlarms() {
+    try {
+      const watches = await this.watches.list();
+      for (const watch of watches.filter(w => w.enabled)) {
+        if (!(await chrome.alarms.get(`${WATCH_ALARM_PREFIX}${watch.id}`))) {
+          await this.scheduleWatch(watch);
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to restore watch alarms:', error);
+    }
+  }
+
+  // Validate and store a watch from the popup, then (re)schedule its alarm
+  async saveWatch(input) {
+    const watch = { ...input, intervalMinutes: Number(input.intervalMinutes) };
+    const errors = validateWatch(watch);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; ') };
+    }
+
+    const stored = await this.watches.save(watch);
+    await this.scheduleWatch(stored);
+    console.log(`⏰ Watch "${stored.name}" every ${stored.intervalMinutes} min${stored.enabled ? '' : ' (paused)'}`);
+    return { success: true, data: stored };
+  }
+
+  async scheduleWatch(watch) {
+    const alarmName = `${WATCH_ALARM_PREFIX}${watch.id}`;
+    await chrome.alarms.clear(alarmName);
+    if (watch.enabled) {
+      await chrome.alarms.create(alarmName, {
+        delayInMinutes: watch.intervalMinutes,
+        periodInMinutes: watch.intervalMinutes
+      });
+    }
+  }
+
+  // Target for a URL + selector watch, in the shape analyzeQueryWithGemma returns
+  watchAnalysis(watch) {
+    const adapter = this.adapters.findByUrl(watch.url);
+    return {
+      website: adapter?.id || hostKey(watch.url),
+      url: watch.url,
+      scraping_strategy: adapter?.strategy || 'product_list',
+      selectors: watch.selectors,
+      fields: watch.fields || {}
+    };
+  }
+
+  // Run a watch once: scrape, store the run, and notify about matches that were not
+  // already announced by the previous run. Resolves to the stored run.
+  async runWatch(id) {
+    const watch = await this.watches.get(id);
+    if (!watch) {
+      await chrome.alarms.clear(`${WATCH_ALARM_PREFIX}${id}`);
+      return null;
+    }
+    if (this.runningWatches.has(id)) {
+      console.log(`⏰ Watch "${watch.name}" is still running, skipping`);
+      return null;
+    }
+
+    this.runningWatches.add(id);
+    const previous = (await this.watches.getRuns(id)).find(run => run.status === 'completed');
+    const run = { timestamp: Date.now(), status: 'completed', error: null, total_results: 0, items: [], matchKeys: [] };
+
+    try {
+      console.log(`⏰ Running watch "${watch.name}"`);
+      const result = await this.processQuery(watch.type === 'url' ? watch.url : watch.query, null, {
+        bypassCache: true,
+        recordHistory: false,
+        analysis: watch.type === 'url' ? this.watchAnalysis(watch) : undefined
+      });
+
+      const items = result.extracted_data || [];
+      const matches = evaluateWatch(watch, items, previous ? previous.items : null);
+      run.total_results = result.total_results ?? items.length;
+      run.items = items.slice(0, SNAPSHOT_ITEM_LIMIT);
+      run.matchKeys = matches.map(match => match.key);
+
+      const announced = new Set(previous?.matchKeys || []);
+      await this.notifyWatchMatches(watch, matches.filter(match => !announced.has(match.key)), result.url);
+    } catch (error) {
+      console.warn(`⚠️ Watch "${watch.name}" failed:`, error);
+      run.status = error.outcome || 'failed';
+      run.error = error.message;
+    } finally {
+      this.runningWatches.delete(id);
+    }
+
+    await this.watches.addRun(id, run);
+    return run;
+  }
+
+  // Raise a notification per new match; clicking it opens the item (or the results page)
+  async notifyWatchMatches(watch, matches, sourceUrl) {
+    if (matches.length === 0) return;
+
+    const shown = matches.slice(0, WATCH_NOTIFICATION_LIMIT);
+    if (matches.length > shown.length) {
+      console.log(`🔔 Watch "${watch.name}": ${matches.length - shown.length} more match(es) not announced`);
+    }
+
+    const { watchNotificationLinks = {} } = await chrome.storage.session.get('watchNotificationLinks');
+
+    for (const [index, match] of shown.entries()) {
+      const notificationId = `${WATCH_ALARM_PREFIX}${watch.id}:${Date.now()}:${index}`;
+      watchNotificationLinks[notificationId] = match.item.link || sourceUrl || watch.url || '';
+
+      try {
+        await chrome.notifications.create(notificationId, {
+          type: 'basic',
+          iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+          title: `${watch.name}: ${WATCH_RULES[match.rule.type].label.toLowerCase()}`,
+          message: `${match.item.title || 'Untitled item'}\n${match.description}`,
+          contextMessage: hostKey(watchNotificationLinks[notificationId]),
+          priority: 1
+        });
+      } catch (error) {
+        console.warn('⚠️ Failed to show watch notification:', error);
+      }
+    }
+
+    await chrome.storage.session.set({ watchNotificationLinks });
+  }
+
+  async openWatchNotification(notificationId) {
+    const { watchNotificationLinks = {} } = await chrome.storage.session.get('watchNotificationLinks');
+    const link = watchNotificationLinks[notificationId];
+
+    if (/^https?:\/\//.test(link || '')) {
+      await chrome.tabs.create({ url: link });
+    }
+
+    delete watchNotificationLinks[notificationId];
+    await chrome.storage.session.set({ watchNotificationLinks });
+    chrome.notifications.clear(notificationId);
+  }
+
   // Main message handler
   async handleMessage(request, sender, sendResponse) {
     try {
       switch (request.action) {
-        case 'scrapeQuery':
+        case 'scrapeQuery': {
           const result = await this.processQuery(request.query, sender.tab);
           sendResponse({ success: true, data: result });
           break;
+        }
 
         case 'getStatus':
           sendResponse({ 
             success: true, 
             status: {
               activeRequests: this.activeRequests.size,
-              cacheSize: this.cache.size,
+              hostQueues: this.rateLimiter.getQueueStatus(),
+              cacheSize: await this.cache.size(),
               gemmaConnected: await this.testGemmaConnection()
             }
           });
           break;
 
         case 'clearCache':
-          this.cache.clear();
+          await this.cache.clear();
           sendResponse({ success: true, message: 'Cache cleared' });
           break;
 
+        case 'cancelQuery': {
+          const cancelled = await this.cancelJob(request.jobId);
+          sendResponse(cancelled
+            ? { success: true, message: 'Query cancelled' }
+            : { success: false, error: 'No running query with that id' });
+          break;
+        }
+
+        case 'getHistory':
+          sendResponse({ success: true, data: await this.history.list(request.filters) });
+          break;
+
+        case 'getHistoryEntry': {
+          const entry = await this.history.get(request.id);
+          sendResponse(entry
+            ? { success: true, data: { entry, previous: await this.history.previous(entry) } }
+            : { success: false, error: 'History entry not found' });
+          break;
+        }
+
+        case 'deleteHistoryEntry':
+          await this.history.delete(request.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'clearHistory':
+          await this.history.clear();
+          sendResponse({ success: true, message: 'History cleared' });
+          break;
+
+        case 'elementsSelected':
+          sendResponse(await this.handleSelection(request, sender));
+          break;
+
+        case 'getPendingResult':
+          sendResponse({ success: true, data: await this.takePendingResult() });
+          break;
+
+        case 'saveSelectionRecipe':
+          sendResponse(await this.saveSelectionRecipe(request.name, request.result));
+          break;
+
+        case 'getWatches':
+          sendResponse({ success: true, data: await this.watches.list() });
+          break;
+
+        case 'saveWatch':
+          sendResponse(await this.saveWatch(request.watch));
+          break;
+
+        case 'setWatchEnabled': {
+          const watch = await this.watches.get(request.id);
+          sendResponse(watch
+            ? await this.saveWatch({ ...watch, enabled: Boolean(request.enabled) })
+            : { success: false, error: 'Watch not found' });
+          break;
+        }
+
+        case 'deleteWatch':
+          await this.watches.delete(request.id);
+          await chrome.alarms.clear(`${WATCH_ALARM_PREFIX}${request.id}`);
+          sendResponse({ success: true });
+          break;
+
+        case 'runWatchNow':
+          sendResponse({ success: true, data: await this.runWatch(request.id) });
+          break;
+
+        case 'getWatchRuns':
+          sendResponse({ success: true, data: await this.watches.getRuns(request.id) });
+          break;
+
+        case 'getJobHistory': {
+          const { jobOutcomes = [] } = await chrome.storage.local.get('jobOutcomes');
+          sendResponse({ success: true, data: jobOutcomes });
+          break;
+        }
+
         default:
           sendResponse({ success: false, error: 'Unknown action' });
       }
@@ -141,338 +749,971 @@ class WebScrapingOrchestrator {
     }
   }
 
+  // Run a query for a popup port, streaming progress events until the result is ready
+  async handlePortMessage(port, request) {
+    let connected = true;
+    port.onDisconnect.addListener(() => {
+      connected = false;
+    });
+
+    const post = (message) => {
+      if (connected) port.postMessage(message);
+    };
+
+    const options = {
+      bypassCache: request.bypassCache,
+      onProgress: (event) => post({ type: 'progress', event })
+    };
+    const runners = {
+      scrapeQuery: () => this.processQuery(request.query, port.sender?.tab, options),
+      compareQuery: () => this.compareQuery(request.query, options),
+      scrapePage: () => this.scrapeCurrentPage(request.tabId, { ...options, useLLM: request.useLLM })
+    };
+
+    if (!runners[request.action]) {
+      post({ type: 'error', error: 'Unknown action' });
+      return;
+    }
+
+    try {
+      const result = await runners[request.action]();
+      post({ type: 'result', data: result });
+    } catch (error) {
+      post({ type: 'error', error: error.message, outcome: error.outcome || 'failed' });
+    }
+  }
+
+  // Extract the items under an area dragged with the selection tool. The popup is closed
+  // while the user drags, so the result is parked like a context-menu result.
+  async handleSelection(request, sender) {
+    const tab = sender.tab;
+    const inferred = request.inferred;
+    if (!tab?.id) {
+      return { success: false, error: 'Selection did not come from a tab' };
+    }
+    if (!inferred?.selectors?.primary) {
+      return { success: false, error: 'No elements found in the selected area' };
+    }
+
+    const settings = await this.settings.getAll();
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [sender.frameId || 0] },
+      func: extractPageContent,
+      args: [{ selectors: inferred.selectors, fields: inferred.fields }, settings.maxResults]
+    });
+    const page = injection.result;
+
+    const selectionResult = {
+      success: true,
+      source: 'selection',
+      url: tab.url,
+      pageTitle: tab.title,
+      strategy: inferred.fields.price ? 'product_list' : 'general_search',
+      selectors: inferred.selectors,
+      fields: inferred.fields,
+      extracted_data: page.data,
+      total_results: page.data.length,
+      matched: page.matched,
+      timestamp: Date.now()
+    };
+
+    await this.parkResult(null, selectionResult);
+
+    console.log(`📐 Selection on ${hostKey(tab.url)}: ${page.matched} items match "${inferred.selectors.primary}"`);
+    return { success: true, data: { total_results: page.data.length, matched: page.matched } };
+  }
+
+  // Save a selection's selectors as a custom site adapter for the page it came from
+  async saveSelectionRecipe(name, result) {
+    if (!result?.selectors?.primary || !result.url) {
+      return { success: false, error: 'Nothing to save' };
+    }
+
+    const label = String(name || '').trim() || `${hostKey(result.url)} list`;
+    const baseId = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'recipe';
+    const stored = (await chrome.storage.local.get(CUSTOM_ADAPTERS_KEY))[CUSTOM_ADAPTERS_KEY] || [];
+
+    let id = baseId;
+    for (let n = 2; this.adapters.get(id) || stored.some(adapter => adapter.id === id); n++) {
+      id = `${baseId}-${n}`;
+    }
+
+    const adapter = {
+      id,
+      label,
+      url: result.url,
+      queryFormat: 'encode',
+      hosts: [hostKey(result.url)],
+      keywords: [],
+      strategy: result.strategy,
+      selectors: result.selectors,
+      fields: result.fields || {},
+      examples: []
+    };
+
+    await chrome.storage.local.set({ [CUSTOM_ADAPTERS_KEY]: [...stored, adapter] });
+    console.log(`💾 Saved selection recipe "${label}" as adapter "${id}"`);
+    return { success: true, data: adapter };
+  }
+
+  // Build an LLM client for the currently configured provider
+  async getLLMClient(settings) {
+    return LLMClient.fromSettings(settings || await this.settings.getAll());
+  }
+
   // Test Gemma 3 connection
   async testGemmaConnection() {
     try {
-      const response = await fetch(GEMMA_API_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: GEMMA_MODEL,
-          prompt: 'Test connection',
-          stream: false
-        })
-      });
-      return response.ok;
+      const client = await this.getLLMClient();
+      return await client.testConnection({ signal: AbortSignal.timeout(5000) });
     } catch (error) {
       console.warn('⚠️ Gemma connection test failed:', error);
       return false;
     }
   }
 
-  // Rate limiting check
-  checkRateLimit(key) {
-    const now = Date.now();
-    const limit = this.rateLimiter.get(key);
-    
-    if (limit && now - limit < 2000) { // 2 second cooldown
-      return false;
+  // Wait for the per-host limiter (and robots.txt, if enabled) before opening a URL.
+  // Resolves to the limiter's release function.
+  async acquireHostSlot(url, settings, job) {
+    this.rateLimiter.configure({
+      defaultPolicy: { concurrency: settings.domainConcurrency, delayMs: settings.domainDelayMs },
+      policies: settings.domainPolicies
+    });
+
+    if (settings.respectRobotsTxt) {
+      await job.runStage('robots', (signal) => this.robots.assertAllowed(url, signal));
     }
-    
-    this.rateLimiter.set(key, now);
-    return true;
+
+    const host = hostKey(url);
+    return job.runStage('queue', (signal) => this.rateLimiter.acquire(url, {
+      signal,
+      onQueued: (position) => job.report('queued', `Waiting for ${host} (position ${position} in queue)`, { host, position })
+    }));
   }
 
-  // Main query processing function
-  async processQuery(query, tab) {
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // Main query processing function. `options.onProgress` receives stage events
+  // ({ stage, message, detail, jobId, timestamp }) as the query moves through the pipeline;
+  // `options.bypassCache` skips the cache lookup (the fresh result is still stored).
+  // `options.analysis` supplies the target ({ url, selectors, ... }) and skips Gemma's
+  // query analysis; `options.recordHistory: false` keeps the run out of the History tab.
+  // Aborting `options.signal` cancels the job, as cancelQuery does.
+  async processQuery(query, tab, options = {}) {
+    const job = new ScrapeJob(query, { onProgress: options.onProgress });
+    this.activeRequests.set(job.id, job);
+    options.signal?.addEventListener('abort', () => this.cancelJob(job.id), { once: true });
+    job.report('started', 'Starting search...');
+    let failure = null;
     
     try {
-      // Check rate limiting
-      if (!this.checkRateLimit(query)) {
-        throw new Error('Rate limit exceeded. Please wait before making another request.');
-      }
+      const settings = await this.settings.getAll();
 
       // Check cache first
-      const cacheKey = `query_${query.toLowerCase().trim()}`;
-      if (this.cache.has(cacheKey)) {
+      const cacheKey = options.analysis
+        ? `url_${options.analysis.url}`
+        : `query_${query.toLowerCase().trim()}`;
+      const cached = settings.enableCache && !options.bypassCache
+        ? await this.cache.get(cacheKey)
+        : null;
+      if (cached) {
         console.log('📦 Returning cached result for:', query);
-        return this.cache.get(cacheKey);
+        job.report('cache_hit', 'Using cached results', cached.meta);
+        return { ...cached.value, cache: { hit: true, ...cached.meta } };
       }
 
-      this.activeRequests.set(requestId, { query, startTime: Date.now() });
-
       console.log(`🔍 Processing query: "${query}"`);
 
       // Step 1: Analyze query with Gemma 3
-      const analysisResult = await this.analyzeQueryWithGemma(query);
+      const analysisResult = options.analysis || await this.runAnalysis(query, settings, job);
+      job.report('url_chosen', `Target: ${analysisResult.website || 'web'}`, {
+        website: analysisResult.website,
+        url: analysisResult.url,
+        strategy: analysisResult.scraping_strategy
+      });
       
       // Step 2: Perform actual web scraping
-      const scrapingResult = await this.performScraping(analysisResult);
+      const scrapingResult = await this.performScraping(analysisResult, settings, job);
       
       // Step 3: Extract and structure data with Gemma 3
-      const extractedData = await this.extractDataWithGemma(scrapingResult);
+      const extractedData = this.applyQueryConstraints(
+        await this.extractDataWithGemma(scrapingResult, settings, job),
+        options.analysis ? null : mergeConstraints(parseConstraints(query), analysisResult.constraints)
+      );
+
+      // Step 4: Read the top items' own pages for specs, seller and reviews
+      if (settings.enrichCount > 0) {
+        await this.enrichResults(extractedData, analysisResult, settings, job);
+      }
+      extractedData.validation = this.collectValidation(analysisResult, extractedData);
 
       // Cache the result
-      this.cache.set(cacheKey, extractedData);
-      
-      // Clean up
-      this.activeRequests.delete(requestId);
+      if (settings.enableCache) {
+        await this.cache.set(cacheKey, extractedData, {
+          strategy: extractedData.strategy,
+          sourceUrl: extractedData.url
+        });
+      }
+
+      // Keep a snapshot for the History tab (cache hits return earlier and are not
+      // recorded, since they would repeat the snapshot they came from)
+      if (options.recordHistory !== false) {
+        await this.history.add(query, extractedData, { website: analysisResult.website });
+      }
 
       console.log('✅ Query processed successfully:', query);
+      job.report('done', `Found ${extractedData.total_results || 0} results`);
       return extractedData;
 
     } catch (error) {
       console.error(`❌ Error processing query "${query}":`, error);
-      this.activeRequests.delete(requestId);
+      failure = error;
       throw error;
+    } finally {
+      await this.finishJob(job, failure);
     }
   }
 
-  // Analyze query using Gemma 3
-  async analyzeQueryWithGemma(query) {
+  // Run one product query against every retailer adapter, a few hidden tabs at a time,
+  // and group the offers by product. Each site is an ordinary (cached, rate-limited)
+  // processQuery run; sites that fail are listed under `sites` with their error.
+  async compareQuery(query, options = {}) {
+    const job = new ScrapeJob(query, { onProgress: options.onProgress });
+    this.activeRequests.set(job.id, job);
+    let failure = null;
+
     try {
-      const prompt = QUERY_ANALYZER_PROMPT.replace('{QUERY}', query);
-      
-      const response = await fetch(GEMMA_API_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: GEMMA_MODEL,
-          prompt: prompt,
-          stream: false,
-          options: {
-            temperature: 0.1,
-            top_p: 0.9,
-            max_tokens: 500
-          }
-        })
+      await this.adaptersReady;
+      const settings = await this.settings.getAll();
+      const constraints = parseConstraints(query);
+      const adapters = this.adapters.compareTargets(constraints.searchText);
+      job.report('comparing', `Comparing prices on ${adapters.map(adapter => adapter.label).join(', ')}...`, {
+        sites: adapters.map(adapter => adapter.id),
+        concurrency: settings.compareConcurrency
+      });
+
+      const sites = await mapWithConcurrency(adapters, settings.compareConcurrency, async (adapter) => {
+        const site = { id: adapter.id, label: adapter.label };
+        try {
+          job.throwIfCancelled();
+          const result = await this.processQuery(query, null, {
+            analysis: this.adapters.toAnalysis(adapter, constraints.searchText),
+            bypassCache: options.bypassCache,
+            recordHistory: false,
+            signal: job.signal,
+            // Child events carry this job's id so the popup's Cancel stops every site
+            onProgress: (event) => job.report(event.stage, `${adapter.label}: ${event.message}`, {
+              ...event.detail,
+              site: adapter.id
+            })
+          });
+          const { items, removed } = applyConstraints(result.extracted_data || [], constraints);
+          job.report('site_compared', `${adapter.label}: ${items.length} offers`, { site: adapter.id, count: items.length });
+          return { ...site, url: result.url, items, removed, cache: result.cache };
+        } catch (error) {
+          if (job.cancelled) throw job.signal.reason;
+          console.warn(`⚠️ Compare: ${adapter.label} failed:`, error);
+          job.report('site_failed', `${adapter.label}: ${error.message}`, { site: adapter.id });
+          return { ...site, items: [], error: error.message };
+        }
       });
 
-      if (!response.ok) {
-        throw new Error(`Gemma API error: ${response.status}`);
+      if (sites.every(site => site.error)) {
+        throw new Error(`No site could be searched: ${sites.map(site => `${site.label} (${site.error})`).join('; ')}`);
       }
 
-      const data = await response.json();
-      const analysisText = data.response || data.text || '';
-      
-      // Parse JSON response from Gemma
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        return this.fallbackAnalysis(query);
+      const groups = groupOffers(sites.map(site => ({ site: site.id, label: site.label, items: site.items })));
+      const applied = describeConstraints(constraints);
+      const result = {
+        success: true,
+        source: 'compare',
+        strategy: 'price_comparison',
+        query,
+        timestamp: Date.now(),
+        sites: sites.map(({ items, ...site }) => ({ ...site, total_results: items.length })),
+        comparison: groups,
+        extracted_data: flattenGroups(groups),
+        total_results: groups.length
+      };
+      if (applied.length > 0) {
+        result.constraints = {
+          applied,
+          removed: sites.reduce((sum, site) => sum + (site.removed || 0), 0),
+          parsed: constraints
+        };
       }
 
-      const analysis = JSON.parse(jsonMatch[0]);
-      console.log('🧠 Gemma analysis:', analysis);
-      return analysis;
+      await this.history.add(query, result, { website: 'compare' });
+      job.report('done', `Found ${groups.length} products on ${sites.filter(site => !site.error).length} sites`);
+      return result;
 
     } catch (error) {
-      console.warn('⚠️ Gemma analysis failed, using fallback:', error);
-      return this.fallbackAnalysis(query);
+      console.error(`❌ Error comparing "${query}":`, error);
+      failure = error;
+      throw error;
+    } finally {
+      await this.finishJob(job, failure);
     }
   }
 
-  // Fallback analysis when Gemma is not available
-  fallbackAnalysis(query) {
-    const lowerQuery = query.toLowerCase();
-    
-    // Simple keyword matching for fallback
-    if (lowerQuery.includes('laptop') || lowerQuery.includes('phone') || lowerQuery.includes('product')) {
-      return {
-        website: 'amazon',
-        url: URL_TEMPLATES.amazon.replace('{QUERY}', encodeURIComponent(query)),
-        scraping_strategy: 'product_list',
-        selectors: {
-          primary: '[data-component-type="s-search-result"]',
-          secondary: '.s-price, .a-price-whole'
-        }
+  // Scrape the page already open in `tabId` instead of searching: the content script
+  // reads it with the matching site adapter's selectors, or with a detected list when
+  // no adapter matches (or its selectors find nothing). `options.useLLM` has Gemma
+  // extract the items from the page's text instead, keeping the selector items if it fails.
+  async scrapeCurrentPage(tabId, options = {}) {
+    const job = new ScrapeJob('Current page', { onProgress: options.onProgress });
+    this.activeRequests.set(job.id, job);
+    job.report('started', 'Reading the current page...');
+    let failure = null;
+
+    try {
+      await this.adaptersReady;
+      const settings = await this.settings.getAll();
+      const sendToPage = async (message) => {
+        const response = await job.runStage('extraction', () => chrome.tabs.sendMessage(tabId, message));
+        if (!response?.success) throw new Error(response?.error || 'The page did not answer; reload it and try again');
+        return response.data;
       };
-    }
-    
-    if (lowerQuery.includes('flight') || lowerQuery.includes('travel')) {
-      return {
-        website: 'flights',
-        url: URL_TEMPLATES.flights.replace('{QUERY}', encodeURIComponent(query)),
-        scraping_strategy: 'flight_search',
-        selectors: {
-          primary: '.gws-flights-results__result',
-          secondary: '.gws-flights-results__price'
+
+      const pageInfo = await sendToPage({ action: 'getPageInfo' });
+      job.query = pageInfo.title || pageInfo.url;
+      const adapter = this.adapters.findByUrl(pageInfo.url);
+      job.report('url_chosen', adapter ? `Using the ${adapter.label} adapter` : 'No adapter for this site', {
+        website: adapter?.id,
+        url: pageInfo.url,
+        strategy: adapter?.strategy
+      });
+
+      let page = adapter
+        ? await sendToPage({ action: 'extractPageData', selectors: adapter.selectors, fields: adapter.fields })
+        : { matched: 0, elements: [] };
+      let detected = null;
+      if (page.matched === 0) {
+        detected = await this.detectList(tabId, job);
+        if (detected) {
+          job.report('list_detected', `Detected a list of ${detected.itemCount} items`, {
+            selector: detected.selectors.primary,
+            itemCount: detected.itemCount
+          });
+          page = await sendToPage({ action: 'extractPageData', selectors: detected.selectors, fields: detected.fields });
         }
-      };
+      }
+
+      const items = page.elements.slice(0, settings.maxResults).map(element => this.pageElementToItem(element, pageInfo.url));
+      job.report('items_extracted', `Extracted ${items.length} items`, { count: items.length, items, url: pageInfo.url });
+
+      // Gemma reads the page text when asked to, or when no list was found at all
+      const text = options.useLLM || items.length === 0 ? await this.readPageText(tabId, job) : '';
+
+      const strategy = adapter?.strategy || 'current_page';
+      let extractedData = await this.extractDataWithGemma({
+        url: pageInfo.url,
+        strategy,
+        text,
+        data: options.useLLM ? [] : items,
+        pagesVisited: 1,
+        detected
+      }, settings, job);
+      // A failed Gemma call stays a `fallback` result with its error, unless the page
+      // selectors found items to stand in for Gemma's
+      if (extractedData.source === 'fallback' && items.length > 0) {
+        job.report('llm_failed', 'Gemma extraction failed, using the page selectors', { error: extractedData.error });
+        extractedData = { ...extractedData, success: true, source: 'current_page', extracted_data: items, total_results: items.length };
+        delete extractedData.error;
+      } else if (extractedData.source !== 'gemma_extraction' && extractedData.source !== 'fallback') {
+        extractedData.source = 'current_page';
+      }
+
+      extractedData = this.applyQueryConstraints(extractedData, null);
+      extractedData.page_title = pageInfo.title;
+      if (adapter) extractedData.website = adapter.id;
+
+      if (settings.enrichCount > 0) {
+        await this.enrichResults(extractedData, { details: adapter?.details }, settings, job);
+      }
+
+      job.report('done', `Found ${extractedData.total_results || 0} results`);
+      return extractedData;
+
+    } catch (error) {
+      console.error('❌ Error scraping the current page:', error);
+      failure = error;
+      throw error;
+    } finally {
+      await this.finishJob(job, failure);
     }
-    
-    if (lowerQuery.includes('track') || lowerQuery.includes('package')) {
-      return {
-        website: 'tracking',
-        url: URL_TEMPLATES.tracking,
-        scraping_strategy: 'tracking_info',
-        selectors: {
-          primary: '.tracking-info',
-          secondary: '.status'
+  }
+
+  // Result item from one element of the content script's extractPageData: the field
+  // selector values when there are any, else the element's own text and attributes.
+  // An item that is itself a link has its (possibly relative) href resolved against `pageUrl`.
+  pageElementToItem(element, pageUrl) {
+    const fields = element.fields || {};
+    const text = element.text.replace(/\s+/g, ' ').trim();
+    const href = element.attributes.href ? new URL(element.attributes.href, pageUrl).href : '';
+
+    return {
+      title: fields.title || element.attributes.title || text.substring(0, 100) || 'No title',
+      price: fields.price || element.attributes['data-price'] || 'Price not found',
+      link: fields.link || href,
+      description: (fields.description || text).substring(0, 200),
+      rating: fields.rating || element.attributes['data-rating'] || 'No rating'
+    };
+  }
+
+  // Normalize prices and ratings to numbers, then filter and sort the items by the
+  // query's constraints. The applied filters are listed under `constraints`.
+  applyQueryConstraints(result, constraints) {
+    const { items, removed, sort } = applyConstraints(result.extracted_data || [], constraints);
+    const applied = describeConstraints(constraints, sort);
+    if (applied.length === 0) {
+      return { ...result, extracted_data: items };
+    }
+
+    console.log(`🎚️ Applied ${applied.join(', ')}: kept ${items.length}, removed ${removed}`);
+    return {
+      ...result,
+      extracted_data: items,
+      total_results: items.length,
+      constraints: { applied, removed, parsed: constraints }
+    };
+  }
+
+  // Open the links of the first `settings.enrichCount` items one at a time, through the
+  // per-host limiter, and merge JSON-LD Product data and the adapter's detail selectors
+  // into each item. Items whose page fails keep their list fields. Updates `result`.
+  async enrichResults(result, analysisResult, settings, job) {
+    const items = result.extracted_data || [];
+    const targets = items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => /^https?:\/\//.test(item.link || ''))
+      .slice(0, settings.enrichCount);
+    let enriched = 0;
+
+    for (const [position, { item, index }] of targets.entries()) {
+      job.report('enriching', `Reading details ${position + 1} of ${targets.length}...`, { url: item.link });
+      let tab = null;
+      let release = null;
+
+      try {
+        release = await this.acquireHostSlot(item.link, settings, job);
+        tab = await chrome.tabs.create({ url: item.link, active: false });
+        job.trackTab(tab.id);
+
+        await job.runStage('tabLoad', (signal) => this.waitForTabLoad(tab.id, signal));
+        await this.waitUntilReady(tab.id, resolveWait(null), job);
+        const [{ result: detail }] = await job.runStage('extraction', () => chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: extractDetailPage,
+          args: [analysisResult.details || {}]
+        }));
+
+        if (Object.keys(detail.fields).length > 0) {
+          items[index] = normalizeItem(mergeDetails(item, detail.fields));
+          enriched++;
         }
-      };
+        job.note('enrichment', { url: item.link, sources: detail.sources, fields: Object.keys(detail.fields) });
+      } catch (error) {
+        if (job.cancelled) throw error;
+        console.warn(`⚠️ Could not enrich ${item.link}:`, error);
+        job.note('enrichment', { url: item.link, error: error.message });
+      } finally {
+        if (tab) await this.closeJobTab(job, tab.id);
+        if (release) release();
+      }
+    }
+
+    console.log(`🔬 Enriched ${enriched} of ${targets.length} items`);
+    job.report('enriched', `Added details to ${enriched} of ${targets.length} items`, { enriched, attempted: targets.length });
+    result.enrichment = { enriched, attempted: targets.length };
+  }
+
+  // Step 1 of processQuery: let Gemma pick the target site and URL. A cold or slow
+  // model server that misses the stage timeout gets the keyword analysis, as any other
+  // Gemma failure does; cancelling the job still ends it.
+  async runAnalysis(query, settings, job) {
+    job.report('analyzing', 'Analyzing your query...');
+    try {
+      return await job.runStage('analysis', (signal) => this.analyzeQueryWithGemma(query, settings, signal));
+    } catch (error) {
+      if (!(error instanceof StageTimeoutError)) throw error;
+      console.warn('⚠️ Gemma analysis timed out, using fallback:', error.message);
+      job.report('analyzing', 'Gemma did not answer in time, using keyword analysis');
+      await this.adaptersReady;
+      return this.fallbackAnalysis(parseConstraints(query).searchText);
+    }
+  }
+
+  // Cancel a running job: abort its fetches and close any tab it opened
+  async cancelJob(jobId) {
+    const job = this.activeRequests.get(jobId);
+    if (!job || !job.cancel()) {
+      return false;
     }
 
-    if (lowerQuery.includes('restaurant') || lowerQuery.includes('food')) {
+    console.log(`🛑 Cancelling job ${jobId}`);
+    await Promise.all([...job.tabIds].map(tabId => this.closeJobTab(job, tabId)));
+    return true;
+  }
+
+  // Remove a finished job from the active list and record how it ended
+  async finishJob(job, error) {
+    this.activeRequests.delete(job.id);
+    await Promise.all([...job.tabIds].map(tabId => this.closeJobTab(job, tabId)));
+
+    const summary = job.finish(error);
+    try {
+      const { jobOutcomes = [] } = await chrome.storage.local.get('jobOutcomes');
+      await chrome.storage.local.set({
+        jobOutcomes: [summary, ...jobOutcomes].slice(0, JOB_HISTORY_LIMIT)
+      });
+    } catch (storageError) {
+      console.warn('⚠️ Failed to record job outcome:', storageError);
+    }
+  }
+
+  // Close a tab opened for a job, ignoring tabs the user already closed
+  async closeJobTab(job, tabId) {
+    job.untrackTab(tabId);
+    try {
+      await chrome.tabs.remove(tabId);
+    } catch (error) {
+      // Tab is already gone
+    }
+  }
+
+  // Analyze query using Gemma 3
+  async analyzeQueryWithGemma(query, settings, signal) {
+    await this.adaptersReady;
+
+    // Search URLs built from adapter templates leave out "under 80000"-style phrases,
+    // which are applied to the results instead
+    const { searchText } = parseConstraints(query);
+
+    try {
+      const client = await this.getLLMClient(settings);
+      const prompt = this.adapters.buildAnalyzerPrompt(QUERY_ANALYZER_PROMPT, query);
+      const schema = this.adapters.analysisSchema();
+      
+      const { value: analysis, validation } = await client.completeJson(prompt, {
+        schema: { ...schema, properties: { ...schema.properties, constraints: CONSTRAINTS_SCHEMA } },
+        schemaName: 'Query analysis',
+        maxTokens: 500,
+        signal
+      });
+
+      console.log('🧠 Gemma analysis:', analysis);
+      return { ...this.adapters.resolveAnalysis(analysis, searchText), validation };
+
+    } catch (error) {
+      console.warn('⚠️ Gemma analysis failed, using fallback:', error);
       return {
-        website: 'zomato',
-        url: URL_TEMPLATES.zomato.replace('{QUERY}', encodeURIComponent(query)),
-        scraping_strategy: 'restaurant_search',
-        selectors: {
-          primary: '.search-result',
-          secondary: '.rating, .cost'
-        }
+        ...this.fallbackAnalysis(searchText),
+        validation: this.describeValidationFailure(error)
       };
     }
-    
-    // Default to Google search
+  }
+
+  // Validation record for a Gemma call that never produced schema-valid JSON
+  describeValidationFailure(error) {
+    if (!(error instanceof SchemaValidationError)) {
+      return undefined;
+    }
+
     return {
-      website: 'google',
-      url: URL_TEMPLATES.google.replace('{QUERY}', encodeURIComponent(query)),
-      scraping_strategy: 'general_search',
-      selectors: {
-        primary: '.g',
-        secondary: '.r a'
-      }
+      valid: false,
+      attempts: error.failures.length,
+      failures: error.failures
     };
   }
 
+  // Gather schema validation outcomes from both Gemma stages for the result meta
+  collectValidation(analysisResult, extractedData) {
+    const validation = {};
+    if (analysisResult.validation) validation.analysis = analysisResult.validation;
+    if (extractedData.validation) validation.extraction = extractedData.validation;
+    return validation;
+  }
+
+  // Report streamed Gemma output at most a few times per second
+  createTokenReporter(job) {
+    let chunks = 0;
+    let lastReport = 0;
+
+    return (chunk, text) => {
+      chunks++;
+      const now = Date.now();
+      if (now - lastReport < 250) return;
+      lastReport = now;
+
+      job.report('llm_tokens', `Gemma is writing... (${chunks} chunks)`, {
+        chunks,
+        characters: text.length,
+        preview: text.slice(-120)
+      });
+    };
+  }
+
+  // Fallback analysis when Gemma is not available: keyword routing over the site adapters
+  fallbackAnalysis(query) {
+    return this.adapters.fallbackAnalysis(query);
+  }
+
   // Perform actual web scraping
-  async performScraping(analysisResult) {
+  async performScraping(analysisResult, settings, job = new ScrapeJob(analysisResult.url)) {
+    let tab = null;
+    let release = null;
+
     try {
+      settings = settings || await this.settings.getAll();
+      const { maxResults } = settings;
+
+      // Wait for our turn on this host
+      release = await this.acquireHostSlot(analysisResult.url, settings, job);
+
       console.log(`🌐 Scraping: ${analysisResult.url}`);
 
       // Create a new tab for scraping
-      const tab = await chrome.tabs.create({ 
+      tab = await chrome.tabs.create({ 
         url: analysisResult.url, 
         active: false 
       });
+      job.trackTab(tab.id);
+      job.report('tab_opened', 'Opened page in background tab', { url: analysisResult.url });
 
-      // Wait for page to load
-      await this.waitForTabLoad(tab.id);
+      // Wait for page to load, then for its content to render
+      const wait = resolveWait(analysisResult.wait, analysisResult.selectors);
+      await job.runStage('tabLoad', (signal) => this.waitForTabLoad(tab.id, signal));
+      job.report('page_loaded', 'Page loaded, waiting for content...');
+      await this.waitUntilReady(tab.id, wait, job);
 
-      // Inject content script and extract data
-      const results = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        function: this.extractPageContent,
-        args: [analysisResult.selectors]
-      });
+      // Inject content script and extract data. Each page is read with room for the
+      // items already collected, since infinite scroll keeps earlier items on the page.
+      // Pages that describe their items with schema.org data are read from that instead
+      // of the selectors, on every page once the first page had some.
+      let structured = false;
+      const extract = async (selectors, fields, limit) => {
+        if (structured) {
+          const data = await this.readStructuredData(tab.id, analysisResult, job);
+          return { html: '', data: data.slice(0, limit), matched: data.length };
+        }
+        const [{ result }] = await job.runStage('extraction', () => chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: extractPageContent,
+          args: [{ selectors, fields }, limit]
+        }));
+        return result;
+      };
+      let selectors = analysisResult.selectors;
+      let fields = analysisResult.fields;
+      let page = null;
 
-      // Close the scraping tab
-      await chrome.tabs.remove(tab.id);
+      const schemaItems = await this.readStructuredData(tab.id, analysisResult, job);
+      if (schemaItems.length > 0) {
+        structured = true;
+        job.report('structured_data', `Read ${schemaItems.length} items from the page's schema.org data`, {
+          count: schemaItems.length,
+          types: [...new Set(schemaItems.map(item => item.schema_type))]
+        });
+        page = { html: '', data: schemaItems.slice(0, maxResults), matched: schemaItems.length };
+      } else {
+        page = await extract(selectors, fields, maxResults);
+      }
+
+      // Stale or guessed selectors: let the content script find the list itself
+      let detected = null;
+      if (page.matched === 0) {
+        detected = await this.detectList(tab.id, job);
+        if (detected) {
+          job.report('list_detected', `Selectors matched nothing, detected a list of ${detected.itemCount} items`, {
+            selector: detected.selectors.primary,
+            itemCount: detected.itemCount
+          });
+          ({ selectors, fields } = detected);
+          page = await extract(selectors, fields, maxResults);
+        }
+      }
+
+      // Follow further pages until Max Pages or Max Results is reached, or a page adds nothing
+      const seen = new Set();
+      const items = takeNewItems(seen, page.data || []);
+      const html = page.html;
+      const pagination = analysisResult.pagination;
+      let pagesVisited = 1;
+
+      while (pagination && items.length > 0 && items.length < maxResults && pagesVisited < settings.maxPages) {
+        const advanced = await this.advancePage(tab.id, { url: analysisResult.url, pagination, selectors, wait }, pagesVisited, job);
+        if (!advanced) break;
+
+        page = await extract(selectors, fields, items.length + maxResults);
+        const fresh = takeNewItems(seen, page.data || []);
+        pagesVisited++;
+        job.report('page_extracted', `Page ${pagesVisited}: ${fresh.length} new items`, { page: pagesVisited, count: fresh.length });
+        if (fresh.length === 0) break;
+        items.push(...fresh);
+      }
+      items.splice(maxResults);
+
+      // Nothing to read with selectors: Gemma gets the page's main content as Markdown
+      const text = items.length === 0 ? await this.readPageText(tab.id, job) : '';
+
+      job.report('items_extracted', `Extracted ${items.length} items`, {
+        count: items.length,
+        items,
+        url: analysisResult.url,
+        strategy: analysisResult.scraping_strategy
+      });
 
       return {
         url: analysisResult.url,
         strategy: analysisResult.scraping_strategy,
-        html: results[0].result.html,
-        data: results[0].result.data
+        html,
+        text,
+        data: items,
+        pagesVisited,
+        detected,
+        structured
       };
 
     } catch (error) {
+      // Cancellations and timeouts keep their type so the job outcome is recorded correctly
+      if (error.outcome) throw error;
       console.error('❌ Scraping failed:', error);
       throw new Error(`Scraping failed: ${error.message}`);
+    } finally {
+      // Close the scraping tab
+      if (tab) await this.closeJobTab(job, tab.id);
+      if (release) release();
     }
   }
 
-  // Wait for tab to finish loading
-  waitForTabLoad(tabId) {
-    return new Promise((resolve) => {
-      const listener = (changedTabId, changeInfo) => {
-        if (changedTabId === tabId && changeInfo.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
-          // Additional wait for dynamic content
-          setTimeout(resolve, 2000);
-        }
-      };
-      chrome.tabs.onUpdated.addListener(listener);
-    });
+  // Move the scraping tab to page `pageIndex` (0-based) of the results. Resolves to false
+  // when there is no further page. Waits the host's delay first, as for a new tab.
+  async advancePage(tabId, { url, pagination, selectors, wait }, pageIndex, job) {
+    const { delayMs } = this.rateLimiter.policyFor(url);
+    await job.runStage('pageDelay', () => new Promise(resolve => setTimeout(resolve, delayMs)));
+
+    if (pagination.type === 'scroll') {
+      const [{ result }] = await job.runStage('extraction', () => chrome.scripting.executeScript({
+        target: { tabId },
+        func: scrollForMore,
+        args: [selectors.primary]
+      }));
+      return result.after > result.before;
+    }
+
+    let nextUrl = null;
+    if (pagination.type === 'param') {
+      nextUrl = pageUrl(url, pagination, pageIndex);
+    } else {
+      const [{ result }] = await job.runStage('extraction', () => chrome.scripting.executeScript({
+        target: { tabId },
+        func: followNextPage,
+        args: [pagination.selector]
+      }));
+      if (!result.found) return false;
+      nextUrl = result.href || null;
+
+      // A "next" button without a link updates the page in place
+      if (result.clicked) {
+        await job.runStage('tabLoad', () => new Promise(resolve => setTimeout(resolve, PAGE_SETTLE_MS)));
+        return true;
+      }
+    }
+
+    console.log(`📄 Page ${pageIndex + 1}: ${nextUrl}`);
+    const loaded = job.runStage('tabLoad', (signal) => this.waitForTabLoad(tabId, signal));
+    await chrome.tabs.update(tabId, { url: nextUrl });
+    await loaded;
+    await this.waitUntilReady(tabId, wait, job);
+    return true;
   }
 
-  // Content extraction function (injected into target page)
-  extractPageContent(selectors) {
+  // Wait in the tab for the adapter's readiness condition (see lib/wait-conditions.js).
+  // A condition that times out or cannot run is recorded and the page is scraped as is.
+  async waitUntilReady(tabId, condition, job) {
+    let result;
     try {
-      const data = [];
-      const elements = document.querySelectorAll(selectors.primary);
-      
-      elements.forEach((element, index) => {
-        if (index >= 20) return; // Limit to first 20 results
-        
-        const item = {
-          title: element.querySelector('h3, h2, h1, .title, [title]')?.textContent?.trim() || 'No title',
-          price: element.querySelector(selectors.secondary)?.textContent?.trim() || 'Price not found',
-          link: element.querySelector('a')?.href || '',
-          description: element.querySelector('.description, p')?.textContent?.trim()?.substring(0, 200) || '',
-          rating: element.querySelector('.rating, .stars, [data-rating]')?.textContent?.trim() || 'No rating'
-        };
-        
-        data.push(item);
-      });
+      result = await job.runStage('pageReady', () => chrome.tabs.sendMessage(tabId, { action: 'waitFor', condition }));
+    } catch (error) {
+      if (error.outcome) throw error;
+      result = { type: condition.type, satisfied: false, elapsedMs: 0, detail: `could not wait: ${error.message}` };
+    }
 
-      return {
-        html: document.documentElement.outerHTML.substring(0, 50000), // Limit HTML size
-        data: data,
-        timestamp: Date.now(),
-        url: window.location.href
-      };
+    job.note('wait', result);
+    job.report('page_ready', result.satisfied
+      ? `Page ready after ${this.formatWait(result)}`
+      : `Gave up waiting after ${this.formatWait(result)}, scraping anyway`, result);
+    return result;
+  }
+
+  formatWait(result) {
+    return `${(result.elapsedMs / 1000).toFixed(1)}s (${WAIT_TYPES[result.type] || result.type}: ${result.detail})`;
+  }
+
+  // Result items from the tab's JSON-LD, microdata and RDFa (see lib/schema-org.js),
+  // limited to the kinds of item the analysis' strategy is after. Empty when the page
+  // has none or the content script cannot be reached.
+  async readStructuredData(tabId, analysisResult, job) {
+    try {
+      const response = await job.runStage('extraction', () => chrome.tabs.sendMessage(tabId, { action: 'getStructuredData' }));
+      if (!response?.success) return [];
+      return schemaOrgItems(response.data, { url: analysisResult.url, strategy: analysisResult.scraping_strategy });
     } catch (error) {
-      return {
-        html: '',
-        data: [],
-        error: error.message,
-        timestamp: Date.now(),
-        url: window.location.href
-      };
+      if (error.outcome) throw error;
+      console.warn('⚠️ Structured data could not be read:', error.message);
+      return [];
+    }
+  }
+
+  // Compact Markdown of the tab's main content (see content/page-text.js); '' when the
+  // content script cannot be reached, in which case Gemma reads the stripped HTML
+  async readPageText(tabId, job) {
+    try {
+      const response = await job.runStage('extraction', () => chrome.tabs.sendMessage(tabId, { action: 'getPageText' }));
+      if (!response?.success) return '';
+      console.log(`📝 Page text: ${response.data.markdown.length} characters from ${response.data.region}`);
+      return response.data.markdown;
+    } catch (error) {
+      if (error.outcome) throw error;
+      console.warn('⚠️ Page text could not be read:', error.message);
+      return '';
+    }
+  }
+
+  // Ask the tab's content script for the page's main repeating list; null if none is found
+  async detectList(tabId, job) {
+    try {
+      const response = await job.runStage('extraction', () => chrome.tabs.sendMessage(tabId, { action: 'detectList' }));
+      return response?.success ? response.data : null;
+    } catch (error) {
+      if (error.outcome) throw error;
+      console.warn('⚠️ List detection failed:', error.message);
+      return null;
     }
   }
 
+  // Wait for tab to finish loading; rejects with the signal's reason when aborted.
+  // Dynamic content is waited for separately by waitUntilReady().
+  waitForTabLoad(tabId, signal) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      const onAbort = () => {
+        cleanup();
+        reject(signal.reason);
+      };
+
+      const listener = (changedTabId, changeInfo) => {
+        if (changedTabId === tabId && changeInfo.status === 'complete') {
+          cleanup();
+          resolve();
+        }
+      };
+
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  }
+
   // Extract and structure data using Gemma 3
-  async extractDataWithGemma(scrapingResult) {
+  async extractDataWithGemma(scrapingResult, settings, job = new ScrapeJob(scrapingResult.url)) {
     try {
       // If we already have structured data from scraping, enhance it with Gemma
       if (scrapingResult.data && scrapingResult.data.length > 0) {
         return {
           success: true,
-          source: 'direct_scraping',
+          source: scrapingResult.structured ? 'structured_data'
+            : scrapingResult.detected ? 'list_detection' : 'direct_scraping',
           url: scrapingResult.url,
           strategy: scrapingResult.strategy,
+          ...(scrapingResult.detected && { detected_selectors: scrapingResult.detected.selectors }),
+          pages_visited: scrapingResult.pagesVisited,
           extracted_data: scrapingResult.data,
           total_results: scrapingResult.data.length,
           timestamp: Date.now()
         };
       }
 
-      // If no structured data, try Gemma extraction
-      const prompt = DATA_EXTRACTOR_PROMPT
-        .replace('{HTML_CONTENT}', scrapingResult.html.substring(0, 10000)); // Limit HTML size for Gemma
-
-      const response = await fetch(GEMMA_API_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: GEMMA_MODEL,
-          prompt: prompt,
-          stream: false,
-          options: {
-            temperature: 0.1,
-            top_p: 0.9,
-            max_tokens: 1000
-          }
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Gemma extraction error: ${response.status}`);
+      // If no structured data, try Gemma extraction: the page text is split into parts
+      // that fit the context window, each part is extracted on its own (map) and the
+      // items are merged in page order (reduce)
+      const text = scrapingResult.text || htmlToText(scrapingResult.html);
+      const budget = chunkBudget(settings.contextWindow, DATA_EXTRACTOR_PROMPT, EXTRACTION_OUTPUT_TOKENS);
+      const { parts, total } = chunkPage(text, budget);
+      if (parts.length === 0) {
+        throw new Error('The page has no text to extract from');
       }
 
-      const data = await response.json();
-      const extractionText = data.response || data.text || '';
-      
-      // Parse JSON response from Gemma
-      const jsonMatch = extractionText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in Gemma response');
+      const client = await this.getLLMClient(settings);
+      job.report('llm_extracting', parts.length > 1
+        ? `No items matched, extracting with Gemma from ${parts.length} parts of the page...`
+        : 'No items matched, extracting with Gemma...', { parts: parts.length, skipped: total - parts.length });
+
+      const results = [];
+      const failures = [];
+      let attempts = 0;
+      let format = null;
+      let lastError = null;
+
+      for (const [index, part] of parts.entries()) {
+        if (mergeChunkItems(results).length >= settings.maxResults) break;
+
+        const prompt = DATA_EXTRACTOR_PROMPT
+          .replace('{PART}', index + 1)
+          .replace('{PARTS}', parts.length)
+          .replace('{PAGE_CONTENT}', part);
+
+        try {
+          const { value, validation } = await job.runStage('llmExtraction', (signal) => client.completeJson(prompt, {
+            schema: EXTRACTION_SCHEMA,
+            schemaName: 'Data extraction',
+            maxTokens: EXTRACTION_OUTPUT_TOKENS,
+            signal,
+            onToken: this.createTokenReporter(job)
+          }));
+          results.push({ chunk: index, items: value.extracted_data });
+          attempts += validation.attempts;
+          format = format || validation.format;
+          failures.push(...validation.failures.map(failure => ({ ...failure, part: index + 1 })));
+          job.report('llm_chunk', `Part ${index + 1}/${parts.length}: ${value.extracted_data.length} items`, {
+            part: index + 1,
+            count: value.extracted_data.length
+          });
+        } catch (error) {
+          // A part Gemma cannot answer in the schema is skipped; anything else
+          // (server down, cancelled) ends the extraction
+          if (!(error instanceof SchemaValidationError)) throw error;
+          lastError = error;
+          attempts += error.failures.length;
+          failures.push(...error.failures.map(failure => ({ ...failure, part: index + 1 })));
+          job.report('llm_chunk', `Part ${index + 1}/${parts.length}: no valid answer, skipped`, { part: index + 1, count: 0 });
+        }
       }
 
-      const extractedData = JSON.parse(jsonMatch[0]);
-      
+      if (results.length === 0) throw lastError;
+      const items = mergeChunkItems(results).slice(0, settings.maxResults);
+
       return {
         success: true,
         source: 'gemma_extraction',
-        ...extractedData,
+        url: scrapingResult.url,
+        strategy: scrapingResult.strategy,
+        extracted_data: items,
+        total_results: items.length,
+        chunks: { total, read: results.length },
+        validation: { valid: true, attempts, format, failures },
         timestamp: Date.now()
       };
 
     } catch (error) {
+      if (error.outcome) throw error;
       console.warn('⚠️ Gemma extraction failed:', error);
       
       // Return raw scraping result as fallback
@@ -484,6 +1725,7 @@ class WebScrapingOrchestrator {
         extracted_data: scrapingResult.data || [],
         total_results: scrapingResult.data?.length || 0,
         error: error.message,
+        validation: this.describeValidationFailure(error),
         timestamp: Date.now()
       };
     }
@@ -492,25 +1734,20 @@ class WebScrapingOrchestrator {
 
 // Initialize the orchestrator
 const orchestrator = new WebScrapingOrchestrator();
+orchestrator.initialize();
 
 // Chrome extension event listeners
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('🔧 Extension installed/updated:', details.reason);
-  orchestrator.initialize();
+  orchestrator.setupContextMenus();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   console.log('🚀 Extension startup');
-  orchestrator.initialize();
 });
 
 // Service worker keep-alive
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // This will keep the service worker alive during processing
   return true;
-});
-
-// Export for testing (if needed)
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { WebScrapingOrchestrator, URL_TEMPLATES };
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,10 +1,18 @@
 // content.js - Content script for enhanced page interaction
+// Uses SelectorEngine, ListDetector, WaitConditions, TableExtractor,
+// StructuredDataExtractor and PageTextExtractor from content/, loaded first (see manifest.json)
 
 class ContentScriptManager {
   constructor() {
     this.isInjected = false;
     this.highlightStyles = null;
     this.observing = false;
+    this.selectorEngine = new SelectorEngine();
+    this.listDetector = new ListDetector(this.selectorEngine);
+    this.waitConditions = new WaitConditions();
+    this.tableExtractor = new TableExtractor(this.selectorEngine);
+    this.structuredData = new StructuredDataExtractor();
+    this.pageText = new PageTextExtractor(this.selectorEngine);
     this.init();
   }
 
@@ -21,6 +29,7 @@ class ContentScriptManager {
     this.setupMessageListeners();
     this.injectHighlightStyles();
     this.setupSelectionHandler();
+    this.setupContextMenuTracking();
     this.observePageChanges();
   }
 
@@ -46,15 +55,45 @@ class ContentScriptManager {
           sendResponse({ success: true });
           break;
 
-        case 'extractPageData':
-          const data = this.extractPageData(request.selectors);
+        case 'extractPageData': {
+          const data = this.extractPageData(request.selectors, request.fields);
           sendResponse({ success: true, data: data });
           break;
+        }
 
-        case 'getPageInfo':
+        case 'getPageInfo': {
           const pageInfo = this.getPageInfo();
           sendResponse({ success: true, data: pageInfo });
           break;
+        }
+
+        case 'waitFor':
+          sendResponse(await this.waitConditions.wait(request.condition));
+          break;
+
+        case 'detectList':
+          sendResponse({ success: true, data: this.listDetector.detect() });
+          break;
+
+        case 'getContextTable':
+          sendResponse({ success: true, data: this.tableExtractor.extractAround(this.lastContextTarget) });
+          break;
+
+        case 'extractTables':
+          sendResponse({ success: true, data: this.tableExtractor.extractAll() });
+          break;
+
+        case 'getStructuredData':
+          sendResponse({ success: true, data: this.findStructuredData() });
+          break;
+
+        case 'getPageText':
+          sendResponse({ success: true, data: this.pageText.extract() });
+          break;
+
+        case 'getSelectionLinks':
+          sendResponse({ success: true, data: this.extractSelectionLinks() });
+          break;
 
         case 'injectSelectionTool':
           this.injectSelectionTool();
@@ -142,9 +181,9 @@ class ContentScriptManager {
       return;
     }
 
-    // Highlight primary elements
+    // Highlight primary elements (CSS or XPath)
     if (selectors.primary) {
-      const primaryElements = document.querySelectorAll(selectors.primary);
+      const primaryElements = this.selectorEngine.queryAll(selectors.primary);
       primaryElements.forEach(element => {
         element.classList.add('smart-scraper-highlight');
         element.setAttribute('data-scraper-type', 'primary');
@@ -154,7 +193,7 @@ class ContentScriptManager {
 
     // Highlight secondary elements with different style
     if (selectors.secondary) {
-      const secondaryElements = document.querySelectorAll(selectors.secondary);
+      const secondaryElements = this.selectorEngine.queryAll(selectors.secondary);
       secondaryElements.forEach(element => {
         if (!element.classList.contains('smart-scraper-highlight')) {
           element.classList.add('smart-scraper-highlight');
@@ -184,16 +223,18 @@ class ContentScriptManager {
   }
 
   // Extract page data using selectors
-  extractPageData(selectors) {
+  extractPageData(selectors, fields) {
     const data = {
       url: window.location.href,
       title: document.title,
       timestamp: Date.now(),
+      matched: 0,
       elements: []
     };
 
     if (selectors.primary) {
-      const elements = document.querySelectorAll(selectors.primary);
+      const elements = this.selectorEngine.queryAll(selectors.primary);
+      data.matched = elements.length;
       elements.forEach((element, index) => {
         if (index >= 50) return; // Limit to 50 elements
 
@@ -219,6 +260,11 @@ class ContentScriptManager {
           item.structuredData = structuredData;
         }
 
+        // Per-field values when the caller supplies a site adapter's field selectors
+        if (fields) {
+          item.fields = this.extractFields(element, fields);
+        }
+
         data.elements.push(item);
       });
     }
@@ -226,6 +272,32 @@ class ContentScriptManager {
     return data;
   }
 
+  // Extract one value per field selector, relative to the item element. Links resolve
+  // to their href; a selector that is invalid or matches nothing yields ''.
+  extractFields(element, fields) {
+    const values = {};
+
+    Object.entries(fields).forEach(([name, selector]) => {
+      if (!selector) return;
+
+      let match = null;
+      try {
+        match = element.querySelector(selector);
+      } catch (error) {
+        values[name] = '';
+        return;
+      }
+
+      if (name === 'link') {
+        values[name] = (match || (element.matches('a[href]') ? element : null))?.href || '';
+      } else {
+        values[name] = match?.textContent?.replace(/\s+/g, ' ').trim() || '';
+      }
+    });
+
+    return values;
+  }
+
   // Extract structured data from element
   extractStructuredData(element) {
     const data = {};
@@ -306,36 +378,9 @@ class ContentScriptManager {
     };
   }
 
-  // Find structured data on page (JSON-LD, microdata, etc.)
+  // Find structured data on page (JSON-LD, microdata, RDFa and OpenGraph)
   findStructuredData() {
-    const structured = [];
-
-    // JSON-LD
-    const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-    jsonLdScripts.forEach(script => {
-      try {
-        const data = JSON.parse(script.textContent);
-        structured.push({ type: 'json-ld', data });
-      } catch (e) {
-        // Invalid JSON, skip
-      }
-    });
-
-    // OpenGraph
-    const ogTags = document.querySelectorAll('meta[property^="og:"]');
-    const openGraph = {};
-    ogTags.forEach(tag => {
-      const property = tag.getAttribute('property');
-      const content = tag.getAttribute('content');
-      if (property && content) {
-        openGraph[property] = content;
-      }
-    });
-    if (Object.keys(openGraph).length > 0) {
-      structured.push({ type: 'opengraph', data: openGraph });
-    }
-
-    return structured;
+    return this.structuredData.extractAll();
   }
 
   // Setup text selection handler
@@ -355,6 +400,33 @@ class ContentScriptManager {
     });
   }
 
+  // Remember the element under the last right-click, for "Scrape this table"
+  setupContextMenuTracking() {
+    document.addEventListener('contextmenu', (e) => {
+      this.lastContextTarget = e.target;
+    }, true);
+  }
+
+  // Links inside the current text selection, once per URL
+  extractSelectionLinks() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return [];
+
+    const container = selection.getRangeAt(0).commonAncestorContainer;
+    const root = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+    const anchors = [root.closest('a[href]'), ...root.querySelectorAll('a[href]')]
+      .filter(anchor => anchor && /^https?:/.test(anchor.href) && selection.containsNode(anchor, true));
+
+    const seen = new Set();
+    return anchors
+      .filter(anchor => !seen.has(anchor.href) && seen.add(anchor.href))
+      .map(anchor => ({
+        title: anchor.textContent.replace(/\s+/g, ' ').trim() || anchor.title || anchor.href,
+        link: anchor.href,
+        description: anchor.title || ''
+      }));
+  }
+
   // Observe page changes (for SPA navigation)
   observePageChanges() {
     if (this.observing) return;
@@ -441,18 +513,27 @@ class ContentScriptManager {
       
       isSelecting = false;
       
-      // Find elements in selection area
-      const selectedElements = this.getElementsInArea(startX, startY, endX, endY);
-      
-      // Notify background script
+      // Find elements in selection area and work out which repeating items they belong to
+      const area = { startX, startY, endX: endX ?? startX, endY: endY ?? startY };
+      const selectedElements = this.getElementsInArea(area.startX, area.startY, area.endX, area.endY);
+      const inferred = this.inferListSelectors(area);
+
+      // Cleanup
+      this.removeSelectionTool();
+
+      // Notify background script, which extracts the items and hands them to the popup
       chrome.runtime.sendMessage({
         action: 'elementsSelected',
         elements: selectedElements,
-        area: { startX, startY, endX, endY }
+        area,
+        inferred
+      }).then((response) => {
+        this.showToast(response?.success
+          ? `📐 Captured ${response.data.total_results} item(s) - open Smart Scraper to see them`
+          : `⚠️ ${response?.error || 'Could not extract the selected area'}`);
+      }).catch((error) => {
+        console.warn('Failed to send selection:', error);
       });
-
-      // Cleanup
-      this.removeSelectionTool();
     });
 
     // Escape key cancels selection
@@ -493,21 +574,25 @@ class ContentScriptManager {
     const selectionBottom = Math.max(startY, endY);
 
     allElements.forEach(element => {
+      if (elements.length >= 200) return; // Limit message size
+
       const rect = element.getBoundingClientRect();
       
-      // Check if element overlaps with selection
-      if (rect.left < selectionRight && 
-          rect.right > selectionLeft && 
-          rect.top < selectionBottom && 
-          rect.bottom > selectionTop) {
+      // Check if element lies within the selection
+      if (rect.width > 0 && rect.height > 0 &&
+          rect.left >= selectionLeft && 
+          rect.right <= selectionRight && 
+          rect.top >= selectionTop && 
+          rect.bottom <= selectionBottom) {
         
         elements.push({
           tagName: element.tagName,
-          className: element.className,
+          className: typeof element.className === 'string' ? element.className : '',
           id: element.id,
           text: element.textContent?.trim().substring(0, 100) || '',
-          selector: this.generateSelector(element),
-          rect: rect
+          selector: this.selectorEngine.unique(element),
+          xpath: this.selectorEngine.xpath(element),
+          rect: { left: rect.left, top: rect.top, width: rect.width, height: rect.height }
         });
       }
     });
@@ -515,21 +600,71 @@ class ContentScriptManager {
     return elements;
   }
 
-  // Generate CSS selector for element
-  generateSelector(element) {
-    if (element.id) {
-      return `#${element.id}`;
-    }
-    
-    if (element.className) {
-      const classes = element.className.split(' ').filter(c => c).slice(0, 3);
-      if (classes.length > 0) {
-        return `${element.tagName.toLowerCase()}.${classes.join('.')}`;
+  // Turn a dragged area into selectors for the repeating items it covers. Returns
+  // { selectors: { primary, secondary }, fields, itemCount } or null if nothing was inside.
+  inferListSelectors(area) {
+    const left = Math.min(area.startX, area.endX) - 2;
+    const right = Math.max(area.startX, area.endX) + 2;
+    const top = Math.min(area.startY, area.endY) - 2;
+    const bottom = Math.max(area.startY, area.endY) + 2;
+
+    const inside = Array.from(document.body.querySelectorAll('*')).filter(element => {
+      if (element.closest('#smart-scraper-overlay')) return false;
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 &&
+        rect.left >= left && rect.right <= right && rect.top >= top && rect.bottom <= bottom;
+    });
+    if (inside.length === 0) return null;
+
+    // Group candidate items by (parent, signature); a group's coverage is how many of
+    // the selected elements fall inside its members
+    const groups = new Map();
+    inside.forEach(element => {
+      for (let node = element; node && node !== document.body; node = node.parentElement) {
+        const members = this.listDetector.similarSiblings(node);
+        if (members.length < 2) continue;
+
+        const key = members[0];
+        if (!groups.has(key)) groups.set(key, { members, covered: new Set() });
+        groups.get(key).covered.add(element);
       }
+    });
+
+    // Best coverage wins; on a tie the finer-grained group (more members) is the item
+    const best = [...groups.values()].sort((a, b) =>
+      b.covered.size - a.covered.size || b.members.length - a.members.length
+    )[0];
+
+    const items = best ? best.members : [this.commonAncestor(inside)];
+    const primary = best ? this.listDetector.itemSelector(items) : this.selectorEngine.unique(items[0]);
+    const sample = items
+      .filter(item => inside.some(element => item.contains(element)))
+      .sort((a, b) => b.textContent.length - a.textContent.length)[0] || items[0];
+    const fields = this.listDetector.inferFields(sample);
+
+    return {
+      selectors: { primary, secondary: fields.price || '' },
+      fields,
+      itemCount: this.selectorEngine.queryAll(primary).length
+    };
+  }
+
+  commonAncestor(elements) {
+    let ancestor = elements[0];
+    while (ancestor && !elements.every(element => ancestor.contains(element))) {
+      ancestor = ancestor.parentElement;
     }
-    
-    // Fallback to tag name
-    return element.tagName.toLowerCase();
+    return ancestor || document.body;
+  }
+
+  // Show a short message on the page
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.className = 'smart-scraper-tooltip';
+    toast.textContent = message;
+    toast.style.cssText = 'position: fixed !important; bottom: 20px !important; right: 20px !important;';
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 4000);
   }
 }
 
@@ -0,0 +1,158 @@
+// content/list-detector.js - Find the page's main repeating list without being told its selectors
+
+// Loaded after content/selector-engine.js and before content.js (see manifest.json).
+// Result lists are runs of siblings with the same tag and classes; each run is scored by
+// its size, how much text its items carry, and how many items have a price, a link and
+// an image. The best run becomes an item selector plus per-field selectors.
+class ListDetector {
+  constructor(selectorEngine = new SelectorEngine()) {
+    this.selectorEngine = selectorEngine;
+
+    // Fewest siblings that count as a list
+    this.minItems = 3;
+
+    // Prices in the formats the extension's sites use: ₹1,299, Rs. 499, $12.99, 12,50 €
+    this.pricePattern = /(?:₹|rs\.?|inr|\$|€|£|usd)\s?\d|\d[\d,.]*\s?(?:₹|€|usd|inr)/i;
+
+    // Page chrome that repeats but is never the result list
+    this.chromeSelector = 'nav, header, footer, aside, [role="navigation"], [role="menu"], [role="tablist"]';
+  }
+
+  // Best repeating list on the page, as { selectors: { primary, secondary }, fields,
+  // itemCount, score }, or null when nothing looks like one
+  detect() {
+    const candidates = this.findCandidates()
+      .map(items => ({ items, score: this.score(items) }))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+      console.log('🔎 No repeating list found');
+      return null;
+    }
+
+    const { items, score } = candidates[0];
+    const primary = this.itemSelector(items);
+    const sample = items.slice(0, 5).sort((a, b) => b.textContent.length - a.textContent.length)[0];
+    const fields = this.inferFields(sample);
+
+    console.log(`🔎 Detected list "${primary}" with ${items.length} items (score ${score.toFixed(1)})`);
+    return {
+      selectors: { primary, secondary: fields.price || '' },
+      fields,
+      itemCount: items.length,
+      score
+    };
+  }
+
+  // Groups of at least minItems siblings sharing a signature, outside page chrome
+  findCandidates() {
+    const groups = [];
+
+    document.body.querySelectorAll('*').forEach(parent => {
+      if (parent.children.length < this.minItems || parent.closest(this.chromeSelector)) return;
+
+      const bySignature = new Map();
+      Array.from(parent.children).forEach(child => {
+        if (['SCRIPT', 'STYLE', 'TEMPLATE', 'BR'].includes(child.tagName)) return;
+        const signature = this.signature(child);
+        if (!bySignature.has(signature)) bySignature.set(signature, []);
+        bySignature.get(signature).push(child);
+      });
+
+      bySignature.forEach(items => {
+        if (items.length >= this.minItems) groups.push(items);
+      });
+    });
+
+    return groups;
+  }
+
+  // Score a sibling group; 0 means "not a result list". Items with prices and links,
+  // a reasonable amount of text and a visible box score highest.
+  score(items) {
+    const visible = items.filter(item => {
+      const rect = item.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    });
+    if (visible.length < this.minItems) return 0;
+
+    const share = (test) => visible.filter(test).length / visible.length;
+    const averageText = visible.reduce((sum, item) => sum + item.textContent.trim().length, 0) / visible.length;
+
+    // Menus and tag clouds have a few words per item; whole-page wrappers have thousands
+    if (averageText < 15 || averageText > 3000) return 0;
+
+    const priceShare = share(item => this.pricePattern.test(item.textContent));
+    const linkShare = share(item => item.matches('a[href]') || item.querySelector('a[href]'));
+    const imageShare = share(item => item.querySelector('img, picture, [style*="background-image"]'));
+    const density = Math.min(averageText, 300) / 300;
+
+    return Math.log2(visible.length) * (1 + density + 2 * priceShare + linkShare + 0.5 * imageShare);
+  }
+
+  // Tag name plus stable classes; siblings with the same signature are list items
+  signature(element) {
+    return `${element.tagName}.${this.selectorEngine.stableClasses(element).sort().join('.')}`;
+  }
+
+  // Elements sharing the node's parent and signature (including the node)
+  similarSiblings(node) {
+    const parent = node.parentElement;
+    if (!parent) return [node];
+
+    const signature = this.signature(node);
+    return Array.from(parent.children).filter(sibling => this.signature(sibling) === signature);
+  }
+
+  // Selector matching every item: its shared attribute or "tag.class" when that is
+  // precise enough, otherwise scoped to the items' (uniquely selected) parent. When the
+  // parent can only be selected by XPath, the item step is written as XPath too.
+  itemSelector(items) {
+    const [first] = items;
+    const local = this.selectorEngine.describe(first);
+
+    const matches = local !== first.tagName.toLowerCase() ? document.querySelectorAll(local) : [];
+    if (matches.length >= items.length && matches.length <= items.length * 1.5) {
+      return local;
+    }
+    const parent = this.selectorEngine.unique(first.parentElement);
+    return this.selectorEngine.isXPath(parent)
+      ? `${parent}/${this.selectorEngine.describeXPath(first)}`
+      : `${parent} > ${local}`;
+  }
+
+  // Pick title, price, rating, link and description elements inside one item
+  inferFields(item) {
+    const descendants = Array.from(item.querySelectorAll('*'));
+    const ownText = (element) => Array.from(element.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join('')
+      .trim();
+
+    const link = item.matches('a[href]') ? item : item.querySelector('a[href]');
+    const title = item.querySelector('h1, h2, h3, h4, h5, h6, [class*="title" i], [class*="name" i]') ||
+      descendants.filter(element => element.matches('a[href]') && element.textContent.trim())
+        .sort((a, b) => b.textContent.trim().length - a.textContent.trim().length)[0];
+    const price = descendants.find(element =>
+      this.pricePattern.test(ownText(element)) && ownText(element).length < 30
+    );
+    const rating = descendants.find(element =>
+      /rating|star/i.test(`${typeof element.className === 'string' ? element.className : ''} ${element.getAttribute('aria-label') || ''}`) ||
+      /^\d(\.\d)?\s*(out of 5|\/\s*5|★)/.test(ownText(element))
+    );
+    const description = descendants.find(element =>
+      element.tagName === 'P' && element.textContent.trim().length > 20 && element !== title
+    );
+
+    const fields = {};
+    Object.entries({ title, price, rating, link, description }).forEach(([name, element]) => {
+      // An item that is itself the link needs no link selector
+      if (element && element !== item) {
+        fields[name] = this.selectorEngine.relative(item, element);
+      }
+    });
+    return fields;
+  }
+}
@@ -0,0 +1,154 @@
+// content/page-text.js - Compact Markdown of the page's main content, for Gemma
+
+// Loaded after content/selector-engine.js and before content.js (see manifest.json).
+// Raw HTML spends most of the model's context on markup, scripts and navigation, so
+// the page is reduced first: the main content region is chosen readability-style by
+// walking down from <body> into the child that holds most of the weighted text, and
+// only that region is written out as Markdown, without scripts, styles, SVG, hidden
+// elements or URLs.
+class PageTextExtractor {
+  constructor(selectorEngine = new SelectorEngine()) {
+    this.selectorEngine = selectorEngine;
+
+    // A child must hold this share of its parent's weighted text to become the region
+    this.dominantShare = 0.6;
+
+    // Regions with less text than this are too small; their parent is used instead
+    this.minRegionText = 500;
+
+    // Longest Markdown returned, in characters
+    this.maxLength = 200000;
+
+    // Never written out
+    this.skipTags = new Set([
+      'SCRIPT', 'STYLE', 'SVG', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'CANVAS', 'OBJECT',
+      'EMBED', 'VIDEO', 'AUDIO', 'MAP', 'INPUT', 'SELECT', 'TEXTAREA', 'BUTTON',
+      'NAV', 'FOOTER', 'ASIDE', 'DIALOG'
+    ]);
+
+    // Written on lines of their own
+    this.blockTags = new Set([
+      'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION',
+      'FIGURE', 'FORM', 'HEADER', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'UL', 'DETAILS', 'SUMMARY'
+    ]);
+
+    // Class and id words that mark page furniture, and words that mark content
+    this.negativeHints = /nav|menu|footer|header|sidebar|breadcrumb|cookie|consent|banner|promo|advert|\bads?\b|social|share|comment|related|recommend|modal|popup|newsletter/i;
+    this.positiveHints = /content|main|result|search|product|listing|article|items|grid|catalog/i;
+  }
+
+  // { url, title, region, markdown } for the page; `region` is a selector for the
+  // element the Markdown was written from
+  extract() {
+    const region = this.findMainRegion();
+    const title = document.title.trim();
+    const body = this.toMarkdown(region);
+    const markdown = (title && !body.startsWith(`# ${title}`) ? `# ${title}\n\n${body}` : body).slice(0, this.maxLength);
+
+    return {
+      url: window.location.href,
+      title,
+      region: region === document.body ? 'body' : this.selectorEngine.unique(region),
+      markdown
+    };
+  }
+
+  // The smallest element that still holds most of the page's content. Starts from
+  // <main> when the page marks one up with enough text.
+  findMainRegion() {
+    const main = document.querySelector('main, [role="main"]');
+    let region = main && this.textLength(main) >= this.minRegionText ? main : document.body;
+
+    for (;;) {
+      const children = Array.from(region.children)
+        .filter(child => !this.skipTags.has(child.tagName.toUpperCase()))
+        .map(child => ({ child, score: this.score(child) }));
+      const total = children.reduce((sum, { score }) => sum + score, 0);
+      if (total === 0) break;
+
+      const best = children.reduce((a, b) => b.score > a.score ? b : a);
+      if (best.score < total * this.dominantShare || this.textLength(best.child) < this.minRegionText) break;
+      region = best.child;
+    }
+    return region;
+  }
+
+  // Text length weighted by link density and class/id hints. Lists of product cards
+  // are mostly links, so links only halve the weight of their text.
+  score(element) {
+    const length = this.textLength(element);
+    if (length === 0) return 0;
+
+    const linkLength = Array.from(element.querySelectorAll('a'))
+      .reduce((sum, link) => sum + link.textContent.replace(/\s+/g, ' ').trim().length, 0);
+    let score = length * (1 - Math.min(linkLength / length, 1) / 2);
+
+    const hints = `${element.id} ${typeof element.className === 'string' ? element.className : ''} ${element.getAttribute('role') || ''}`;
+    if (this.negativeHints.test(hints)) score *= 0.2;
+    else if (this.positiveHints.test(hints)) score *= 1.5;
+    return score;
+  }
+
+  textLength(element) {
+    return (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim().length;
+  }
+
+  // Compact Markdown for an element: headings, list items, table rows and image alt
+  // text are kept; links keep their text only
+  toMarkdown(element) {
+    return this.render(element)
+      .split('\n')
+      .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+      .filter((line, index, lines) => line !== lines[index - 1] || line === '')
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  render(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== Node.ELEMENT_NODE || !this.isShown(node)) return '';
+
+    const tag = node.tagName.toUpperCase();
+    const inner = () => Array.from(node.childNodes).map(child => this.render(child)).join('');
+
+    if (/^H[1-6]$/.test(tag)) {
+      const text = inner().trim();
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+
+    switch (tag) {
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'IMG': {
+        const alt = (node.getAttribute('alt') || '').trim();
+        return alt && alt.length < 200 ? ` ![${alt}] ` : '';
+      }
+      case 'LI':
+        return `\n- ${inner().trim()}\n`;
+      case 'TABLE':
+        return `\n\n${this.renderTable(node)}\n\n`;
+      default:
+        return this.blockTags.has(tag) ? `\n\n${inner()}\n\n` : inner();
+    }
+  }
+
+  // One "| cell | cell |" line per row; nested markup is flattened to text
+  renderTable(table) {
+    return Array.from(table.rows)
+      .map(row => Array.from(row.cells).map(cell => this.render(cell).replace(/\s+/g, ' ').trim()))
+      .filter(cells => cells.some(Boolean))
+      .map(cells => `| ${cells.join(' | ')} |`)
+      .join('\n');
+  }
+
+  // Hidden elements (hidden attribute, aria-hidden, display: none) are left out
+  isShown(element) {
+    if (this.skipTags.has(element.tagName.toUpperCase()) || element.hidden || element.getAttribute('aria-hidden') === 'true') {
+      return false;
+    }
+    return typeof element.checkVisibility === 'function' ? element.checkVisibility() : true;
+  }
+}
@@ -0,0 +1,221 @@
+// content/selector-engine.js - Minimal, unique and deploy-stable selectors for page elements
+
+// Loaded before content.js (see manifest.json), so the class is a global of the content
+// script world. Selectors are built from the most stable thing an element offers:
+//   1. a hand-written id
+//   2. test/accessibility/microdata attributes (data-testid, aria-label, itemprop, ...)
+//   3. hand-written class names (hashed CSS-in-JS and utility classes are skipped)
+//   4. an nth-of-type path up to the nearest ancestor that has one of the above
+// and every selector is checked to match exactly the element it was built for.
+class SelectorEngine {
+  constructor(root = document) {
+    this.root = root;
+
+    // Attributes worth anchoring on, most stable first
+    this.stableAttributes = [
+      'data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy',
+      'itemprop', 'aria-label', 'name', 'data-id'
+    ];
+
+    // Attribute values longer than this make unreadable selectors
+    this.maxAttributeLength = 60;
+  }
+
+  // Shortest selector matching only `element`. Falls back to an XPath when no CSS
+  // selector can be verified (e.g. inside a shadow root).
+  unique(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+    if (element === this.root.documentElement) return 'html';
+    if (element === this.root.body) return 'body';
+
+    const own = this.uniqueLocal(element);
+    if (own) return own;
+
+    // Walk up, adding one step per level, until the path is unique
+    const steps = [this.step(element)];
+    for (let ancestor = element.parentElement; ancestor && ancestor !== this.root.documentElement; ancestor = ancestor.parentElement) {
+      const anchor = this.uniqueLocal(ancestor);
+      const selector = [anchor || this.step(ancestor), ...steps].join(' > ');
+      if (this.verify(selector, element)) return selector;
+      if (anchor) break;
+      steps.unshift(this.step(ancestor));
+    }
+
+    const path = steps.join(' > ');
+    return this.verify(path, element) ? path : this.xpath(element);
+  }
+
+  // Selector from the element alone (id, stable attribute or classes) if it is unique
+  uniqueLocal(element) {
+    const tag = element.tagName.toLowerCase();
+
+    if (element.id && this.isStableId(element.id)) {
+      const selector = `#${CSS.escape(element.id)}`;
+      if (this.verify(selector, element)) return selector;
+    }
+
+    for (const selector of this.attributeSelectors(element)) {
+      if (this.verify(selector, element)) return selector;
+      if (this.verify(`${tag}${selector}`, element)) return `${tag}${selector}`;
+    }
+
+    // Fewest classes first, at most three
+    const classes = this.stableClasses(element).slice(0, 6).map(name => `.${CSS.escape(name)}`);
+    for (const combination of this.combinations(classes, 3)) {
+      const selector = `${tag}${combination.join('')}`;
+      if (this.verify(selector, element)) return selector;
+    }
+
+    return '';
+  }
+
+  // Selector describing the element without checking uniqueness: a stable attribute,
+  // otherwise the tag with its stable classes. Used for "one of these" item selectors.
+  describe(element) {
+    const tag = element.tagName.toLowerCase();
+    // Labels, names and ids usually differ per item, so only shared attributes are used
+    const [attribute] = this.attributeSelectors(element).filter(selector => !/^\[(aria-label|name|data-id)=/.test(selector));
+    if (attribute) return `${tag}${attribute}`;
+    return `${tag}${this.stableClasses(element).map(name => `.${CSS.escape(name)}`).join('')}`;
+  }
+
+  // describe() as an XPath step, for item selectors under a parent that only has an XPath
+  describeXPath(element) {
+    const tag = element.tagName.toLowerCase();
+    const [attribute] = this.stableAttributes
+      .filter(name => !['aria-label', 'name', 'data-id'].includes(name))
+      .map(name => [name, element.getAttribute(name)])
+      .filter(([, value]) => value && value.length <= this.maxAttributeLength && !/\d{4,}/.test(value));
+    if (attribute) return `${tag}[@${attribute[0]}=${this.xpathLiteral(attribute[1])}]`;
+    return `${tag}${this.stableClasses(element)
+      .map(name => `[contains(concat(" ", normalize-space(@class), " "), ${this.xpathLiteral(` ${name} `)})]`)
+      .join('')}`;
+  }
+
+  // One path step: tag, stable classes, and :nth-of-type when siblings share them
+  step(element) {
+    const local = this.describe(element);
+    const parent = element.parentElement;
+    if (!parent) return local;
+
+    const sameTag = Array.from(parent.children).filter(sibling => sibling.tagName === element.tagName);
+    const alike = sameTag.filter(sibling => sibling.matches(local));
+    if (alike.length <= 1) return local;
+    return `${local}:nth-of-type(${sameTag.indexOf(element) + 1})`;
+  }
+
+  // Selector for `element` relative to `container`, for querySelector() on the container
+  relative(container, element) {
+    const local = this.describe(element);
+    if (container.querySelector(local) === element) return local;
+
+    const steps = [];
+    for (let node = element; node && node !== container; node = node.parentElement) {
+      const sameTag = Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName);
+      steps.unshift(sameTag.length > 1
+        ? `${node.tagName.toLowerCase()}:nth-of-type(${sameTag.indexOf(node) + 1})`
+        : node.tagName.toLowerCase());
+    }
+    return `:scope > ${steps.join(' > ')}`;
+  }
+
+  // Absolute XPath, anchored on the nearest ancestor with a stable id
+  xpath(element) {
+    const steps = [];
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      if (node.id && this.isStableId(node.id) && this.root.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        steps.unshift(`//*[@id=${this.xpathLiteral(node.id)}]`);
+        return steps.join('/');
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const sameTag = node.parentElement
+        ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+        : [node];
+      steps.unshift(sameTag.length > 1 ? `${tag}[${sameTag.indexOf(node) + 1}]` : tag);
+    }
+    return `/${steps.join('/')}`;
+  }
+
+  // Elements matched by a CSS selector or an XPath; invalid selectors match nothing
+  queryAll(selector) {
+    if (!selector) return [];
+
+    try {
+      if (this.isXPath(selector)) {
+        const snapshot = this.root.evaluate(selector, this.root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        return Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i))
+          .filter(node => node.nodeType === Node.ELEMENT_NODE);
+      }
+      return Array.from(this.root.querySelectorAll(selector));
+    } catch (error) {
+      console.warn(`⚠️ Invalid selector "${selector}":`, error.message);
+      return [];
+    }
+  }
+
+  isXPath(selector) {
+    return /^\(*\.?\//.test(selector);
+  }
+
+  // True when `selector` matches exactly one element, and it is `element`
+  verify(selector, element) {
+    try {
+      const matches = this.root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // [attr="value"] selectors for the element's stable attributes, in preference order
+  attributeSelectors(element) {
+    return this.stableAttributes
+      .map(name => [name, element.getAttribute(name)])
+      .filter(([, value]) => value && value.length <= this.maxAttributeLength && !/\d{4,}/.test(value))
+      .map(([name, value]) => `[${name}="${CSS.escape(value)}"]`);
+  }
+
+  // Framework-generated ids (React's ":r1:", "ember123", uuids) change between renders
+  isStableId(id) {
+    return !/^[:\d]|:|\d{3,}|[0-9a-f]{8}-[0-9a-f]{4}/i.test(id) && !/^(ember|react|ng|mui|radix)[-_]?/i.test(id);
+  }
+
+  // Class names that look hand-written: hashed CSS-in-JS names, Tailwind-style
+  // utilities and state classes change between deploys or hovers and are skipped
+  stableClasses(element) {
+    const classes = typeof element.className === 'string' ? element.className.split(/\s+/) : [];
+    return classes.filter(name => name && !this.isUnstableClass(name));
+  }
+
+  isUnstableClass(name) {
+    return /[:[\]/]/.test(name) ||                                     // Tailwind variants: md:flex, w-[10px]
+      /^(css|sc|jsx|emotion|styled)-/.test(name) ||                      // CSS-in-JS prefixes
+      (/\d/.test(name) && /[A-Z_]/.test(name)) ||                        // hashes: _3LWZlK, Nx9bqj
+      (/[A-Z].*[A-Z]/.test(name) && !name.includes('-') && name.length <= 8) || // hashes: KzDlHZ
+      (/[-_][a-z0-9]*\d[a-z0-9]*$/i.test(name) && /[a-f0-9]{5,}$/i.test(name)) ||  // suffix hashes: card-a1b2c3
+      /^(smart-scraper-|active$|selected$|hover|focus|open$|is-|has-)/.test(name) ||
+      /^-?(p|m|w|h|px|py|pt|pb|pl|pr|mx|my|mt|mb|ml|mr|gap|text|bg|border|rounded|flex|grid|col|row|items|justify|font|leading|tracking|shadow|opacity|z|top|left|right|bottom|inset|space|overflow|hidden|block|inline|absolute|relative|fixed)(-|$)/.test(name);
+  }
+
+  // Ordered subsets of `items`, smallest first, up to `max` entries each
+  combinations(items, max) {
+    const result = [];
+    const build = (start, current) => {
+      if (current.length > 0) result.push(current);
+      if (current.length === max) return;
+      for (let i = start; i < items.length; i++) {
+        build(i + 1, [...current, items[i]]);
+      }
+    };
+    build(0, []);
+    return result.sort((a, b) => a.length - b.length);
+  }
+
+  // Quote a string for use in an XPath expression
+  xpathLiteral(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+    return `concat("${value.split('"').join('", \'"\', "')}")`;
+  }
+}
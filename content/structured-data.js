@@ -0,0 +1,205 @@
+// content/structured-data.js - Read JSON-LD, microdata, RDFa and OpenGraph data from the page
+
+// Loaded before content.js (see manifest.json). Every source is returned as
+// { type, data } entries; microdata and RDFa items are turned into JSON-LD shaped
+// objects ({ '@type': 'Product', name, offers: { '@type': 'Offer', price } }) so
+// lib/schema-org.js can read all of them the same way.
+class StructuredDataExtractor {
+  constructor() {
+    // Top-level items read per source, to keep the message to the background small
+    this.maxItems = 100;
+
+    // Longest text kept for one property value
+    this.maxTextLength = 1000;
+  }
+
+  // All structured data on the page: json-ld, microdata, rdfa and opengraph entries
+  extractAll() {
+    return [
+      ...this.extractJsonLd(),
+      ...this.extractMicrodata().map(data => ({ type: 'microdata', data })),
+      ...this.extractRdfa().map(data => ({ type: 'rdfa', data })),
+      ...this.extractOpenGraph()
+    ];
+  }
+
+  // One entry per parsable <script type="application/ld+json"> block
+  extractJsonLd() {
+    const entries = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        entries.push({ type: 'json-ld', data: JSON.parse(script.textContent) });
+      } catch (e) {
+        // Invalid JSON, skip
+      }
+    });
+    return entries;
+  }
+
+  // og: meta tags as one entry, or none when the page has no tags
+  extractOpenGraph() {
+    const openGraph = {};
+    document.querySelectorAll('meta[property^="og:"]').forEach(tag => {
+      const property = tag.getAttribute('property');
+      const content = tag.getAttribute('content');
+      if (property && content) {
+        openGraph[property] = content;
+      }
+    });
+    return Object.keys(openGraph).length > 0 ? [{ type: 'opengraph', data: openGraph }] : [];
+  }
+
+  // Top-level microdata items: itemscope elements that are not a property of another item
+  extractMicrodata() {
+    return Array.from(document.querySelectorAll('[itemscope]:not([itemprop])'))
+      .slice(0, this.maxItems)
+      .map(element => this.readMicrodataItem(element, new Set()));
+  }
+
+  // One microdata item with its properties, following itemref to elements elsewhere
+  // on the page. `visited` guards against itemref loops.
+  readMicrodataItem(element, visited) {
+    visited.add(element);
+    const item = {};
+    const types = this.localNames(element.getAttribute('itemtype'));
+    if (types.length > 0) item['@type'] = types.length === 1 ? types[0] : types;
+    if (element.getAttribute('itemid')) item['@id'] = element.getAttribute('itemid');
+
+    const roots = [element];
+    (element.getAttribute('itemref') || '').split(/\s+/).filter(Boolean).forEach(id => {
+      const referenced = document.getElementById(id);
+      if (referenced && !visited.has(referenced)) roots.push(referenced);
+    });
+
+    roots.forEach((root, index) => {
+      // Referenced elements can carry an itemprop themselves
+      if (index > 0 && root.hasAttribute('itemprop')) {
+        this.addMicrodataProperty(item, root, visited);
+        if (root.hasAttribute('itemscope')) return;
+      }
+      this.walkMicrodata(root, item, visited);
+    });
+    return item;
+  }
+
+  // Add the properties under `element` to `item`, without entering nested items
+  walkMicrodata(element, item, visited) {
+    Array.from(element.children).forEach(child => {
+      if (visited.has(child)) return;
+      if (child.hasAttribute('itemprop')) this.addMicrodataProperty(item, child, visited);
+      if (!child.hasAttribute('itemscope')) this.walkMicrodata(child, item, visited);
+    });
+  }
+
+  addMicrodataProperty(item, element, visited) {
+    const value = element.hasAttribute('itemscope')
+      ? this.readMicrodataItem(element, visited)
+      : this.microdataValue(element);
+    this.localNames(element.getAttribute('itemprop')).forEach(name => this.addValue(item, name, value));
+  }
+
+  // Property value by element, as the HTML microdata spec defines it
+  microdataValue(element) {
+    if (element.hasAttribute('content')) return element.getAttribute('content');
+    return this.elementValue(element);
+  }
+
+  // Top-level RDFa resources: typeof elements that are not a property of another resource
+  extractRdfa() {
+    return Array.from(document.querySelectorAll('[typeof]:not([property])'))
+      .slice(0, this.maxItems)
+      .map(element => this.readRdfaResource(element));
+  }
+
+  // One RDFa resource: its types, its subject (resource/about) and its properties
+  readRdfaResource(element) {
+    const resource = {};
+    const types = this.localNames(element.getAttribute('typeof'));
+    if (types.length > 0) resource['@type'] = types.length === 1 ? types[0] : types;
+    const subject = element.getAttribute('resource') || element.getAttribute('about');
+    if (subject) resource['@id'] = subject;
+
+    this.walkRdfa(element, resource);
+    return resource;
+  }
+
+  // Add the properties under `element` to `resource`. A property element without
+  // typeof still belongs to the same resource, so its children are read too.
+  walkRdfa(element, resource) {
+    Array.from(element.children).forEach(child => {
+      const hasType = child.hasAttribute('typeof');
+      if (child.hasAttribute('property')) {
+        const value = hasType ? this.readRdfaResource(child) : this.rdfaValue(child);
+        this.localNames(child.getAttribute('property')).forEach(name => this.addValue(resource, name, value));
+      }
+      if (!hasType) this.walkRdfa(child, resource);
+    });
+  }
+
+  // content wins, then a link target (resource/href/src), then the element's text
+  rdfaValue(element) {
+    if (element.hasAttribute('content')) return element.getAttribute('content');
+    const target = element.getAttribute('resource') || element.getAttribute('href') || element.getAttribute('src');
+    if (target) return this.absoluteUrl(target);
+    return element.tagName === 'TIME' && element.getAttribute('datetime')
+      ? element.getAttribute('datetime')
+      : this.text(element);
+  }
+
+  // Value of a plain property element: links and media give a URL, data/meter their
+  // value, time its datetime, anything else its text
+  elementValue(element) {
+    switch (element.tagName) {
+      case 'A':
+      case 'AREA':
+      case 'LINK':
+        return this.absoluteUrl(element.getAttribute('href') || '');
+      case 'AUDIO':
+      case 'EMBED':
+      case 'IFRAME':
+      case 'IMG':
+      case 'SOURCE':
+      case 'TRACK':
+      case 'VIDEO':
+        return this.absoluteUrl(element.getAttribute('src') || '');
+      case 'OBJECT':
+        return this.absoluteUrl(element.getAttribute('data') || '');
+      case 'DATA':
+      case 'METER':
+        return element.getAttribute('value') || '';
+      case 'TIME':
+        return element.getAttribute('datetime') || this.text(element);
+      default:
+        return this.text(element);
+    }
+  }
+
+  // Repeated properties become arrays
+  addValue(target, name, value) {
+    if (!(name in target)) {
+      target[name] = value;
+    } else if (Array.isArray(target[name])) {
+      target[name].push(value);
+    } else {
+      target[name] = [target[name], value];
+    }
+  }
+
+  // Type or property names without their vocabulary: "https://schema.org/Product" and
+  // "schema:Product" give "Product"; several names are separated by spaces
+  localNames(value) {
+    return (value || '').split(/\s+/).filter(Boolean).map(name => name.replace(/^.*[/#:]/, ''));
+  }
+
+  absoluteUrl(value) {
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch (e) {
+      return value;
+    }
+  }
+
+  text(element) {
+    return element.textContent.replace(/\s+/g, ' ').trim().slice(0, this.maxTextLength);
+  }
+}
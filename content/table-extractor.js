@@ -0,0 +1,222 @@
+// content/table-extractor.js - Turn <table> and <dl> elements into rows of named columns
+
+// Loaded after content/selector-engine.js and before content.js (see manifest.json).
+// Tables are laid out on a grid first, so a cell spanning rows or columns fills every
+// slot it covers; header rows are then merged per column ("Price / Min") and columns
+// whose cells are all numbers get numeric values.
+class TableExtractor {
+  constructor(selectorEngine = new SelectorEngine()) {
+    this.selectorEngine = selectorEngine;
+
+    // Tables smaller than this are layout, not data
+    this.minRows = 2;
+    this.minColumns = 2;
+
+    // Limits that keep a message to the popup small
+    this.maxRows = 500;
+    this.maxTables = 10;
+
+    // Share of a column's non-empty cells that must parse as numbers
+    this.numericShare = 0.8;
+  }
+
+  // Data tables and definition lists on the page, largest first
+  extractAll() {
+    const tables = Array.from(document.querySelectorAll('table'))
+      .filter(table => this.isDataTable(table))
+      .map(table => this.extractTable(table));
+    const lists = Array.from(document.querySelectorAll('dl'))
+      .filter(list => list.querySelectorAll(':scope > dt, :scope > div > dt').length >= this.minRows)
+      .map(list => this.extractDefinitionList(list));
+
+    return [...tables, ...lists]
+      .filter(table => table.rows.length > 0)
+      .sort((a, b) => b.rows.length * b.columns.length - a.rows.length * a.columns.length)
+      .slice(0, this.maxTables);
+  }
+
+  // Extract the table or definition list containing `element`, or null
+  extractAround(element) {
+    const container = element?.closest?.('table, dl');
+    if (!container) return null;
+    return container.tagName === 'DL' ? this.extractDefinitionList(container) : this.extractTable(container);
+  }
+
+  // Visible tables with enough rows and columns that do not just hold other tables
+  isDataTable(table) {
+    if (table.getAttribute('role') === 'presentation' || table.querySelector('table')) return false;
+    const rect = table.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+
+    const grid = this.layoutGrid(table);
+    return grid.length >= this.minRows && Math.max(...grid.map(row => row.length)) >= this.minColumns;
+  }
+
+  // { kind, selector, caption, columns: [{ name, numeric, unit }], rows, items } for a table.
+  // `rows` holds cell values in column order; `items` the same rows keyed by column name.
+  extractTable(table) {
+    const grid = this.layoutGrid(table);
+    const headerCount = this.countHeaderRows(table, grid);
+    const width = Math.max(0, ...grid.map(row => row.length));
+
+    const names = this.uniqueNames(Array.from({ length: width }, (_, column) => {
+      const parts = [];
+      grid.slice(0, headerCount).forEach(row => {
+        const text = row[column]?.text || '';
+        if (text && !parts.includes(text)) parts.push(text);
+      });
+      return parts.join(' / ');
+    }));
+
+    // Cell texts and each row's first link, with blank rows dropped from both together
+    const rows = grid.slice(headerCount, headerCount + this.maxRows)
+      .map(row => ({
+        cells: Array.from({ length: width }, (_, column) => row[column]?.text || ''),
+        link: row.find(cell => cell?.link)?.link || ''
+      }))
+      .filter(({ cells }) => cells.some(Boolean));
+
+    return this.finish({
+      kind: 'table',
+      selector: this.selectorEngine.unique(table),
+      caption: table.caption ? this.cellText(table.caption) : '',
+      names,
+      body: rows.map(({ cells }) => cells),
+      links: rows.map(({ link }) => link)
+    });
+  }
+
+  // Term/definition rows for a <dl>. Several <dd> for one <dt> are joined with "; ".
+  extractDefinitionList(list) {
+    const body = [];
+    Array.from(list.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd')).forEach(node => {
+      const text = this.cellText(node);
+      if (node.tagName === 'DT') {
+        body.push([text, '']);
+      } else if (body.length > 0) {
+        const last = body[body.length - 1];
+        last[1] = last[1] ? `${last[1]}; ${text}` : text;
+      }
+    });
+
+    return this.finish({
+      kind: 'definition_list',
+      selector: this.selectorEngine.unique(list),
+      caption: '',
+      names: ['Term', 'Definition'],
+      body: body.filter(([term]) => term).slice(0, this.maxRows),
+      links: []
+    });
+  }
+
+  // Numeric cleanup and the keyed items shared by tables and definition lists
+  finish({ kind, selector, caption, names, body, links }) {
+    const columns = names.map((name, index) => {
+      const cells = body.map(row => row[index]).filter(Boolean);
+      const parsed = cells.map(text => this.parseNumber(text)).filter(Boolean);
+      const numeric = cells.length > 0 && parsed.length / cells.length >= this.numericShare;
+      const units = new Set(parsed.map(number => number.unit).filter(Boolean));
+      return { name, numeric, unit: numeric && units.size === 1 ? [...units][0] : '' };
+    });
+
+    const rows = body.map(row => row.map((text, index) => {
+      if (!columns[index].numeric || !text) return text;
+      const number = this.parseNumber(text);
+      return number ? number.value : text;
+    }));
+
+    const items = rows.map((row, rowIndex) => {
+      const item = Object.fromEntries(columns.map((column, index) => [column.name, row[index]]));
+      if (links[rowIndex] && !('link' in item)) item.link = links[rowIndex];
+      return item;
+    });
+
+    return { kind, selector, caption, columns, rows, items };
+  }
+
+  // Lay the table out on a grid: grid[row][column] = { text, link, header } with each
+  // rowspan/colspan cell repeated in every slot it covers. A rowspan reaching past the
+  // last row is cut off there.
+  layoutGrid(table) {
+    const grid = [];
+    const tableRows = Array.from(table.rows).slice(0, this.maxRows + 10);
+    tableRows.forEach((row, rowIndex) => {
+      grid[rowIndex] = grid[rowIndex] || [];
+      let column = 0;
+
+      Array.from(row.cells).forEach(cell => {
+        while (grid[rowIndex][column]) column++;
+
+        const rowSpan = Math.max(1, Math.min(parseInt(cell.getAttribute('rowspan'), 10) || 1, 100, tableRows.length - rowIndex));
+        const colSpan = Math.max(1, Math.min(parseInt(cell.getAttribute('colspan'), 10) || 1, 100));
+        const link = cell.querySelector('a[href]');
+        const value = {
+          text: this.cellText(cell),
+          link: link && /^https?:/.test(link.href) ? link.href : '',
+          header: cell.tagName === 'TH'
+        };
+
+        for (let r = 0; r < rowSpan; r++) {
+          grid[rowIndex + r] = grid[rowIndex + r] || [];
+          for (let c = 0; c < colSpan; c++) {
+            grid[rowIndex + r][column + c] = value;
+          }
+        }
+        column += colSpan;
+      });
+    });
+
+    return grid.filter(row => row && row.length > 0);
+  }
+
+  // Leading header rows: the <thead> rows, else rows made only of <th> cells, else a
+  // first row of distinct text labels above rows that contain numbers
+  countHeaderRows(table, grid) {
+    if (grid.length === 0) return 0;
+    if (table.tHead && table.tHead.rows.length > 0) {
+      return Math.min(table.tHead.rows.length, grid.length - 1);
+    }
+
+    let count = 0;
+    while (count < grid.length - 1 && grid[count].every(cell => !cell || cell.header)) {
+      count++;
+    }
+    if (count > 0) return count;
+
+    const [first, ...rest] = grid;
+    const labels = first.map(cell => cell?.text || '');
+    const looksLikeLabels = labels.every(text => text && !this.parseNumber(text)) &&
+      new Set(labels).size === labels.length;
+    const bodyHasNumbers = rest.some(row => row.some(cell => cell && this.parseNumber(cell.text)));
+    return looksLikeLabels && bodyHasNumbers ? 1 : 0;
+  }
+
+  // Column names: header text, "Column n" when empty, suffixed when repeated
+  uniqueNames(names) {
+    const seen = new Map();
+    return names.map((name, index) => {
+      const base = name || `Column ${index + 1}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return count === 1 ? base : `${base} ${count}`;
+    });
+  }
+
+  // A number written with optional currency or unit, thousands separators, a sign or
+  // accounting parentheses: "₹1,29,999" → { value: 129999, unit: '₹' }, "(12.5)" →
+  // { value: -12.5 }, "42 km" → { value: 42, unit: 'km' }. Null for anything else.
+  parseNumber(text) {
+    const match = String(text).trim().match(/^(rs\.?|[^\d\s().,+\-−]{0,3})\s*([-+−]?)\s*(\()?\s*(\d{1,3}(?:,\d{2,3})+|\d+)(\.\d+)?\s*(\))?\s*([^\d\s]{0,4}|[a-z]{1,5}\.?)$/i);
+    if (!match) return null;
+
+    const [, prefix, sign, open, whole, fraction = '', close, suffix] = match;
+    if (Boolean(open) !== Boolean(close)) return null;
+
+    const value = parseFloat(`${whole.replace(/,/g, '')}${fraction}`) * (sign === '-' || sign === '−' || open ? -1 : 1);
+    return Number.isFinite(value) ? { value, unit: prefix || suffix || '' } : null;
+  }
+
+  cellText(element) {
+    return element.textContent.replace(/\s+/g, ' ').trim();
+  }
+}
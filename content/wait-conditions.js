@@ -0,0 +1,132 @@
+// content/wait-conditions.js - Wait until a loaded page is ready to scrape
+
+// Loaded before content.js (see manifest.json). Conditions are described in
+// lib/wait-conditions.js; each one resolves, never rejects, to
+// { type, satisfied, elapsedMs, detail } so the caller can report what happened and
+// scrape the page as it is when a condition times out.
+class WaitConditions {
+  constructor() {
+    // How often polling conditions look at the page
+    this.pollMs = 100;
+  }
+
+  // Evaluate one condition ({ type, selector, quietMs, timeoutMs })
+  wait(condition) {
+    const started = Date.now();
+    const waits = {
+      selector: () => this.waitForSelector(condition.selector, condition.timeoutMs),
+      network_idle: () => this.waitForNetworkIdle(condition.quietMs, condition.timeoutMs),
+      dom_quiet: () => this.waitForDomQuiet(condition.quietMs, condition.timeoutMs),
+      item_count: () => this.waitForStableCount(condition.selector, condition.quietMs, condition.timeoutMs)
+    };
+    const run = waits[condition.type];
+
+    if (!run) {
+      return Promise.resolve({ type: condition.type, satisfied: false, elapsedMs: 0, detail: 'Unknown wait condition' });
+    }
+
+    return run().then(({ satisfied, detail }) => {
+      const result = { type: condition.type, satisfied, elapsedMs: Date.now() - started, detail };
+      console.log(`${satisfied ? '⏱️' : '⌛'} Wait ${condition.type}: ${detail} after ${result.elapsedMs}ms`);
+      return result;
+    });
+  }
+
+  // Resolve once `selector` matches something
+  waitForSelector(selector, timeoutMs) {
+    const found = () => {
+      try {
+        return document.querySelector(selector) !== null;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    return this.poll(timeoutMs, () => found()
+      ? { satisfied: true, detail: `"${selector}" appeared` }
+      : null
+    ).then(result => result || { satisfied: false, detail: `"${selector}" never appeared` });
+  }
+
+  // Resolve once no resource (XHR, fetch, image, script) has finished for `quietMs`.
+  // Requests still in flight are not visible, so a long poll counts as idle.
+  waitForNetworkIdle(quietMs, timeoutMs) {
+    let lastActivity = Date.now();
+    let requests = 0;
+    const observer = new PerformanceObserver((list) => {
+      requests += list.getEntries().length;
+      lastActivity = Date.now();
+    });
+    observer.observe({ type: 'resource', buffered: false });
+
+    return this.poll(timeoutMs, () => Date.now() - lastActivity >= quietMs
+      ? { satisfied: true, detail: `no requests for ${quietMs}ms (${requests} while waiting)` }
+      : null
+    ).then(result => {
+      observer.disconnect();
+      return result || { satisfied: false, detail: `network still busy (${requests} requests)` };
+    });
+  }
+
+  // Resolve once the DOM has not changed for `quietMs`
+  waitForDomQuiet(quietMs, timeoutMs) {
+    let lastMutation = Date.now();
+    let mutations = 0;
+    const observer = new MutationObserver((records) => {
+      mutations += records.length;
+      lastMutation = Date.now();
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+
+    return this.poll(timeoutMs, () => Date.now() - lastMutation >= quietMs
+      ? { satisfied: true, detail: `no changes for ${quietMs}ms (${mutations} mutations while waiting)` }
+      : null
+    ).then(result => {
+      observer.disconnect();
+      return result || { satisfied: false, detail: `page still changing (${mutations} mutations)` };
+    });
+  }
+
+  // Resolve once `selector` matches at least one element and the count has not changed
+  // for `quietMs`
+  waitForStableCount(selector, quietMs, timeoutMs) {
+    const count = () => {
+      try {
+        return document.querySelectorAll(selector).length;
+      } catch (error) {
+        return 0;
+      }
+    };
+    let last = count();
+    let lastChange = Date.now();
+
+    return this.poll(timeoutMs, () => {
+      const current = count();
+      if (current !== last) {
+        last = current;
+        lastChange = Date.now();
+      }
+      return current > 0 && Date.now() - lastChange >= quietMs
+        ? { satisfied: true, detail: `${current} items, stable for ${quietMs}ms` }
+        : null;
+    }).then(result => result || { satisfied: false, detail: `${last} items, count not stable` });
+  }
+
+  // Call `check` every pollMs until it returns a result or `timeoutMs` passes (null)
+  poll(timeoutMs, check) {
+    return new Promise(resolve => {
+      const started = Date.now();
+      const tick = () => {
+        const result = check();
+        if (result) {
+          resolve(result);
+        } else if (Date.now() - started >= timeoutMs) {
+          resolve(null);
+        } else {
+          setTimeout(tick, this.pollMs);
+        }
+      };
+      tick();
+    });
+  }
+}
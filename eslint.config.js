@@ -0,0 +1,57 @@
+// eslint.config.js - Lint settings for the extension and its tests (ESLint flat config)
+
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  {
+    ignores: ['node_modules/**', 'test/fixtures/**']
+  },
+  js.configs.recommended,
+  {
+    rules: {
+      // Message listeners keep the (request, sender, sendResponse) signature
+      'no-unused-vars': ['error', { args: 'none' }]
+    }
+  },
+  {
+    // Background service worker, extension pages and lib/
+    files: ['*.js', 'lib/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: { ...globals.browser, ...globals.webextensions }
+    }
+  },
+  {
+    // Content scripts are classic scripts sharing one scope, loaded in manifest.json order
+    files: ['content.js', 'content/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'script',
+      globals: {
+        ...globals.browser,
+        ...globals.webextensions,
+        SelectorEngine: 'readonly',
+        ListDetector: 'readonly',
+        WaitConditions: 'readonly',
+        TableExtractor: 'readonly',
+        StructuredDataExtractor: 'readonly',
+        PageTextExtractor: 'readonly'
+      }
+    },
+    rules: {
+      // Each file declares one of the globals above for the files after it
+      'no-redeclare': ['error', { builtinGlobals: false }],
+      'no-unused-vars': ['error', { vars: 'local', args: 'none' }]
+    }
+  },
+  {
+    files: ['test/**/*.mjs'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: globals.node
+    }
+  }
+];
@@ -0,0 +1,145 @@
+// lib/chunking.js - Fitting page text into the model's context window, and merging the
+// items extracted from each part
+
+// Context window assumed when the user has not changed the setting, in tokens
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Bounds for the Context Window setting (Gemma 3 accepts up to 128K tokens)
+export const MIN_CONTEXT_WINDOW = 2048;
+export const MAX_CONTEXT_WINDOW = 131072;
+
+// Parts of one page sent to the model at most; each part is a separate request
+export const MAX_CHUNKS = 6;
+
+// Rough size of a token in characters. Tokenizers differ by model, so budgets are
+// estimates and leave headroom rather than counting exactly.
+const CHARS_PER_TOKEN = 4;
+
+// Smallest part worth a request, in tokens
+const MIN_CHUNK_TOKENS = 256;
+
+// Estimated token count of a piece of text
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+// Tokens left for page text in one request: the context window less the prompt around
+// the text, the tokens reserved for the answer and a tenth for estimation error
+export function chunkBudget(contextWindow, promptTemplate, outputTokens) {
+  const available = Math.floor(contextWindow * 0.9) - estimateTokens(promptTemplate) - outputTokens;
+  return Math.max(available, MIN_CHUNK_TOKENS);
+}
+
+// Split text into parts of at most `maxTokens`. Parts break between blocks (blank-line
+// separated, as in Markdown) so an item is rarely cut in two; a block larger than a
+// whole part is split by lines, and a line larger than that by characters.
+export function chunkText(text, maxTokens) {
+  const maxChars = Math.max(maxTokens, 1) * CHARS_PER_TOKEN;
+  const pieces = String(text || '')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .flatMap(block => block.length <= maxChars ? [block] : splitBlock(block, maxChars));
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    if (current && current.length + 2 + piece.length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Lines of an oversized block, packed into pieces of at most `maxChars`
+function splitBlock(block, maxChars) {
+  const lines = block.split('\n').flatMap(line => line.length <= maxChars
+    ? [line]
+    : Array.from({ length: Math.ceil(line.length / maxChars) }, (_, index) => line.slice(index * maxChars, (index + 1) * maxChars)));
+
+  const pieces = [];
+  let current = '';
+  lines.forEach(line => {
+    if (current && current.length + 1 + line.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  });
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Parts of a page sent to the model: the first MAX_CHUNKS parts of its text, plus the
+// number of parts the whole page would take
+export function chunkPage(text, maxTokens, maxChunks = MAX_CHUNKS) {
+  const chunks = chunkText(text, maxTokens);
+  return { parts: chunks.slice(0, maxChunks), total: chunks.length };
+}
+
+// Readable text from raw HTML, for pages whose content script could not be reached:
+// drops scripts, styles, SVG and comments, turns block elements into line breaks and
+// decodes the common entities. The content script's Markdown is preferred since it
+// also drops navigation and keeps only the main content region.
+export function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'", rsquo: '’', lsquo: '‘', hellip: '…' };
+
+  return String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|svg|noscript|template|head|iframe)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|main|header|footer|li|ul|ol|tr|table|h[1-6]|dl|dt|dd|blockquote|pre)\b[^>]*>/gi, '\n\n')
+    .replace(/<(td|th)\b[^>]*>/gi, ' | ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (match, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return entities[name.toLowerCase()] ?? match;
+    })
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Merge the items extracted from each part of a page. `results` is a list of
+// { chunk, items } with `chunk` the 0-based part index. Items are kept in page order
+// with `source_chunk` (1-based) naming the part they came from. An item repeated in a
+// later part (same title and price) is kept once, with fields the first copy lacked
+// filled in from the repeat.
+export function mergeChunkItems(results) {
+  const missing = (value) => value === undefined || value === null || value === '' ||
+    (typeof value === 'string' && /^(not[_ ]found|n\/a|none|unknown)$/i.test(value.trim()));
+  const normalize = (value) => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+  const merged = [];
+  const byKey = new Map();
+
+  [...results]
+    .sort((a, b) => a.chunk - b.chunk)
+    .forEach(({ chunk, items }) => {
+      (items || []).forEach(item => {
+        if (!item || missing(item.title)) return;
+
+        const key = `${normalize(item.title)}|${missing(item.price) ? '' : normalize(item.price)}`;
+        const existing = byKey.get(key);
+        if (existing) {
+          Object.entries(item).forEach(([field, value]) => {
+            if (missing(existing[field]) && !missing(value)) existing[field] = value;
+          });
+          return;
+        }
+
+        const entry = { ...item, source_chunk: chunk + 1 };
+        byKey.set(key, entry);
+        merged.push(entry);
+      });
+    });
+
+  return merged;
+}
@@ -0,0 +1,157 @@
+// lib/compare.js - Grouping the same product across retailers for compare searches
+
+// Sites scraped at the same time when the user has not changed the setting
+export const DEFAULT_COMPARE_CONCURRENCY = 2;
+
+// Upper bound for the Sites at Once setting
+export const MAX_COMPARE_CONCURRENCY = 4;
+
+// Titles at least this similar (see titleSimilarity) are treated as the same product
+export const MATCH_THRESHOLD = 0.6;
+
+// Words that say nothing about which product a title describes
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'with', 'for', 'of', 'in', 'on', 'by', 'to', 'from',
+  'new', 'latest', 'edition', 'version', 'model', 'pack', 'combo', 'set', 'free',
+  'online', 'buy', 'best', 'price', 'offer', 'sale', 'inch', 'inches', 'cm'
+]);
+
+// Words that name a different model of the same product line ("iPhone 15" vs
+// "iPhone 15 Plus"); titles only match when they agree on these
+const VARIANT_WORDS = new Set(['pro', 'plus', 'max', 'mini', 'ultra', 'lite', 'neo', 'air', 'fe', 'prime']);
+
+// Units glued to the number before them, so "8 GB" and "8GB" give the same token
+const UNIT_PATTERN = /\b(\d+(?:\.\d+)?)\s+(gb|tb|mb|mah|mp|hz|w|kg|g|ml|l|cm|mm|inch|inches|"|5g|4g)\b/gi;
+
+// Lowercase words of a product title, without punctuation and stopwords
+export function titleTokens(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(UNIT_PATTERN, '$1$2')
+    .replace(/[^a-z0-9.]+/g, ' ')
+    .split(' ')
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token && !STOPWORDS.has(token) && (token.length > 1 || /\d/.test(token)));
+}
+
+// Similarity of two titles between 0 and 1: the share of the shorter title's words
+// found in the longer one, so "Galaxy M34 5G" matches a retailer's long listing title.
+// Tokens with digits (model numbers, storage sizes) must agree, which keeps "M34" and
+// "M14" apart even though the rest of their titles match, and so must variant words.
+export function titleSimilarity(a, b) {
+  const [shorter, longer] = [new Set(titleTokens(a)), new Set(titleTokens(b))]
+    .sort((x, y) => x.size - y.size);
+  if (shorter.size < 2) return 0;
+
+  const variants = (tokens) => [...tokens].filter(token => VARIANT_WORDS.has(token)).sort().join(' ');
+  if (variants(shorter) !== variants(longer)) return 0;
+
+  const shared = [...shorter].filter(token => longer.has(token)).length;
+  const models = [...shorter].filter(token => /\d/.test(token));
+  const modelShare = models.length > 0
+    ? models.filter(token => longer.has(token)).length / models.length
+    : 1;
+
+  return (shared / shorter.size) * modelShare;
+}
+
+// Run `fn` over `items` with at most `limit` calls in flight. Resolves to the results
+// in the order of `items`; `fn` is expected to handle its own errors.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+// Order prices low to high with unknown prices last
+function comparePrices(a, b) {
+  if (a === null || b === null) return (a === null) - (b === null);
+  return a - b;
+}
+
+// Cheapest offer in a group. Prices in another currency than the first priced offer
+// are not compared; offers without a price never win.
+function lowestOffer(offers) {
+  const priced = offers.filter(offer => offer.price_value !== null);
+  if (priced.length === 0) return null;
+
+  const { currency } = priced.find(offer => offer.currency) || {};
+  return priced
+    .filter(offer => !currency || !offer.currency || offer.currency === currency)
+    .reduce((best, offer) => offer.price_value < best.price_value ? offer : best);
+}
+
+// Group offers from several sites by product. `sources` is a list of
+// { site, label, items } with items normalized by lib/constraints.js (price_value,
+// currency, rating_value). Each offer joins the most similar group that has no offer
+// from its site yet, or starts a new one.
+// Returns groups of { title, offers, lowest, siteCount }, products found on the most
+// sites first, then cheapest first.
+export function groupOffers(sources, threshold = MATCH_THRESHOLD) {
+  const groups = [];
+
+  sources.forEach(({ site, label, items }) => {
+    items.forEach(item => {
+      if (!item.title) return;
+
+      const offer = {
+        site,
+        site_label: label,
+        title: item.title,
+        price: item.price || null,
+        price_value: item.price_value ?? null,
+        currency: item.currency ?? null,
+        rating: item.rating || null,
+        rating_value: item.rating_value ?? null,
+        link: item.link || null
+      };
+
+      let best = null;
+      let bestScore = threshold;
+      groups.forEach(group => {
+        if (group.offers.some(existing => existing.site === site)) return;
+        const score = Math.max(...group.offers.map(existing => titleSimilarity(existing.title, offer.title)));
+        if (score >= bestScore) {
+          best = group;
+          bestScore = score;
+        }
+      });
+
+      if (best) {
+        best.offers.push(offer);
+      } else {
+        groups.push({ offers: [offer] });
+      }
+    });
+  });
+
+  return groups
+    .map(({ offers }) => ({
+      // The shortest title is usually the plain product name
+      title: offers.map(offer => offer.title).sort((a, b) => a.length - b.length)[0],
+      offers: [...offers].sort((a, b) => comparePrices(a.price_value, b.price_value)),
+      lowest: lowestOffer(offers),
+      siteCount: offers.length
+    }))
+    .sort((a, b) => b.siteCount - a.siteCount ||
+      comparePrices(a.lowest?.price_value ?? null, b.lowest?.price_value ?? null));
+}
+
+// One row per offer, for the result list and exports: the offer plus its group number
+// and whether it is the group's lowest price
+export function flattenGroups(groups) {
+  return groups.flatMap((group, index) => group.offers.map(offer => ({
+    ...offer,
+    product_group: index + 1,
+    lowest_price: offer === group.lowest
+  })));
+}
@@ -0,0 +1,224 @@
+// lib/constraints.js - Price, rating, brand and currency constraints stated in a query
+
+import { parsePrice, parseRating, parseCurrency } from './values.js';
+
+// A query's constraints. Fields are null when the query does not state them.
+//   maxPrice, minPrice - price bounds, in `currency` when one is given
+//   minRating          - lowest acceptable rating
+//   brand              - brand the item title must mention
+//   currency           - ISO code written next to a price ("₹", "rs", "$", "euros")
+//   sort               - 'price_asc' | 'price_desc' | 'rating_desc'
+//   searchText         - the query without its price and rating phrases, for search URLs
+const EMPTY_CONSTRAINTS = {
+  maxPrice: null,
+  minPrice: null,
+  minRating: null,
+  brand: null,
+  currency: null,
+  sort: null
+};
+
+// Brands recognised in queries, lowercase → display name
+const KNOWN_BRANDS = {
+  apple: 'Apple', iphone: 'Apple', samsung: 'Samsung', oneplus: 'OnePlus', xiaomi: 'Xiaomi',
+  redmi: 'Redmi', realme: 'Realme', vivo: 'Vivo', oppo: 'Oppo', motorola: 'Motorola',
+  nokia: 'Nokia', pixel: 'Google', iqoo: 'iQOO', poco: 'Poco',
+  sony: 'Sony', lg: 'LG', hp: 'HP', dell: 'Dell', lenovo: 'Lenovo', asus: 'Asus',
+  acer: 'Acer', msi: 'MSI', boat: 'boAt', jbl: 'JBL', bose: 'Bose', sennheiser: 'Sennheiser',
+  nike: 'Nike', adidas: 'Adidas', puma: 'Puma', reebok: 'Reebok', levis: "Levi's",
+  canon: 'Canon', nikon: 'Nikon', philips: 'Philips', whirlpool: 'Whirlpool', haier: 'Haier'
+};
+
+// Sort order keywords
+const SORT_PATTERNS = [
+  ['price_asc', /\b(cheapest|lowest price|low to high|least expensive)\b/i],
+  ['price_desc', /\b(most expensive|priciest|high to low)\b/i],
+  ['rating_desc', /\b(best|top|highest)[ -]rated\b|\bbest reviewed\b/i]
+];
+
+// A money amount: optional currency, digits with separators, optional k/lakh multiplier
+// and trailing currency word. Numbers followed by units (16 GB, 2 kg, 55 inch) are not prices.
+const AMOUNT = String.raw`((?:₹|rs\.?|inr|\$|€|£|usd|eur|gbp)?\s*\d[\d,]*(?:\.\d+)?\s*(?:k|thousand|lakhs?|lacs?)?\b(?:\s*(?:rupees?|rs\.?|inr|dollars?|usd|euros?|eur|pounds?|gbp)\b)?)(?!\s*(?:gb|tb|mb|kg|g|inch(?:es)?|in|"|mp|mah|hz|w|cm|mm|km|hours?|hrs?|mins?|minutes?|years?|days?|stars?|★|%))`;
+
+const RANGE_PATTERN = new RegExp(String.raw`\b(?:between|from)\s+${AMOUNT}\s*(?:and|to|-)\s*${AMOUNT}`, 'i');
+const MAX_PATTERN = new RegExp(String.raw`(?:\b(?:under|below|less than|cheaper than|within|up ?to|max(?:imum)?|not more than|budget(?: of)?)|<=?)\s*${AMOUNT}`, 'i');
+const MIN_PATTERN = new RegExp(String.raw`(?:\b(?:above|over|more than|at least|min(?:imum)?|starting(?: at| from)?)|>=?)\s*${AMOUNT}`, 'i');
+
+// "rated 4+", "rating above 4.2", "4 stars and above", "at least 4.5 stars", "4★+", "4+ stars"
+const RATING_PATTERNS = [
+  /\b(?:rated|ratings?)\s*(?:of\s*)?(?:above|over|at least|>=?)?\s*(\d(?:\.\d)?)\s*(?:\+|stars?|★)?(?:\s*(?:and|&|or)\s*(?:above|up|more))?/i,
+  /\b(?:above|over|at least|min(?:imum)?)\s*(\d(?:\.\d)?)\s*(?:stars?|★)(?:\s*rat(?:ed|ings?))?/i,
+  /\b(\d(?:\.\d)?)\s*(?:\+\s*)?(?:stars?|★)\s*(?:(?:and|&|or)\s*(?:above|up|more)|\+)/i,
+  /\b(\d(?:\.\d)?)\s*\+\s*(?:stars?|★)/i,
+  /\b(\d(?:\.\d)?)\s*(?:stars?|★)\s*\+?\s*rat(?:ed|ings?)\b/i
+];
+
+// Amount text → number, applying k/lakh multipliers ("80k" → 80000, "1.5 lakh" → 150000)
+function parseAmount(text) {
+  const value = parsePrice(text);
+  if (value === null) return null;
+  if (/\d\s*(?:k|thousand)\b/i.test(text)) return value * 1000;
+  if (/\d\s*(?:lakhs?|lacs?)\b/i.test(text)) return value * 100000;
+  return value;
+}
+
+// Rule-based parse of a query's constraints
+export function parseConstraints(query) {
+  let text = String(query || '');
+  const constraints = { ...EMPTY_CONSTRAINTS };
+  const amounts = [];
+
+  // Remove a matched phrase so later patterns (and the search text) do not see it
+  const take = (pattern) => {
+    const match = text.match(pattern);
+    if (match) text = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+    return match;
+  };
+
+  for (const pattern of RATING_PATTERNS) {
+    const match = take(pattern);
+    if (match) {
+      const rating = parseFloat(match[1]);
+      if (rating > 0 && rating <= 5) constraints.minRating = rating;
+      break;
+    }
+  }
+
+  const range = take(RANGE_PATTERN);
+  if (range) {
+    const [low, high] = [parseAmount(range[1]), parseAmount(range[2])].sort((a, b) => a - b);
+    constraints.minPrice = low;
+    constraints.maxPrice = high;
+    amounts.push(range[1], range[2]);
+  } else {
+    const max = take(MAX_PATTERN);
+    if (max) {
+      constraints.maxPrice = parseAmount(max[1]);
+      amounts.push(max[1]);
+    }
+    const min = take(MIN_PATTERN);
+    if (min) {
+      constraints.minPrice = parseAmount(min[1]);
+      amounts.push(min[1]);
+    }
+  }
+
+  constraints.currency = amounts.map(parseCurrency).find(Boolean) || null;
+
+  const words = String(query || '').toLowerCase().match(/[a-z']+/g) || [];
+  const brandWord = words.map(word => word.replace(/'/g, '')).find(word => KNOWN_BRANDS[word]);
+  constraints.brand = brandWord ? KNOWN_BRANDS[brandWord] : null;
+
+  const sort = SORT_PATTERNS.find(([, pattern]) => pattern.test(query || ''));
+  constraints.sort = sort ? sort[0] : null;
+
+  constraints.searchText = text.replace(/\s+/g, ' ').trim() || String(query || '').trim();
+  return constraints;
+}
+
+// JSON schema for the optional "constraints" object in Gemma's query analysis
+export const CONSTRAINTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    max_price: { type: ['number', 'null'] },
+    min_price: { type: ['number', 'null'] },
+    min_rating: { type: ['number', 'null'] },
+    brand: { type: ['string', 'null'] },
+    currency: { type: ['string', 'null'] }
+  }
+};
+
+// Fill the gaps in rule-based constraints with the ones Gemma reported. The rules win
+// wherever both have a value, since they only fire on explicit phrases.
+export function mergeConstraints(rules, llm) {
+  if (!llm || typeof llm !== 'object') return rules;
+
+  const pick = (ruleValue, llmValue) => ruleValue ?? (llmValue === undefined ? null : llmValue);
+  return {
+    ...rules,
+    maxPrice: pick(rules.maxPrice, llm.max_price),
+    minPrice: pick(rules.minPrice, llm.min_price),
+    minRating: pick(rules.minRating, llm.min_rating > 0 && llm.min_rating <= 5 ? llm.min_rating : null),
+    brand: pick(rules.brand, llm.brand || null),
+    currency: pick(rules.currency, /^[a-z]{3}$/i.test(llm.currency || '') ? llm.currency.toUpperCase() : null)
+  };
+}
+
+// True when any filter or sort order is set
+export function hasConstraints(constraints) {
+  return Boolean(constraints) && Object.keys(EMPTY_CONSTRAINTS).some(key => constraints[key] !== null);
+}
+
+// Add numeric price_value, its currency and rating_value to a scraped item
+export function normalizeItem(item) {
+  const price = parsePrice(item.price);
+  return {
+    ...item,
+    price_value: price,
+    currency: price !== null ? parseCurrency(item.price) : null,
+    rating_value: parseRating(item.rating)
+  };
+}
+
+// Normalize, filter and sort items. Items whose price or rating is unknown, or whose
+// price is in another currency, are kept (and sorted last) rather than guessed at.
+// Returns { items, removed, sort } where `sort` is the order actually applied.
+export function applyConstraints(items, constraints) {
+  const normalized = items.map(normalizeItem);
+  if (!hasConstraints(constraints)) {
+    return { items: normalized, removed: 0, sort: null };
+  }
+
+  const { maxPrice, minPrice, minRating, brand, currency } = constraints;
+  const comparable = (item) => item.price_value !== null &&
+    (!currency || !item.currency || item.currency === currency);
+  const brandPattern = brand ? new RegExp(`\\b${brand.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i') : null;
+
+  const kept = normalized.filter(item => {
+    if (maxPrice !== null && comparable(item) && item.price_value > maxPrice) return false;
+    if (minPrice !== null && comparable(item) && item.price_value < minPrice) return false;
+    if (minRating !== null && item.rating_value !== null && item.rating_value < minRating) return false;
+    if (brandPattern && !brandPattern.test(`${item.title || ''} ${item.description || ''}`)) return false;
+    return true;
+  });
+
+  // An explicit order wins; a price bound sorts cheapest first, a rating bound best first
+  const sort = constraints.sort ||
+    (maxPrice !== null || minPrice !== null ? 'price_asc' : minRating !== null ? 'rating_desc' : null);
+  const price = (item) => comparable(item) ? item.price_value : null;
+  const rating = (item) => item.rating_value;
+  const byValue = (value, direction) => (a, b) => {
+    const [x, y] = [value(a), value(b)];
+    if (x === null || y === null) return (x === null) - (y === null);
+    return direction * (x - y);
+  };
+  if (sort === 'price_asc') kept.sort(byValue(price, 1));
+  if (sort === 'price_desc') kept.sort(byValue(price, -1));
+  if (sort === 'rating_desc') kept.sort(byValue(rating, -1));
+
+  return { items: kept, removed: normalized.length - kept.length, sort };
+}
+
+// Short labels for the applied constraints, e.g. ["≤ ₹80,000", "★ 4+", "Samsung"]
+export function describeConstraints(constraints, sort = constraints?.sort) {
+  if (!constraints) return [];
+
+  const symbols = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+  const money = (value) => `${symbols[constraints.currency] || ''}${value.toLocaleString(constraints.currency === 'INR' || !constraints.currency ? 'en-IN' : 'en-US')}`;
+  const labels = [];
+
+  if (constraints.minPrice !== null && constraints.maxPrice !== null) {
+    labels.push(`${money(constraints.minPrice)}–${money(constraints.maxPrice)}`);
+  } else if (constraints.maxPrice !== null) {
+    labels.push(`≤ ${money(constraints.maxPrice)}`);
+  } else if (constraints.minPrice !== null) {
+    labels.push(`≥ ${money(constraints.minPrice)}`);
+  }
+  if (constraints.minRating !== null) labels.push(`★ ${constraints.minRating}+`);
+  if (constraints.brand) labels.push(constraints.brand);
+
+  const sortLabels = { price_asc: 'cheapest first', price_desc: 'priciest first', rating_desc: 'best rated first' };
+  if (sort) labels.push(sortLabels[sort]);
+
+  return labels;
+}
@@ -0,0 +1,129 @@
+// lib/enrichment.js - Reading specs, seller, availability and reviews from item detail pages
+
+// Detail-page fields an adapter can give selectors for (`details` entry). Selectors
+// are matched against the whole detail page, not one list item:
+//   specs        - specification rows; rows with two cells become { name: value }
+//   seller       - seller or merchant name
+//   availability - stock text ("In stock", "Only 2 left")
+//   review_count - number of reviews or ratings
+export const DETAIL_FIELDS = {
+  specs: 'Specifications',
+  seller: 'Seller',
+  availability: 'Availability',
+  review_count: 'Review Count'
+};
+
+// Items enriched per query when the user has not changed the setting (0 = off)
+export const DEFAULT_ENRICH_COUNT = 0;
+
+// Upper bound for the Enrich Top Results setting; each item costs a page load
+export const MAX_ENRICH_COUNT = 10;
+
+// Check an adapter's details entry; returns a list of problems (empty when valid)
+export function validateDetails(details) {
+  if (details === undefined || details === null) return [];
+  if (typeof details !== 'object' || Array.isArray(details)) {
+    return ['details must be an object of field selectors'];
+  }
+
+  return Object.entries(details)
+    .filter(([, selector]) => typeof selector !== 'string' || !selector.trim())
+    .map(([field]) => `details.${field} must be a non-empty selector`);
+}
+
+// Merge detail-page fields into a list item. List values win, except placeholders
+// for a missing price or rating; everything else is added alongside them.
+export function mergeDetails(item, details) {
+  const missing = (value) => !value || value === 'Price not found' || value === 'No rating';
+  const merged = { ...item };
+
+  Object.entries(details).forEach(([field, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    if (field in item && !missing(item[field])) return;
+    merged[field] = value;
+  });
+
+  merged.enriched = true;
+  return merged;
+}
+
+// Injected into a detail page: read schema.org Product/Offer data from JSON-LD, then
+// the adapter's detail selectors (which win over JSON-LD). Returns { fields, sources }
+// where `sources` lists what was found ('json-ld', 'selectors').
+export function extractDetailPage(detailSelectors = {}) {
+  const fields = {};
+  const sources = [];
+  const text = (element) => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+  const typeOf = (node) => [].concat(node?.['@type'] || []).map(type => String(type).replace(/^.*[/#]/, ''));
+
+  // Every object in the JSON-LD blocks, including @graph members and nested arrays
+  const nodes = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (error) {
+      // Invalid JSON, skip
+    }
+  });
+
+  const product = nodes.find(node => typeOf(node).some(type => type === 'Product' || type === 'ProductGroup'));
+  if (product) {
+    const offers = [].concat(product.offers || []);
+    const offer = offers.find(entry => typeOf(entry).includes('AggregateOffer')) || offers[0] || {};
+    const rating = product.aggregateRating || {};
+    const name = (value) => (typeof value === 'string' ? value : value?.name) || null;
+
+    Object.assign(fields, {
+      title: name(product.name),
+      brand: name(product.brand),
+      sku: product.sku || null,
+      mpn: product.mpn || null,
+      gtin: product.gtin13 || product.gtin12 || product.gtin || null,
+      full_description: typeof product.description === 'string' ? product.description.slice(0, 1000) : null,
+      price: offer.price ?? offer.lowPrice ?? null,
+      currency: offer.priceCurrency || null,
+      availability: offer.availability ? String(offer.availability).replace(/^.*[/#]/, '').replace(/([a-z])([A-Z])/g, '$1 $2') : null,
+      seller: name(offer.seller),
+      rating: rating.ratingValue ?? null,
+      review_count: rating.reviewCount ?? rating.ratingCount ?? null
+    });
+    if (fields.price !== null) fields.price = String(fields.price);
+    sources.push('json-ld');
+  }
+
+  let fromSelectors = false;
+  Object.entries(detailSelectors).forEach(([field, selector]) => {
+    let elements = [];
+    try {
+      elements = Array.from(document.querySelectorAll(selector));
+    } catch (error) {
+      return;
+    }
+    if (elements.length === 0) return;
+
+    // Table-like rows ("RAM | 16 GB") become a name → value object
+    const rows = elements
+      .map(element => Array.from(element.children).filter(child => text(child)))
+      .filter(cells => cells.length === 2);
+    if (rows.length > 0 && rows.length === elements.length) {
+      fields[field] = Object.fromEntries(rows.map(([name, value]) => [text(name), text(value)]));
+    } else {
+      fields[field] = elements.map(text).filter(Boolean).join('; ').slice(0, 500) || null;
+    }
+    fromSelectors = true;
+  });
+  if (fromSelectors) sources.push('selectors');
+
+  Object.keys(fields).forEach(key => {
+    if (fields[key] === null) delete fields[key];
+  });
+  return { fields, sources };
+}
@@ -0,0 +1,153 @@
+// lib/exporters.js - Serialize scrape results to CSV, JSON, NDJSON and Markdown
+
+// Item fields listed first, in this order; any other fields follow alphabetically
+const PREFERRED_COLUMNS = ['product_group', 'site', 'title', 'price', 'price_value', 'currency', 'rating', 'rating_value', 'link', 'description', 'additional_info'];
+
+// Result-level fields repeated on every row of the tabular formats
+const RESULT_COLUMNS = ['url', 'strategy', 'source', 'timestamp'];
+
+// Supported export formats. `bom` marks formats that get a UTF-8 byte order mark when
+// downloaded, so spreadsheet apps read ₹ and other non-ASCII text correctly.
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', bom: true, serialize: toCsv },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', serialize: toJson },
+  ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson', serialize: toNdjson },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', serialize: toMarkdown }
+};
+
+// Result-level metadata included in every export
+function resultMeta(results) {
+  return {
+    url: results.url || '',
+    strategy: results.strategy || '',
+    source: results.source || '',
+    timestamp: results.timestamp ? new Date(results.timestamp).toISOString() : ''
+  };
+}
+
+// The items to export, capped at `maxResults`
+function exportItems(results, maxResults) {
+  const items = Array.isArray(results.extracted_data) ? results.extracted_data : [];
+  return maxResults > 0 ? items.slice(0, maxResults) : items;
+}
+
+// Column order for the tabular formats: known item fields, other item fields, then
+// the result metadata. Table results keep the table's own column order instead.
+function columnsFor(items, results = {}) {
+  const itemKeys = new Set();
+  items.forEach(item => Object.keys(item || {}).forEach(key => itemKeys.add(key)));
+
+  const order = results.grid ? results.grid.columns.map(column => column.name) : PREFERRED_COLUMNS;
+  const preferred = order.filter(key => itemKeys.has(key));
+  const others = [...itemKeys]
+    .filter(key => !order.includes(key) && !RESULT_COLUMNS.includes(key))
+    .sort();
+
+  return [...preferred, ...others, ...RESULT_COLUMNS];
+}
+
+// One flat object per item, with the result metadata merged in
+function flatRows(results, maxResults) {
+  const meta = resultMeta(results);
+  return exportItems(results, maxResults).map(item => ({ ...meta, ...item }));
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Text a spreadsheet would run as a formula. Scraped titles and descriptions come from
+// arbitrary pages, so such cells get a leading ' (shown as text by Excel, LibreOffice
+// and Sheets). Plain numbers such as -12.5 are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// RFC 4180 quoting: wrap in quotes when needed and double embedded quotes
+function csvCell(value) {
+  let text = cellText(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(results, { maxResults } = {}) {
+  const rows = flatRows(results, maxResults);
+  const columns = columnsFor(exportItems(results, maxResults), results);
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+export function toJson(results, { maxResults } = {}) {
+  const items = exportItems(results, maxResults);
+  return JSON.stringify({
+    ...resultMeta(results),
+    total_results: items.length,
+    extracted_data: items
+  }, null, 2) + '\n';
+}
+
+export function toNdjson(results, { maxResults } = {}) {
+  return flatRows(results, maxResults).map(row => JSON.stringify(row) + '\n').join('');
+}
+
+function markdownCell(value) {
+  return cellText(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\s*[\r\n]+\s*/g, '<br>');
+}
+
+export function toMarkdown(results, { maxResults } = {}) {
+  const meta = resultMeta(results);
+  const items = exportItems(results, maxResults);
+  // Result metadata goes in the caption instead of repeating on every row
+  const columns = columnsFor(items, results).filter(column => !RESULT_COLUMNS.includes(column));
+
+  const caption = [
+    meta.url ? `**${items.length} results** from <${meta.url}>` : `**${items.length} results**`,
+    meta.strategy,
+    meta.source,
+    meta.timestamp
+  ].filter(Boolean).join(' • ');
+
+  if (items.length === 0) {
+    return `${caption}\n`;
+  }
+
+  const lines = [
+    `| ${columns.map(markdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...items.map(item => `| ${columns.map(column => markdownCell(item[column])).join(' | ')} |`)
+  ];
+
+  return `${caption}\n\n${lines.join('\n')}\n`;
+}
+
+// File name for a download, e.g. "scrape-gaming-laptop-20250101-1830.csv"
+export function exportFilename(results, format, query = '') {
+  const slug = String(query || results.strategy || 'results')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 40) || 'results';
+
+  const date = new Date(results.timestamp || Date.now());
+  const pad = (number) => String(number).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+  return `scrape-${slug}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Serialize results in one of EXPORT_FORMATS; `maxResults` caps the number of items
+export function serializeResults(results, format, options = {}) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return exporter.serialize(results, options);
+}
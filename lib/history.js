@@ -0,0 +1,121 @@
+// lib/history.js - Persisted search history with result snapshots
+
+// Number of searches kept; the oldest are dropped first
+export const HISTORY_LIMIT = 100;
+
+// Items stored per snapshot, matching the largest Max Results setting
+export const SNAPSHOT_ITEM_LIMIT = 50;
+
+// Normalized form of a query, used to find earlier runs of the same search
+export function normalizeQuery(query) {
+  return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// History stored in chrome.storage.local, newest entry first. Entries are
+// { id, query, timestamp, url, strategy, source, website, total_results, items }.
+export class SearchHistory {
+  constructor({ storageKey = 'searchHistory', limit = HISTORY_LIMIT, storage } = {}) {
+    this.storageKey = storageKey;
+    this.limit = limit;
+    this.storage = storage || chrome.storage.local;
+    this.entries = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  // Read the entries from storage once per service worker lifetime
+  async load() {
+    if (this.entries) return this.entries;
+
+    if (!this.loading) {
+      this.loading = this.storage.get(this.storageKey)
+        .then((stored) => {
+          this.entries = stored[this.storageKey] || [];
+          return this.entries;
+        })
+        .catch((error) => {
+          console.warn('⚠️ Failed to load search history, starting empty:', error);
+          this.entries = [];
+          return this.entries;
+        });
+    }
+
+    return this.loading;
+  }
+
+  // Write the entries back; writes are chained so they land in order
+  persist() {
+    const snapshot = { [this.storageKey]: this.entries };
+    this.writing = this.writing
+      .then(() => this.storage.set(snapshot))
+      .catch((error) => console.warn('⚠️ Failed to persist search history:', error));
+    return this.writing;
+  }
+
+  // Record a finished search and its results. Resolves to the new entry.
+  async add(query, result, { website } = {}) {
+    const entries = await this.load();
+    const items = (result.extracted_data || []).slice(0, SNAPSHOT_ITEM_LIMIT);
+
+    const entry = {
+      id: `hist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      query,
+      timestamp: result.timestamp || Date.now(),
+      url: result.url || '',
+      strategy: result.strategy || '',
+      source: result.source || '',
+      website: website || '',
+      total_results: result.total_results ?? items.length,
+      items
+    };
+
+    entries.unshift(entry);
+    entries.splice(this.limit);
+    await this.persist();
+    return entry;
+  }
+
+  // Entries without their item snapshots, optionally filtered. `search` matches the
+  // query text; `strategy` and `website` must match exactly.
+  async list({ search = '', strategy = '', website = '' } = {}) {
+    const entries = await this.load();
+    const needle = normalizeQuery(search);
+
+    return entries
+      .filter(entry => !needle || normalizeQuery(entry.query).includes(needle))
+      .filter(entry => !strategy || entry.strategy === strategy)
+      .filter(entry => !website || entry.website === website)
+      .map(({ items, ...summary }) => ({ ...summary, itemCount: items.length }));
+  }
+
+  async get(id) {
+    const entries = await this.load();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  // The run of the same query just before `entry`, if any
+  async previous(entry) {
+    const entries = await this.load();
+    const query = normalizeQuery(entry.query);
+    return entries.find(other =>
+      other.id !== entry.id &&
+      other.timestamp < entry.timestamp &&
+      normalizeQuery(other.query) === query
+    ) || null;
+  }
+
+  async delete(id) {
+    const entries = await this.load();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    entries.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  async clear() {
+    this.entries = [];
+    await this.persist();
+  }
+}
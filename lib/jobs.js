@@ -0,0 +1,143 @@
+// lib/jobs.js - Scrape job model with per-stage timeouts and cancellation
+
+// Maximum time (ms) each pipeline stage may take before the job is failed
+export const STAGE_TIMEOUTS = {
+  analysis: 45000,
+  robots: 10000,
+  tabLoad: 30000,
+  pageReady: 30000, // wait conditions cap themselves 5s below this (MAX_WAIT_MS in lib/wait-conditions.js)
+  extraction: 15000,
+  llmExtraction: 120000
+};
+
+// Error raised inside a job after the user cancelled it
+export class JobCancelledError extends Error {
+  constructor(message = 'Cancelled by user') {
+    super(message);
+    this.name = 'JobCancelledError';
+    this.outcome = 'cancelled';
+  }
+}
+
+// Error raised when a stage runs past its timeout
+export class StageTimeoutError extends Error {
+  constructor(stage, timeoutMs) {
+    super(`Timed out after ${Math.round(timeoutMs / 1000)}s while waiting for ${stage}`);
+    this.name = 'StageTimeoutError';
+    this.outcome = 'timeout';
+    this.stage = stage;
+  }
+}
+
+// A single run of the scraping pipeline. Owns the AbortController that in-flight
+// fetches listen to and the ids of any tabs opened on its behalf.
+export class ScrapeJob {
+  constructor(query, { onProgress, timeouts = {} } = {}) {
+    this.id = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.query = query;
+    this.status = 'running';
+    this.stage = 'starting';
+    this.startTime = Date.now();
+    this.timeouts = { ...STAGE_TIMEOUTS, ...timeouts };
+    this.controller = new AbortController();
+    this.tabIds = new Set();
+    this.onProgress = onProgress;
+    this.diagnostics = [];
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  // Emit a progress event ({ stage, message, detail, timestamp }) to the listener, if any
+  report(stage, message, detail = {}) {
+    this.stage = stage;
+    if (!this.onProgress) return;
+
+    try {
+      this.onProgress({ stage, message, detail, jobId: this.id, timestamp: Date.now() });
+    } catch (error) {
+      console.warn('⚠️ Progress listener failed:', error);
+    }
+  }
+
+  // Record a diagnostic (e.g. how long a page took to become ready) kept in the summary
+  note(kind, detail) {
+    this.diagnostics.push({ kind, ...detail, timestamp: Date.now() });
+  }
+
+  // Abort everything the job is waiting on
+  cancel() {
+    if (this.status !== 'running') return false;
+    this.controller.abort(new JobCancelledError());
+    return true;
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw this.signal.reason;
+    }
+  }
+
+  // Run one stage with its timeout. `fn` receives an AbortSignal that fires when the
+  // stage times out or the job is cancelled; the returned promise rejects at that
+  // moment even if `fn` ignores the signal.
+  async runStage(stage, fn) {
+    this.throwIfCancelled();
+
+    const timeoutMs = this.timeouts[stage];
+    const controller = new AbortController();
+    const abortFromJob = () => controller.abort(this.signal.reason);
+    this.signal.addEventListener('abort', abortFromJob, { once: true });
+
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    aborted.catch(() => {});
+
+    const timer = timeoutMs
+      ? setTimeout(() => controller.abort(new StageTimeoutError(stage, timeoutMs)), timeoutMs)
+      : null;
+
+    try {
+      return await Promise.race([fn(controller.signal), aborted]);
+    } finally {
+      clearTimeout(timer);
+      this.signal.removeEventListener('abort', abortFromJob);
+    }
+  }
+
+  trackTab(tabId) {
+    this.tabIds.add(tabId);
+  }
+
+  untrackTab(tabId) {
+    this.tabIds.delete(tabId);
+  }
+
+  // Mark the job as finished, classifying the error (if any) into an outcome
+  finish(error) {
+    this.status = error ? (error.outcome || 'failed') : 'completed';
+    this.error = error?.message;
+    this.endTime = Date.now();
+    return this.summary();
+  }
+
+  // Plain object describing the job, suitable for storage and messaging
+  summary() {
+    return {
+      id: this.id,
+      query: this.query,
+      status: this.status,
+      stage: this.stage,
+      error: this.error,
+      startTime: this.startTime,
+      duration: (this.endTime || Date.now()) - this.startTime,
+      diagnostics: this.diagnostics
+    };
+  }
+}
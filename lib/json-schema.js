@@ -0,0 +1,132 @@
+// lib/json-schema.js - JSON extraction and schema validation for model output
+
+// Error raised when a model keeps answering with JSON that does not match the schema
+export class SchemaValidationError extends Error {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.failures = failures;
+  }
+}
+
+// Pull the first complete JSON object out of a model response. Handles ```json fences
+// and prose around the object, and ignores braces that appear inside strings.
+export function extractJson(text) {
+  const source = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  if (!source) {
+    throw new Error('Empty response');
+  }
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    // Not a bare JSON document, scan for an embedded object below
+  }
+
+  let start = source.indexOf('{');
+  while (start !== -1) {
+    const end = findObjectEnd(source, start);
+    if (end !== -1) {
+      try {
+        return JSON.parse(source.slice(start, end + 1));
+      } catch (error) {
+        // Balanced but not valid JSON, try the next opening brace
+      }
+    }
+    start = source.indexOf('{', start + 1);
+  }
+
+  throw new Error('No complete JSON object found in response');
+}
+
+// Index of the brace closing the object that opens at `start`, or -1 if it never closes
+function findObjectEnd(source, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+// Validate a value against the subset of JSON Schema used by the extension's prompts:
+// type, enum, required, properties, items, minLength, minimum and pattern.
+// Returns a list of human-readable errors; an empty list means the value is valid.
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push(`${path}: expected ${expected}, got ${describeType(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be >= ${schema.minimum}`);
+  }
+
+  if (describeType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = describeType(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
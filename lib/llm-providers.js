@@ -0,0 +1,330 @@
+// lib/llm-providers.js - Request/response adapters for the servers Gemma can be hosted behind
+
+import { extractJson, validateSchema, SchemaValidationError } from './json-schema.js';
+
+// Each provider knows how to build a request body for its API, how to ask for JSON
+// output (formatModes, strongest first) and how to read the generated text back out
+// of a complete response or of one line of a streamed (`stream: true`) response.
+// Nothing here depends on chrome.* so the client can also be exercised from Node
+// against a mock HTTP server (test/llm-providers.test.mjs).
+export const LLM_PROVIDERS = {
+  'ollama-generate': {
+    label: 'Ollama (/api/generate)',
+    defaultEndpoint: 'http://localhost:11434/api/generate',
+    formatModes: ['schema', 'json'],
+
+    buildBody({ model, prompt, system, options }) {
+      const body = {
+        model,
+        prompt,
+        stream: false,
+        options: {
+          temperature: options.temperature,
+          top_p: options.topP,
+          num_predict: options.maxTokens,
+          // Ollama cuts prompts longer than its small default context without an error
+          ...(options.contextWindow && { num_ctx: options.contextWindow })
+        }
+      };
+      if (system) body.system = system;
+      return body;
+    },
+
+    // Ollama >= 0.5 accepts a JSON schema in `format`; older builds only "json"
+    applyFormat(body, format) {
+      body.format = format.mode === 'schema' ? format.schema : 'json';
+    },
+
+    parseResponse(data) {
+      return data.response || data.text || '';
+    },
+
+    // Streams newline-delimited JSON objects
+    parseStreamLine(line) {
+      const data = JSON.parse(line);
+      return { text: data.response || '', done: Boolean(data.done) };
+    }
+  },
+
+  'ollama-chat': {
+    label: 'Ollama (/api/chat)',
+    defaultEndpoint: 'http://localhost:11434/api/chat',
+    formatModes: ['schema', 'json'],
+
+    buildBody({ model, prompt, system, options }) {
+      return {
+        model,
+        messages: buildMessages(prompt, system),
+        stream: false,
+        options: {
+          temperature: options.temperature,
+          top_p: options.topP,
+          num_predict: options.maxTokens,
+          ...(options.contextWindow && { num_ctx: options.contextWindow })
+        }
+      };
+    },
+
+    applyFormat(body, format) {
+      body.format = format.mode === 'schema' ? format.schema : 'json';
+    },
+
+    parseResponse(data) {
+      return data.message?.content || '';
+    },
+
+    parseStreamLine(line) {
+      const data = JSON.parse(line);
+      return { text: data.message?.content || '', done: Boolean(data.done) };
+    }
+  },
+
+  openai: {
+    label: 'OpenAI-compatible (/v1/chat/completions)',
+    defaultEndpoint: 'http://localhost:8080/v1/chat/completions',
+    formatModes: ['schema', 'json'],
+
+    buildBody({ model, prompt, system, options }) {
+      return {
+        model,
+        messages: buildMessages(prompt, system),
+        stream: false,
+        temperature: options.temperature,
+        top_p: options.topP,
+        max_tokens: options.maxTokens
+      };
+    },
+
+    applyFormat(body, format) {
+      body.response_format = format.mode === 'schema'
+        ? { type: 'json_schema', json_schema: { name: format.name, schema: format.schema } }
+        : { type: 'json_object' };
+    },
+
+    parseResponse(data) {
+      return data.choices?.[0]?.message?.content || data.choices?.[0]?.text || '';
+    },
+
+    // Streams server-sent events terminated by `data: [DONE]`
+    parseStreamLine(line) {
+      if (!line.startsWith('data:')) return { text: '', done: false };
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return { text: '', done: true };
+
+      const data = JSON.parse(payload);
+      return { text: data.choices?.[0]?.delta?.content || data.choices?.[0]?.text || '', done: false };
+    }
+  }
+};
+
+export const DEFAULT_PROVIDER = 'ollama-generate';
+
+// Sampling defaults shared by every provider
+const DEFAULT_OPTIONS = {
+  temperature: 0.1,
+  topP: 0.9,
+  maxTokens: 500
+};
+
+// How many times a schema violation is sent back to the model before giving up
+const DEFAULT_JSON_ATTEMPTS = 3;
+
+// Chat-style APIs take the prompt as a list of messages
+function buildMessages(prompt, system) {
+  const messages = [];
+  if (system) messages.push({ role: 'system', content: system });
+  messages.push({ role: 'user', content: prompt });
+  return messages;
+}
+
+// Error raised when the provider answers with a non-2xx status
+export class LLMProviderError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.status = status;
+  }
+}
+
+// Client for a single configured provider/endpoint/model combination
+export class LLMClient {
+  constructor({ provider = DEFAULT_PROVIDER, endpoint, model, apiKey = '', contextWindow = null }, fetchImpl) {
+    this.providerId = LLM_PROVIDERS[provider] ? provider : DEFAULT_PROVIDER;
+    this.provider = LLM_PROVIDERS[this.providerId];
+    this.endpoint = endpoint || this.provider.defaultEndpoint;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.contextWindow = contextWindow;
+    this.fetch = fetchImpl || ((...args) => globalThis.fetch(...args));
+  }
+
+  // Build a client from the background settings object
+  static fromSettings(settings, fetchImpl) {
+    return new LLMClient({
+      provider: settings.llmProvider,
+      endpoint: settings.gemmaEndpoint,
+      model: settings.gemmaModel,
+      apiKey: settings.apiKey,
+      contextWindow: settings.contextWindow
+    }, fetchImpl);
+  }
+
+  // Request headers, including the API key when one is configured
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  // POST a prompt to the provider and return the raw fetch response
+  async send(prompt, options = {}) {
+    const body = this.provider.buildBody({
+      model: this.model,
+      prompt,
+      system: options.system,
+      options: { ...DEFAULT_OPTIONS, contextWindow: this.contextWindow, ...options }
+    });
+
+    if (options.format) {
+      this.provider.applyFormat(body, options.format);
+    }
+
+    if (options.onToken) {
+      body.stream = true;
+    }
+
+    return this.fetch(this.endpoint, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+  }
+
+  // Generate a completion and return the model's text output. When `options.onToken`
+  // is given the response is streamed and each chunk is passed to it as it arrives.
+  async complete(prompt, options = {}) {
+    const response = await this.send(prompt, options);
+
+    if (!response.ok) {
+      throw new LLMProviderError(`${this.provider.label} error: ${response.status}`, response.status);
+    }
+
+    if (options.onToken) {
+      return this.readStream(response, options.onToken);
+    }
+
+    const data = await response.json();
+    return this.provider.parseResponse(data);
+  }
+
+  // Read a streamed response line by line, returning the concatenated text
+  async readStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let done = false;
+
+    const handleLine = (line) => {
+      if (!line.trim() || done) return;
+      const chunk = this.provider.parseStreamLine(line.trim());
+      if (chunk.text) {
+        text += chunk.text;
+        onToken(chunk.text, text);
+      }
+      done = chunk.done;
+    };
+
+    while (!done) {
+      const { value, done: streamEnded } = await reader.read();
+      if (streamEnded) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+
+    handleLine(buffer + decoder.decode());
+    if (done) reader.cancel().catch(() => {});
+    return text;
+  }
+
+  // Generate JSON matching `schema`. Uses the provider's structured-output mode when the
+  // server supports it, and re-prompts with the validation errors when the output is
+  // unparseable or violates the schema. Resolves to { value, validation }. Pass
+  // `signal` to abort the in-flight request.
+  async completeJson(prompt, { schema, schemaName = 'response', maxAttempts = DEFAULT_JSON_ATTEMPTS, ...options } = {}) {
+    const formatModes = [...this.provider.formatModes, null];
+    const failures = [];
+    let formatIndex = 0;
+    let currentPrompt = prompt;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const mode = formatModes[formatIndex];
+      const format = mode ? { mode, schema, name: schemaName } : null;
+      let text;
+
+      try {
+        text = await this.complete(currentPrompt, { ...options, format });
+      } catch (error) {
+        // Servers without structured-output support reject the request outright;
+        // step down to the next format mode without spending an attempt
+        if (error instanceof LLMProviderError && error.status === 400 && format) {
+          formatIndex++;
+          attempt--;
+          continue;
+        }
+        throw error;
+      }
+
+      let errors;
+      let value;
+      try {
+        value = extractJson(text);
+        errors = validateSchema(schema, value);
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (errors.length === 0) {
+        return {
+          value,
+          validation: { valid: true, attempts: attempt, format: mode || 'none', failures }
+        };
+      }
+
+      failures.push({ attempt, errors });
+      console.warn(`⚠️ ${schemaName} failed schema validation (attempt ${attempt}/${maxAttempts}):`, errors);
+      currentPrompt = buildRetryPrompt(prompt, text, errors);
+    }
+
+    throw new SchemaValidationError(
+      `${schemaName} did not match the schema after ${maxAttempts} attempts`,
+      failures
+    );
+  }
+
+  // Check that the endpoint accepts a request for the configured model
+  async testConnection({ signal } = {}) {
+    const response = await this.send('Test connection', { maxTokens: 1, signal });
+    return response.ok;
+  }
+}
+
+// Ask the model to fix its previous answer, quoting what was wrong with it
+function buildRetryPrompt(prompt, previousText, errors) {
+  return `${prompt}
+
+Your previous response was rejected because it did not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${String(previousText || '').substring(0, 1500)}
+
+Respond again with ONLY the corrected JSON object.`;
+}
@@ -0,0 +1,111 @@
+// lib/pagination.js - Following result pages: next links, page parameters and infinite scroll
+
+import { itemKey } from './result-diff.js';
+
+// How an adapter moves to its next page of results:
+//   { type: 'next', selector }             - follow (or click) the "next page" element
+//   { type: 'param', param, start, step }  - set a URL parameter; page n gets start + n * step
+//   { type: 'scroll' }                     - scroll to the bottom and wait for more items
+export const PAGINATION_TYPES = {
+  next: 'Next page link',
+  param: 'URL page parameter',
+  scroll: 'Infinite scroll'
+};
+
+// Pages followed per query when the user has not changed the setting
+export const DEFAULT_MAX_PAGES = 3;
+
+// Upper bound for the Max Pages setting
+export const MAX_PAGES_LIMIT = 10;
+
+// Check an adapter's pagination entry; returns a list of problems (empty when valid)
+export function validatePagination(pagination) {
+  if (pagination === undefined || pagination === null) return [];
+  if (typeof pagination !== 'object' || !PAGINATION_TYPES[pagination.type]) {
+    return [`pagination.type must be one of ${Object.keys(PAGINATION_TYPES).join(', ')}`];
+  }
+
+  const errors = [];
+  if (pagination.type === 'next' && !pagination.selector) {
+    errors.push('pagination.selector is required for "next" pagination');
+  }
+  if (pagination.type === 'param') {
+    if (!pagination.param) errors.push('pagination.param is required for "param" pagination');
+    if (pagination.start !== undefined && !Number.isFinite(pagination.start)) errors.push('pagination.start must be a number');
+    if (pagination.step !== undefined && !(pagination.step > 0)) errors.push('pagination.step must be a positive number');
+  }
+  return errors;
+}
+
+// URL of page `pageIndex` (0 is the page the query started on) for "param" pagination
+export function pageUrl(url, pagination, pageIndex) {
+  if (pageIndex === 0) return url;
+
+  const next = new URL(url);
+  const start = pagination.start ?? 1;
+  const step = pagination.step ?? 1;
+  next.searchParams.set(pagination.param, String(start + pageIndex * step));
+  return next.toString();
+}
+
+// Items not seen on earlier pages, by link (or title when there is none). `seen` is
+// updated with the keys of the returned items.
+export function takeNewItems(seen, items) {
+  return items.filter(item => {
+    const key = itemKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Injected into the page: find the "next page" element. Returns { href } for a link the
+// caller can navigate to, { clicked: true } after clicking a button, or { found: false }.
+export function followNextPage(selector) {
+  let element = null;
+  try {
+    element = document.querySelector(selector);
+  } catch (error) {
+    return { found: false };
+  }
+
+  if (!element || element.matches('[disabled], [aria-disabled="true"]')) {
+    return { found: false };
+  }
+  const link = element.closest('a[href]') || element.querySelector('a[href]');
+  if (link && /^https?:/.test(link.href)) {
+    return { found: true, href: link.href };
+  }
+
+  element.click();
+  return { found: true, clicked: true };
+}
+
+// Injected into the page: scroll to the bottom and wait up to `timeoutMs` for more
+// elements matching `itemSelector` (CSS, or XPath for detected lists). Resolves to
+// { before, after } item counts.
+export function scrollForMore(itemSelector, timeoutMs = 5000) {
+  const count = () => {
+    try {
+      if (/^\(*\.?\//.test(itemSelector)) {
+        return document.evaluate(itemSelector, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+      }
+      return document.querySelectorAll(itemSelector).length;
+    } catch (error) {
+      return 0;
+    }
+  };
+  const before = count();
+  window.scrollTo(0, document.documentElement.scrollHeight);
+
+  return new Promise(resolve => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      const after = count();
+      if (after > before || Date.now() - started >= timeoutMs) {
+        clearInterval(poll);
+        resolve({ before, after });
+      }
+    }, 250);
+  });
+}
@@ -0,0 +1,160 @@
+// lib/rate-limiter.js - Per-host token bucket limiter for scraping tabs
+
+// Applied to every host without its own entry in `policies`
+export const DEFAULT_DOMAIN_POLICY = {
+  concurrency: 1, // tabs open on the host at the same time
+  delayMs: 2000,  // one request token is added per delay
+  burst: 1        // tokens that can be saved up while the host is idle
+};
+
+// Normalize a URL or hostname to the key used for limiting ("www." is ignored)
+export function hostKey(urlOrHost) {
+  let host = String(urlOrHost || '');
+  try {
+    host = new URL(host).hostname;
+  } catch (error) {
+    // Already a bare hostname
+  }
+  return host.toLowerCase().replace(/^www\./, '');
+}
+
+// Queues requests per host instead of rejecting them. Each host has a token bucket
+// that refills one token every `delayMs`, and at most `concurrency` holders at once.
+export class DomainRateLimiter {
+  constructor({ defaultPolicy = DEFAULT_DOMAIN_POLICY, policies = {} } = {}) {
+    this.hosts = new Map();
+    this.configure({ defaultPolicy, policies });
+  }
+
+  // Replace the policies; hosts already queued pick them up on their next pump
+  configure({ defaultPolicy = this.defaultPolicy, policies = this.policies } = {}) {
+    this.defaultPolicy = { ...DEFAULT_DOMAIN_POLICY, ...defaultPolicy };
+    this.policies = {};
+    Object.entries(policies || {}).forEach(([host, policy]) => {
+      this.policies[hostKey(host)] = policy;
+    });
+  }
+
+  // Policy for a host; "amazon.in" also covers "m.amazon.in"
+  policyFor(host) {
+    const key = hostKey(host);
+    const match = Object.keys(this.policies)
+      .filter(domain => key === domain || key.endsWith(`.${domain}`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return { ...this.defaultPolicy, ...(match ? this.policies[match] : {}) };
+  }
+
+  getHostState(key) {
+    if (!this.hosts.has(key)) {
+      this.hosts.set(key, {
+        active: 0,
+        queue: [],
+        tokens: this.policyFor(key).burst,
+        lastRefill: Date.now(),
+        timer: null
+      });
+    }
+    return this.hosts.get(key);
+  }
+
+  // Wait for a slot on the URL's host. Resolves to a release() function that must be
+  // called when the tab is done. `onQueued(position)` is called whenever the caller's
+  // place in the queue changes; aborting `signal` leaves the queue.
+  acquire(url, { signal, onQueued } = {}) {
+    const key = hostKey(url);
+    const state = this.getHostState(key);
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const waiter = { resolve, reject, onQueued, signal, onAbort: null };
+      waiter.onAbort = () => {
+        state.queue = state.queue.filter(w => w !== waiter);
+        this.notifyPositions(state);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+      state.queue.push(waiter);
+      this.pump(key);
+      if (state.queue.includes(waiter)) {
+        this.notifyPositions(state);
+      }
+    });
+  }
+
+  // Hand out slots to queued callers while tokens and concurrency allow
+  pump(key) {
+    const state = this.hosts.get(key);
+    const policy = this.policyFor(key);
+    const delayMs = Math.max(Number(policy.delayMs) || 0, 1);
+    const now = Date.now();
+
+    const refills = Math.floor((now - state.lastRefill) / delayMs);
+    if (refills > 0) {
+      state.tokens = Math.min(policy.burst, state.tokens + refills);
+      state.lastRefill += refills * delayMs;
+    }
+    if (state.tokens >= policy.burst) {
+      state.lastRefill = now;
+    }
+
+    let granted = false;
+    while (state.queue.length > 0 && state.active < policy.concurrency && state.tokens >= 1) {
+      const waiter = state.queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      state.tokens--;
+      state.active++;
+      granted = true;
+      waiter.resolve(this.createRelease(key));
+    }
+
+    if (granted) {
+      this.notifyPositions(state);
+    }
+
+    // Out of tokens: wake up when the next one arrives
+    if (state.queue.length > 0 && state.tokens < 1 && !state.timer) {
+      const wait = Math.max(delayMs - (now - state.lastRefill), 0);
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        this.pump(key);
+      }, wait);
+    }
+  }
+
+  createRelease(key) {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.hosts.get(key).active--;
+      this.pump(key);
+    };
+  }
+
+  notifyPositions(state) {
+    state.queue.forEach((waiter, index) => {
+      try {
+        waiter.onQueued?.(index + 1);
+      } catch (error) {
+        console.warn('⚠️ Queue listener failed:', error);
+      }
+    });
+  }
+
+  // Snapshot of queue lengths per host, for status displays
+  getQueueStatus() {
+    const status = {};
+    this.hosts.forEach((state, key) => {
+      if (state.active > 0 || state.queue.length > 0) {
+        status[key] = { active: state.active, queued: state.queue.length };
+      }
+    });
+    return status;
+  }
+}
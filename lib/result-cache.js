@@ -0,0 +1,147 @@
+// lib/result-cache.js - Persistent query result cache with per-strategy TTLs and LRU eviction
+
+const MINUTE = 60 * 1000;
+
+// How long results stay fresh for each scraping strategy. Prices and tracking
+// status change quickly; restaurant listings much less so.
+export const CACHE_TTLS = {
+  flight_search: 10 * MINUTE,
+  tracking_info: 5 * MINUTE,
+  product_list: 60 * MINUTE,
+  general_search: 60 * MINUTE,
+  restaurant_search: 6 * 60 * MINUTE,
+  default: 30 * MINUTE
+};
+
+// Upper bound on the serialized size of all cached results
+export const CACHE_BYTE_BUDGET = 5 * 1024 * 1024;
+
+// Cache stored in chrome.storage.local so it survives service worker suspension.
+// Entries are { value, strategy, sourceUrl, createdAt, expiresAt, lastAccess, bytes }.
+export class PersistentCache {
+  constructor({ storageKey = 'resultCache', ttls = CACHE_TTLS, maxBytes = CACHE_BYTE_BUDGET, storage } = {}) {
+    this.storageKey = storageKey;
+    this.ttls = ttls;
+    this.maxBytes = maxBytes;
+    this.storage = storage || chrome.storage.local;
+    this.entries = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  // Read all entries from storage once per service worker lifetime
+  async load() {
+    if (this.entries) return this.entries;
+
+    if (!this.loading) {
+      this.loading = this.storage.get(this.storageKey)
+        .then((stored) => {
+          this.entries = stored[this.storageKey] || {};
+          return this.entries;
+        })
+        .catch((error) => {
+          console.warn('⚠️ Failed to load cache, starting empty:', error);
+          this.entries = {};
+          return this.entries;
+        });
+    }
+
+    return this.loading;
+  }
+
+  // Write the entries back; writes are chained so they land in order
+  persist() {
+    const snapshot = { [this.storageKey]: this.entries };
+    this.writing = this.writing
+      .then(() => this.storage.set(snapshot))
+      .catch((error) => console.warn('⚠️ Failed to persist cache:', error));
+    return this.writing;
+  }
+
+  // Look up a fresh entry. Resolves to { value, meta } or null on a miss.
+  async get(key) {
+    const entries = await this.load();
+    const entry = entries[key];
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (entry.expiresAt <= now) {
+      delete entries[key];
+      await this.persist();
+      return null;
+    }
+
+    entry.lastAccess = now;
+    await this.persist();
+
+    return {
+      value: entry.value,
+      meta: {
+        cachedAt: entry.createdAt,
+        age: now - entry.createdAt,
+        expiresAt: entry.expiresAt,
+        sourceUrl: entry.sourceUrl,
+        strategy: entry.strategy
+      }
+    };
+  }
+
+  // Store a result; its TTL comes from the scraping strategy that produced it
+  async set(key, value, { strategy, sourceUrl } = {}) {
+    const entries = await this.load();
+    const now = Date.now();
+    const ttl = this.ttls[strategy] || this.ttls.default;
+
+    entries[key] = {
+      value,
+      strategy,
+      sourceUrl,
+      createdAt: now,
+      expiresAt: now + ttl,
+      lastAccess: now,
+      bytes: measureBytes(value)
+    };
+
+    this.evict();
+    await this.persist();
+  }
+
+  async delete(key) {
+    const entries = await this.load();
+    delete entries[key];
+    await this.persist();
+  }
+
+  async clear() {
+    this.entries = {};
+    await this.persist();
+  }
+
+  // Number of entries that have not expired yet
+  async size() {
+    const entries = await this.load();
+    const now = Date.now();
+    return Object.values(entries).filter(entry => entry.expiresAt > now).length;
+  }
+
+  // Drop expired entries, then least recently used ones until under the byte budget
+  evict() {
+    const now = Date.now();
+    Object.keys(this.entries).forEach(key => {
+      if (this.entries[key].expiresAt <= now) delete this.entries[key];
+    });
+
+    let totalBytes = Object.values(this.entries).reduce((sum, entry) => sum + entry.bytes, 0);
+    const byLastAccess = Object.entries(this.entries).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+    for (const [key, entry] of byLastAccess) {
+      if (totalBytes <= this.maxBytes) break;
+      delete this.entries[key];
+      totalBytes -= entry.bytes;
+    }
+  }
+}
+
+function measureBytes(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
@@ -0,0 +1,85 @@
+// lib/result-diff.js - Compare two result snapshots item by item
+
+import { parsePrice, parseRating } from './values.js';
+
+// Fields compared between matching items, with the parser used for their numeric value
+const COMPARED_FIELDS = {
+  price: parsePrice,
+  rating: parseRating
+};
+
+// Identity of an item across runs: its link without query string or fragment (tracking
+// parameters change on every visit), or its title when there is no link
+export function itemKey(item) {
+  if (item?.link) {
+    try {
+      const url = new URL(item.link);
+      return `link:${url.origin}${url.pathname}`.toLowerCase();
+    } catch (error) {
+      // Relative or malformed link, fall back to the title
+    }
+  }
+  return `title:${String(item?.title || '').replace(/\s+/g, ' ').trim().toLowerCase()}`;
+}
+
+// Describe how one field changed, or null if it did not
+function compareField(parse, before, after) {
+  const from = before ?? '';
+  const to = after ?? '';
+  if (String(from).trim() === String(to).trim()) return null;
+
+  const fromValue = parse(from);
+  const toValue = parse(to);
+  // Same number written differently ("₹1,000" vs "1000") is not a change
+  if (fromValue !== null && fromValue === toValue) return null;
+
+  return {
+    from,
+    to,
+    delta: fromValue !== null && toValue !== null ? toValue - fromValue : null
+  };
+}
+
+// Diff the items of two snapshots. Returns { added, removed, changed, unchanged } where
+// `changed` entries are { item, previous, changes: { price?, rating? } }.
+export function diffResults(previousItems = [], currentItems = []) {
+  const previousByKey = new Map();
+  previousItems.forEach(item => {
+    const key = itemKey(item);
+    if (!previousByKey.has(key)) previousByKey.set(key, item);
+  });
+
+  const added = [];
+  const changed = [];
+  const seen = new Set();
+  let unchanged = 0;
+
+  currentItems.forEach(item => {
+    const key = itemKey(item);
+    const previous = previousByKey.get(key);
+
+    if (!previous || seen.has(key)) {
+      if (!previous) added.push(item);
+      return;
+    }
+    seen.add(key);
+
+    const changes = {};
+    Object.entries(COMPARED_FIELDS).forEach(([field, parse]) => {
+      const change = compareField(parse, previous[field], item[field]);
+      if (change) changes[field] = change;
+    });
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ item, previous, changes });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = [...previousByKey.entries()]
+    .filter(([key]) => !seen.has(key))
+    .map(([, item]) => item);
+
+  return { added, removed, changed, unchanged };
+}
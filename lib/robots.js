@@ -0,0 +1,121 @@
+// lib/robots.js - Minimal robots.txt support for the optional politeness check
+
+// How long a fetched robots.txt is trusted before it is fetched again
+const ROBOTS_TTL = 60 * 60 * 1000;
+
+// Error raised when robots.txt disallows the URL we were about to open
+export class RobotsDisallowedError extends Error {
+  constructor(url) {
+    super(`Blocked by robots.txt: ${url}`);
+    this.name = 'RobotsDisallowedError';
+    this.url = url;
+  }
+}
+
+// Parse robots.txt into the Allow/Disallow rules for `userAgent`, falling back to the
+// `*` group when no group names the agent.
+export function parseRobotsTxt(text, userAgent = '*') {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  const agent = userAgent.toLowerCase();
+  const matching = groups.filter(group => group.agents.some(a => a !== '*' && agent.includes(a)));
+  const selected = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+  return selected.flatMap(group => group.rules);
+}
+
+// Longest matching rule wins; Allow wins ties. Supports `*` and `$` wildcards.
+export function isPathAllowed(rules, path) {
+  let best = null;
+
+  rules.forEach(rule => {
+    if (!robotsPatternToRegExp(rule.path).test(path)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+
+  return best ? best.allow : true;
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Fetches and caches robots.txt per origin
+export class RobotsPolicy {
+  constructor({ userAgent = 'SmartScraper', fetchImpl } = {}) {
+    this.userAgent = userAgent;
+    this.fetch = fetchImpl || ((...args) => globalThis.fetch(...args));
+    this.cache = new Map();
+  }
+
+  async getRules(origin, signal) {
+    const cached = this.cache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL) {
+      return cached.rules;
+    }
+
+    let rules = [];
+    try {
+      const response = await this.fetch(`${origin}/robots.txt`, { signal, credentials: 'omit' });
+      // A missing robots.txt (4xx) allows everything; so does an unreachable one
+      if (response.ok) {
+        rules = parseRobotsTxt(await response.text(), this.userAgent);
+      }
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      console.warn(`⚠️ Could not fetch robots.txt for ${origin}:`, error);
+    }
+
+    this.cache.set(origin, { rules, fetchedAt: Date.now() });
+    return rules;
+  }
+
+  async isAllowed(url, signal) {
+    const { origin, pathname, search } = new URL(url);
+    const rules = await this.getRules(origin, signal);
+    return isPathAllowed(rules, `${pathname}${search}`);
+  }
+
+  // Throw RobotsDisallowedError if the URL may not be fetched
+  async assertAllowed(url, signal) {
+    if (!(await this.isAllowed(url, signal))) {
+      throw new RobotsDisallowedError(url);
+    }
+  }
+}
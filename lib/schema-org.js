@@ -0,0 +1,298 @@
+// lib/schema-org.js - Result items from schema.org data (JSON-LD, microdata, RDFa)
+
+// Read from the { type, data } entries of content/structured-data.js. Each supported
+// schema.org type becomes an item in the extension's usual shape (title, price, link,
+// description, rating) plus the fields that type adds, and `schema_type`.
+//   Product        - ProductGroup, ProductModel and IndividualProduct too
+//   Offer          - AggregateOffer too; titled by the offered item
+//   Restaurant     - FoodEstablishment too; price is the price range
+//   Flight         - titled "<airline> <number>: <from> → <to>"
+//   ParcelDelivery - titled by carrier and tracking number
+const SCHEMA_TYPES = {
+  Product: 'product',
+  ProductGroup: 'product',
+  ProductModel: 'product',
+  IndividualProduct: 'product',
+  Offer: 'offer',
+  AggregateOffer: 'offer',
+  Restaurant: 'restaurant',
+  FoodEstablishment: 'restaurant',
+  Flight: 'flight',
+  ParcelDelivery: 'parcel_delivery'
+};
+
+// Kinds of item that suit each scraping strategy; strategies not listed take every kind
+const STRATEGY_KINDS = {
+  product_list: ['product', 'offer'],
+  restaurant_search: ['restaurant'],
+  flight_search: ['flight'],
+  tracking_info: ['parcel_delivery']
+};
+
+// Structured data sources read for items; OpenGraph only describes the page itself
+const SCHEMA_SOURCES = ['json-ld', 'microdata', 'rdfa'];
+
+// Local schema.org type names of a node ("https://schema.org/Offer" → "Offer")
+function typesOf(node) {
+  return [].concat(node?.['@type'] || []).map(type => String(type).replace(/^.*[/#:]/, ''));
+}
+
+function kindOf(node) {
+  return typesOf(node).map(type => SCHEMA_TYPES[type]).find(Boolean) || null;
+}
+
+// Every schema.org node the page lists as a thing of its own: top-level nodes, @graph
+// members, ItemList elements and a page's mainEntity. Properties of a node (a Product's
+// offers) are not listed, so they do not turn into items of their own. Nodes that only
+// point at another node by @id are replaced by it.
+export function collectSchemaNodes(entries) {
+  const roots = entries
+    .filter(entry => SCHEMA_SOURCES.includes(entry.type))
+    .map(entry => entry.data);
+
+  const byId = new Map();
+  const index = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(index);
+    } else if (value && typeof value === 'object') {
+      if (value['@id'] && Object.keys(value).length > 1 && !byId.has(value['@id'])) byId.set(value['@id'], value);
+      Object.values(value).forEach(index);
+    }
+  };
+  index(roots);
+
+  const resolve = (value) => (value && typeof value === 'object' && !Array.isArray(value) &&
+    value['@id'] && Object.keys(value).length === 1 && byId.get(value['@id'])) || value;
+
+  const nodes = [];
+  const seen = new Set();
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    const node = resolve(value);
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    seen.add(node);
+
+    nodes.push(node);
+    if (node['@graph']) visit(node['@graph']);
+    if (node.mainEntity) visit(node.mainEntity);
+    if (typesOf(node).some(type => type === 'ItemList' || type === 'OfferCatalog')) {
+      [].concat(node.itemListElement || []).forEach(element => {
+        const listed = resolve(element);
+        visit(typesOf(listed).includes('ListItem') ? listed.item || listed : listed);
+      });
+    }
+  };
+  visit(roots);
+
+  return { nodes, resolve };
+}
+
+// Result items for the supported schema.org types on a page. `url` resolves relative
+// links; `strategy` keeps only the kinds of item that strategy is after (see
+// STRATEGY_KINDS). Items describing the same thing twice (JSON-LD and microdata for
+// one product) are kept once.
+export function schemaOrgItems(entries, { url = '', strategy = null } = {}) {
+  const { nodes, resolve } = collectSchemaNodes(entries || []);
+  const kinds = STRATEGY_KINDS[strategy] || null;
+  const items = [];
+  const keys = new Set();
+
+  // Offers listed in a @graph next to the product they price belong to that product
+  const owned = new Set(nodes.flatMap(node => kindOf(node) === 'offer' ? [] : [].concat(node.offers || []).map(resolve)));
+
+  nodes.forEach(node => {
+    const kind = kindOf(node);
+    if (!kind || (kinds && !kinds.includes(kind)) || owned.has(node)) return;
+
+    const item = NORMALIZERS[kind](node, { resolve, url });
+    if (!item?.title) return;
+
+    const key = `${item.link}|${item.title}`.toLowerCase();
+    if (keys.has(key)) return;
+    keys.add(key);
+    items.push({ ...item, schema_type: typesOf(node)[0] });
+  });
+
+  return items;
+}
+
+// ---- Helpers shared by the normalizers ----
+
+// Plain text of a value that may be a string, a number, a { name } node or a list
+function text(value, resolve) {
+  if (Array.isArray(value)) return value.map(entry => text(entry, resolve)).filter(Boolean).join(', ');
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value).replace(/\s+/g, ' ').trim();
+  const node = resolve(value);
+  return text(node.name ?? node['@value'] ?? node.text ?? '', resolve);
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Absolute URL of a link value, or '' when there is none
+function link(value, url) {
+  const href = typeof first(value) === 'object' ? first(value)?.['@id'] || first(value)?.url : first(value);
+  if (!href) return '';
+  try {
+    return new URL(String(href), url || undefined).href;
+  } catch (error) {
+    return String(href);
+  }
+}
+
+// Enumeration values lose their vocabulary: "https://schema.org/InStock" → "In Stock"
+function enumText(value, resolve) {
+  return text(value, resolve).replace(/^.*[/#]/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+// The offer that prices a node: an AggregateOffer when there is one, else the first
+function mainOffer(node, resolve) {
+  const offers = [].concat(node.offers || []).map(resolve);
+  return offers.find(offer => typesOf(offer).includes('AggregateOffer')) || offers[0] || null;
+}
+
+// "INR 79990" from an offer, so lib/values.js reads both the amount and the currency
+function offerPrice(offer, resolve) {
+  if (!offer) return '';
+  const specification = resolve(first(offer.priceSpecification)) || {};
+  const amount = offer.price ?? offer.lowPrice ?? specification.price;
+  if (amount === undefined || amount === null || amount === '') return '';
+  const currency = text(offer.priceCurrency ?? specification.priceCurrency, resolve);
+  return currency ? `${currency} ${amount}` : String(amount);
+}
+
+function ratingText(node, resolve) {
+  const rating = resolve(first(node.aggregateRating)) || {};
+  const value = text(rating.ratingValue, resolve);
+  return value || 'No rating';
+}
+
+// "12 MG Road, Bengaluru, 560001" from a PostalAddress, or the text of any other value
+function addressText(value, resolve) {
+  const address = resolve(first(value));
+  if (!address || typeof address !== 'object') return text(address, resolve);
+  return [address.streetAddress, address.addressLocality, address.addressRegion, address.postalCode]
+    .map(part => text(part, resolve))
+    .filter(Boolean)
+    .join(', ') || text(address, resolve);
+}
+
+// Item with the usual fields; empty extras are left out
+function resultItem({ title, price, link: href, description, rating }, extras = {}) {
+  const item = {
+    title,
+    price: price || 'Price not found',
+    link: href || '',
+    description: (description || '').substring(0, 200),
+    rating: rating || 'No rating'
+  };
+  Object.entries(extras).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) item[key] = value;
+  });
+  return item;
+}
+
+// ---- One normalizer per kind: (node, { resolve, url }) → item ----
+
+const NORMALIZERS = {
+  product(node, { resolve, url }) {
+    const offer = mainOffer(node, resolve);
+    const rating = resolve(first(node.aggregateRating)) || {};
+    return resultItem({
+      title: text(node.name, resolve),
+      price: offerPrice(offer, resolve),
+      link: link(node.url, url) || link(offer?.url, url),
+      description: text(node.description, resolve),
+      rating: ratingText(node, resolve)
+    }, {
+      brand: text(node.brand, resolve),
+      availability: enumText(offer?.availability, resolve),
+      seller: text(offer?.seller, resolve),
+      review_count: text(rating.reviewCount ?? rating.ratingCount, resolve),
+      sku: text(node.sku, resolve),
+      image: link(node.image, url)
+    });
+  },
+
+  offer(node, { resolve, url }) {
+    const offered = resolve(first(node.itemOffered)) || {};
+    return resultItem({
+      title: text(offered.name, resolve) || text(node.name, resolve),
+      price: offerPrice(node, resolve),
+      link: link(node.url, url) || link(offered.url, url),
+      description: text(node.description ?? offered.description, resolve),
+      rating: ratingText(offered, resolve)
+    }, {
+      availability: enumText(node.availability, resolve),
+      seller: text(node.seller, resolve)
+    });
+  },
+
+  restaurant(node, { resolve, url }) {
+    return resultItem({
+      title: text(node.name, resolve),
+      price: text(node.priceRange, resolve),
+      link: link(node.url, url),
+      description: text(node.description, resolve),
+      rating: ratingText(node, resolve)
+    }, {
+      cuisine: text(node.servesCuisine, resolve),
+      address: addressText(node.address, resolve),
+      telephone: text(node.telephone, resolve)
+    });
+  },
+
+  flight(node, { resolve, url }) {
+    const airport = (value) => {
+      const place = resolve(first(value)) || {};
+      return text(place.iataCode, resolve) || text(place.name ?? place, resolve);
+    };
+    const airline = resolve(first(node.airline ?? node.provider)) || {};
+    const code = text(airline.iataCode, resolve);
+    const number = text(node.flightNumber, resolve);
+    const from = airport(node.departureAirport);
+    const to = airport(node.arrivalAirport);
+    const name = [text(airline, resolve), code && number && !number.startsWith(code) ? `${code} ${number}` : number]
+      .filter(Boolean).join(' ');
+
+    return resultItem({
+      title: [name, from && to ? `${from} → ${to}` : ''].filter(Boolean).join(': '),
+      price: offerPrice(mainOffer(node, resolve), resolve),
+      link: link(node.url, url),
+      description: text(node.description, resolve)
+    }, {
+      airline: text(airline, resolve),
+      flight_number: number,
+      departure_airport: from,
+      arrival_airport: to,
+      departure_time: text(node.departureTime, resolve),
+      arrival_time: text(node.arrivalTime, resolve)
+    });
+  },
+
+  parcel_delivery(node, { resolve, url }) {
+    const carrier = text(node.provider ?? node.carrier, resolve);
+    const tracking = text(node.trackingNumber, resolve);
+    const shipped = text(first(node.itemShipped), resolve);
+    const status = resolve(first(node.deliveryStatus)) || null;
+
+    return resultItem({
+      title: [carrier, tracking].filter(Boolean).join(' ') || shipped,
+      link: link(node.trackingUrl, url) || link(node.url, url),
+      description: shipped
+    }, {
+      carrier,
+      tracking_number: tracking,
+      status: status && typeof status === 'object'
+        ? text(status.name ?? status.description ?? status.eventStatus, resolve)
+        : enumText(status, resolve),
+      expected_arrival: text(node.expectedArrivalUntil ?? node.expectedArrivalFrom, resolve),
+      delivery_address: addressText(node.deliveryAddress, resolve)
+    });
+  }
+};
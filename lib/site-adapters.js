@@ -0,0 +1,565 @@
+// lib/site-adapters.js - Declarative site adapters and the registry built from them
+
+import { validatePagination } from './pagination.js';
+import { validateWait } from './wait-conditions.js';
+import { validateDetails } from './enrichment.js';
+
+// Every adapter is plain data so it can be stored, edited and sent to a page:
+//   id, label        - key used by the analyzer ("website") and display name
+//   url              - search URL; {QUERY} is replaced by the encoded query (fixed pages omit it)
+//   queryFormat      - 'encode' (default) or 'slug' (lowercase-words-joined-by-hyphens)
+//   hosts            - hostnames the adapter's pages live on
+//   keywords         - words that route a query to this adapter without Gemma
+//   strategy         - scraping_strategy reported for results
+//   selectors        - primary: one element per result; secondary: legacy price selector
+//   fields           - per-field selectors, relative to each primary element
+//   pagination       - optional; how to reach further result pages (see lib/pagination.js)
+//   wait             - optional; when a loaded page is ready to scrape (see lib/wait-conditions.js)
+//   details          - optional; selectors on an item's own page, used to enrich the top
+//                      results (see lib/enrichment.js)
+//   examples         - sample queries shown to the analyzer
+//   isDefault        - used when nothing else matches
+export const BUILT_IN_ADAPTERS = [
+  {
+    id: 'amazon',
+    label: 'Amazon India',
+    url: 'https://www.amazon.in/s?k={QUERY}',
+    hosts: ['amazon.in'],
+    keywords: ['amazon', 'laptop', 'phone', 'mobile', 'product', 'headphones', 'earbuds', 'tablet', 'camera', 'smartwatch', 'keyboard', 'monitor'],
+    strategy: 'product_list',
+    selectors: {
+      primary: '[data-component-type="s-search-result"]',
+      secondary: '.s-price, .a-price-whole'
+    },
+    fields: {
+      title: 'h2 span, h2',
+      price: '.a-price .a-offscreen, .a-price-whole',
+      rating: '.a-icon-star-small .a-icon-alt, .a-icon-alt',
+      link: 'h2 a, a.a-link-normal[href*="/dp/"]',
+      description: '.a-color-secondary .a-text-normal'
+    },
+    pagination: { type: 'next', selector: 'a.s-pagination-next' },
+    details: {
+      specs: '#productDetails_techSpec_section_1 tr, #productOverview_feature_div tr',
+      seller: '#sellerProfileTriggerId, #merchantInfoFeature_feature_div .offer-display-feature-text',
+      availability: '#availability',
+      review_count: '#acrCustomerReviewText'
+    },
+    examples: ['laptop under 50000', 'wireless earbuds']
+  },
+  {
+    id: 'flipkart',
+    label: 'Flipkart',
+    url: 'https://www.flipkart.com/search?q={QUERY}',
+    hosts: ['flipkart.com'],
+    keywords: ['flipkart', 'tv', 'television', 'refrigerator', 'fridge', 'washing machine', 'air conditioner', 'appliance'],
+    strategy: 'product_list',
+    selectors: {
+      primary: 'div[data-id]',
+      secondary: '.Nx9bqj, ._30jeq3'
+    },
+    fields: {
+      title: '.KzDlHZ, .wjcEIp, ._4rR01T, .s1Q9rs, a[title]',
+      price: '.Nx9bqj, ._30jeq3',
+      rating: '.XQDdHH, ._3LWZlK',
+      link: 'a[href*="/p/"], a[href]',
+      description: '.J\\+igdf, ._1xgFaf'
+    },
+    pagination: { type: 'param', param: 'page', start: 1 },
+    details: {
+      specs: '._0ZhAN9 tr, .WJdYP6 tr',
+      seller: '#sellerName span',
+      availability: '._16FRp0, .Z8JjpR',
+      review_count: '.Wphh3N, ._2_R_DZ'
+    },
+    examples: ['43 inch smart tv on flipkart', 'washing machine']
+  },
+  {
+    id: 'myntra',
+    label: 'Myntra',
+    url: 'https://www.myntra.com/{QUERY}',
+    queryFormat: 'slug',
+    hosts: ['myntra.com'],
+    keywords: ['myntra', 'shirt', 't-shirt', 'dress', 'jeans', 'kurta', 'saree', 'shoes', 'sneakers', 'jacket', 'fashion', 'clothing'],
+    strategy: 'product_list',
+    selectors: {
+      primary: 'li.product-base',
+      secondary: '.product-discountedPrice, .product-price:not(:has(.product-discountedPrice))'
+    },
+    fields: {
+      title: '.product-product',
+      price: '.product-discountedPrice, .product-price:not(:has(.product-discountedPrice))',
+      rating: '.product-ratingsContainer > span:first-child',
+      link: 'a[href]',
+      description: '.product-brand'
+    },
+    pagination: { type: 'param', param: 'p', start: 1 },
+    details: {
+      specs: '.index-tableContainer .index-row',
+      seller: '.supplier-productSellerName',
+      review_count: '.index-ratingsCount'
+    },
+    examples: ['white sneakers for men', 'cotton kurta']
+  },
+  {
+    id: 'shopping',
+    label: 'Google Shopping',
+    url: 'https://shopping.google.com/search?q={QUERY}',
+    hosts: ['shopping.google.com'],
+    keywords: ['shopping', 'compare prices', 'price comparison', 'cheapest'],
+    strategy: 'product_list',
+    selectors: {
+      primary: '.sh-dgr__content, .i0X6df',
+      secondary: '.a8Pemb, .kHxwFf'
+    },
+    fields: {
+      title: 'h3, .tAxDx',
+      price: '.a8Pemb, .kHxwFf',
+      rating: '.Rsc7Yb',
+      link: 'a[href]',
+      description: '.aULzUe, .IuHnof'
+    },
+    examples: ['cheapest ps5 price comparison']
+  },
+  {
+    id: 'flights',
+    label: 'Google Flights',
+    url: 'https://www.google.com/travel/flights?q={QUERY}',
+    hosts: ['google.com/travel'],
+    keywords: ['flight', 'flights', 'travel', 'airfare', 'airline', 'fly'],
+    strategy: 'flight_search',
+    selectors: {
+      primary: '.gws-flights-results__result',
+      secondary: '.gws-flights-results__price'
+    },
+    fields: {
+      title: '.gws-flights-results__carriers, [role="heading"]',
+      price: '.gws-flights-results__price',
+      rating: '',
+      link: 'a[href]',
+      description: '.gws-flights-results__duration'
+    },
+    // Results render well after the page load event
+    wait: { type: 'item_count', quietMs: 1000, timeoutMs: 20000 },
+    examples: ['flights to Mumbai', 'Delhi to Goa flight next friday']
+  },
+  {
+    id: 'tracking',
+    label: 'Blue Dart Tracking',
+    url: 'https://www.bluedart.com/tracking',
+    hosts: ['bluedart.com'],
+    keywords: ['track', 'tracking', 'package', 'parcel', 'shipment', 'courier', 'awb'],
+    strategy: 'tracking_info',
+    selectors: {
+      primary: '.tracking-info',
+      secondary: '.status'
+    },
+    fields: {
+      title: 'h3, h2, .title',
+      price: '',
+      rating: '',
+      link: 'a[href]',
+      description: '.status'
+    },
+    examples: ['track package ABC123']
+  },
+  {
+    id: 'zomato',
+    label: 'Zomato',
+    url: 'https://www.zomato.com/search?q={QUERY}',
+    hosts: ['zomato.com'],
+    keywords: ['zomato', 'restaurant', 'restaurants', 'food', 'dining', 'cafe', 'dinner', 'lunch'],
+    strategy: 'restaurant_search',
+    selectors: {
+      primary: '.search-result',
+      secondary: '.rating, .cost'
+    },
+    fields: {
+      title: 'h4, h3, .result-title',
+      price: '.cost, [class*="cost"]',
+      rating: '.rating, [class*="rating"]',
+      link: 'a[href]',
+      description: '.cuisine, p'
+    },
+    pagination: { type: 'scroll' },
+    examples: ['restaurants near me', 'best cafes in Bangalore']
+  },
+  {
+    id: 'swiggy',
+    label: 'Swiggy',
+    url: 'https://www.swiggy.com/search?q={QUERY}',
+    hosts: ['swiggy.com'],
+    keywords: ['swiggy', 'delivery', 'order food', 'deliver', 'takeaway', 'biryani', 'pizza', 'burger'],
+    strategy: 'restaurant_search',
+    selectors: {
+      primary: '[data-testid="resturant-card-anchor-container"], [class*="RestaurantCard"]',
+      secondary: '[class*="costForTwo"]'
+    },
+    fields: {
+      title: '[class*="name"], h3',
+      price: '[class*="costForTwo"], [class*="price"]',
+      rating: '[class*="rating"], [class*="Rating"]',
+      link: 'a[href]',
+      description: '[class*="cuisine"]'
+    },
+    pagination: { type: 'scroll' },
+    examples: ['order biryani', 'pizza delivery near me']
+  },
+  {
+    id: 'google',
+    label: 'Google Search',
+    url: 'https://www.google.com/search?q={QUERY}',
+    hosts: ['google.com'],
+    keywords: [],
+    strategy: 'general_search',
+    selectors: {
+      primary: '.g',
+      secondary: '.r a'
+    },
+    fields: {
+      title: 'h3',
+      price: '',
+      rating: '',
+      link: 'a[href]',
+      description: '.VwiC3b, [data-sncf]'
+    },
+    pagination: { type: 'param', param: 'start', start: 0, step: 10 },
+    examples: ['what is the capital of Peru'],
+    isDefault: true
+  }
+];
+
+// chrome.storage.local key holding the adapters created on the options page
+export const CUSTOM_ADAPTERS_KEY = 'customAdapters';
+
+// Check an adapter definition; returns a list of problems (empty when valid)
+export function validateAdapter(adapter) {
+  const errors = [];
+
+  if (!adapter || typeof adapter !== 'object') {
+    return ['Adapter must be an object'];
+  }
+  if (!/^[a-z0-9_-]+$/.test(adapter.id || '')) {
+    errors.push('id must use lowercase letters, digits, "-" or "_"');
+  }
+  if (!adapter.label) {
+    errors.push('label is required');
+  }
+  if (!/^https?:\/\//.test(adapter.url || '')) {
+    errors.push('url must start with http:// or https://');
+  }
+  if (!adapter.strategy) {
+    errors.push('strategy is required');
+  }
+  if (!adapter.selectors?.primary) {
+    errors.push('selectors.primary is required');
+  }
+  if (adapter.keywords && !Array.isArray(adapter.keywords)) {
+    errors.push('keywords must be a list');
+  }
+  errors.push(...validatePagination(adapter.pagination));
+  errors.push(...validateWait(adapter.wait));
+  errors.push(...validateDetails(adapter.details));
+
+  return errors;
+}
+
+// Lookup and routing over a set of adapters. The analyzer prompt, its JSON schema and
+// the keyword fallback are all generated from here.
+export class SiteAdapterRegistry {
+  constructor(adapters = BUILT_IN_ADAPTERS) {
+    this.adapters = new Map();
+    adapters.forEach(adapter => this.register(adapter));
+  }
+
+  // Add or replace an adapter; throws if the definition is invalid
+  register(adapter) {
+    const errors = validateAdapter(adapter);
+    if (errors.length > 0) {
+      throw new Error(`Invalid site adapter "${adapter?.id || '?'}": ${errors.join('; ')}`);
+    }
+
+    this.adapters.set(adapter.id, {
+      queryFormat: 'encode',
+      hosts: [],
+      keywords: [],
+      fields: {},
+      examples: [],
+      ...adapter
+    });
+  }
+
+  unregister(id) {
+    this.adapters.delete(id);
+  }
+
+  // Replace all user-defined adapters. Invalid entries and ones reusing a built-in id
+  // are skipped, so one bad adapter cannot break routing for the rest.
+  setCustomAdapters(adapters = []) {
+    this.list().filter(adapter => adapter.custom).forEach(adapter => this.unregister(adapter.id));
+
+    const rejected = [];
+    adapters.forEach(adapter => {
+      const existing = this.get(adapter?.id);
+      if (existing && !existing.custom) {
+        rejected.push({ id: adapter.id, errors: ['id is already used by a built-in adapter'] });
+        return;
+      }
+
+      try {
+        this.register({ ...adapter, custom: true, isDefault: false });
+      } catch (error) {
+        rejected.push({ id: adapter?.id, errors: validateAdapter(adapter) });
+      }
+    });
+
+    return rejected;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  getDefault() {
+    return this.list().find(adapter => adapter.isDefault) || this.list()[0];
+  }
+
+  // Distinct scraping strategies across all adapters
+  strategies() {
+    return [...new Set(this.list().map(adapter => adapter.strategy))];
+  }
+
+  // Fill the adapter's URL template with the query
+  buildUrl(adapter, query) {
+    const value = adapter.queryFormat === 'slug'
+      ? query.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+      : encodeURIComponent(query);
+    return adapter.url.replace('{QUERY}', value);
+  }
+
+  // Score each adapter by the keywords found in the query. Multi-word keywords count
+  // per word and naming the site outright wins, so "order food" beats "food".
+  scoreQuery(adapter, query) {
+    const lowerQuery = query.toLowerCase();
+    let score = 0;
+
+    adapter.keywords.forEach(keyword => {
+      if (new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}s?\\b`).test(lowerQuery)) {
+        score += keyword.split(/\s+/).length;
+      }
+    });
+
+    if (new RegExp(`\\b${escapeRegExp(adapter.id)}\\b`).test(lowerQuery)) {
+      score += 10;
+    }
+
+    return score;
+  }
+
+  // Best adapter for a query by keywords, or the default adapter. Custom adapters win
+  // ties, since the user added them for exactly these queries.
+  match(query) {
+    let best = null;
+    let bestScore = 0;
+
+    this.list().forEach(adapter => {
+      const score = this.scoreQuery(adapter, query);
+      if (score > bestScore || (score > 0 && score === bestScore && adapter.custom && !best.custom)) {
+        best = adapter;
+        bestScore = score;
+      }
+    });
+
+    return best || this.getDefault();
+  }
+
+  // Adapter whose hosts cover the given URL, if any
+  findByUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const host = parsed.hostname.replace(/^www\./, '');
+    const target = `${host}${parsed.pathname}`;
+
+    // Most specific host entry first, so google.com/travel wins over google.com. Among
+    // equally specific entries custom adapters come first: a recipe saved on a built-in
+    // site is what the user wants used there.
+    const candidates = this.list()
+      .flatMap(adapter => adapter.hosts.map(entry => ({ adapter, entry: entry.replace(/^www\./, '') })))
+      .sort((a, b) => b.entry.length - a.entry.length || Boolean(b.adapter.custom) - Boolean(a.adapter.custom));
+
+    const match = candidates.find(({ entry }) => {
+      const [entryHost] = entry.split('/');
+      const hostMatches = host === entryHost || host.endsWith(`.${entryHost}`);
+      return hostMatches && (target.startsWith(entry) || !entry.includes('/'));
+    });
+
+    return match ? match.adapter : null;
+  }
+
+  // Analysis object (same shape as the analyzer's output) for an adapter
+  toAnalysis(adapter, query, url) {
+    return {
+      website: adapter.id,
+      url: url || this.buildUrl(adapter, query),
+      scraping_strategy: adapter.strategy,
+      selectors: { ...adapter.selectors },
+      fields: { ...adapter.fields },
+      pagination: adapter.pagination || null,
+      wait: adapter.wait || null,
+      details: adapter.details || null
+    };
+  }
+
+  // Keyword routing used when Gemma is unavailable
+  fallbackAnalysis(query) {
+    return this.toAnalysis(this.match(query), query);
+  }
+
+  // Retailers a compare search fans out to: every product_list adapter with a search
+  // URL, the ones the query's keywords point at first
+  compareTargets(query) {
+    return this.list()
+      .filter(adapter => adapter.strategy === 'product_list' && adapter.url.includes('{QUERY}'))
+      .map((adapter, index) => ({ adapter, index, score: this.scoreQuery(adapter, query) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ adapter }) => adapter);
+  }
+
+  // Complete a Gemma analysis with the adapter's selectors and field selectors. The
+  // model's URL is kept only when it points at the adapter's site.
+  resolveAnalysis(analysis, query) {
+    const adapter = this.get(analysis.website);
+    if (!adapter) {
+      return analysis;
+    }
+
+    const urlMatches = this.findByUrl(analysis.url)?.id === adapter.id;
+    return {
+      ...analysis,
+      ...this.toAnalysis(adapter, query, urlMatches ? analysis.url : undefined)
+    };
+  }
+
+  // JSON schema for the analyzer's response, with enums taken from the adapters
+  analysisSchema() {
+    return {
+      type: 'object',
+      required: ['website', 'url', 'scraping_strategy', 'selectors'],
+      properties: {
+        website: { type: 'string', enum: this.list().map(adapter => adapter.id) },
+        url: { type: 'string', pattern: '^https?://' },
+        scraping_strategy: { type: 'string', enum: this.strategies() },
+        selectors: {
+          type: 'object',
+          required: ['primary'],
+          properties: {
+            primary: { type: 'string', minLength: 1 },
+            secondary: { type: 'string' }
+          }
+        }
+      }
+    };
+  }
+
+  // Fill the analyzer prompt template's {WEBSITES}, {WEBSITE_IDS}, {STRATEGIES},
+  // {EXAMPLES} and {QUERY} placeholders from the registered adapters
+  buildAnalyzerPrompt(template, query) {
+    const adapters = this.list();
+
+    const websites = adapters.map(adapter => {
+      const keywords = adapter.keywords.length > 0 ? ` Typical queries: ${adapter.keywords.slice(0, 8).join(', ')}.` : '';
+      return `- ${adapter.id} (${adapter.label}): ${adapter.strategy}, URL ${adapter.url}, primary selector "${adapter.selectors.primary}".${keywords}`;
+    }).join('\n');
+
+    const examples = adapters.flatMap(adapter => adapter.examples.map(example => `- "${example}" → ${adapter.id}`)).join('\n');
+
+    const values = {
+      WEBSITES: websites,
+      WEBSITE_IDS: adapters.map(adapter => adapter.id).join('|'),
+      STRATEGIES: this.strategies().join('|'),
+      EXAMPLES: examples,
+      QUERY: query
+    };
+
+    // Single pass, so a {QUERY} inside an adapter URL or the query itself is left alone
+    return template.replace(/\{(WEBSITES|WEBSITE_IDS|STRATEGIES|EXAMPLES|QUERY)\}/g, (placeholder, name) => values[name]);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Extract list items from a page using an adapter's selectors. Injected into the
+// scraping tab with chrome.scripting.executeScript, so it must stay self-contained;
+// pass a parsed fixture Document as `root` to run it outside the browser.
+export function extractPageContent(spec, maxResults = 20, root = document) {
+  const doc = root.ownerDocument || root;
+  const selectors = spec.selectors || spec;
+  const fields = spec.fields || {};
+
+  // Invalid selectors (common in user-written adapters) count as "no match"
+  const queryOne = (element, selector) => {
+    if (!selector) return null;
+    try {
+      return element.querySelector(selector);
+    } catch (error) {
+      return null;
+    }
+  };
+  const textOf = (element, selector) => queryOne(element, selector)?.textContent?.replace(/\s+/g, ' ').trim() || '';
+
+  try {
+    const data = [];
+    // Detected lists can have an XPath item selector (see content/selector-engine.js)
+    let elements = [];
+    try {
+      if (/^\(*\.?\//.test(selectors.primary)) {
+        const snapshot = doc.evaluate(selectors.primary, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        elements = Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i));
+      } else {
+        elements = Array.from(root.querySelectorAll(selectors.primary));
+      }
+    } catch (error) {
+      elements = [];
+    }
+
+    elements.slice(0, maxResults).forEach(element => {
+      const linkElement = queryOne(element, fields.link) || (element.matches('a[href]') ? element : queryOne(element, 'a[href]'));
+
+      data.push({
+        title: textOf(element, fields.title) || textOf(element, 'h3, h2, h1, .title, [title]') || 'No title',
+        price: textOf(element, fields.price || selectors.secondary) || 'Price not found',
+        link: linkElement?.href || '',
+        description: (textOf(element, fields.description) || textOf(element, '.description, p')).substring(0, 200),
+        rating: textOf(element, fields.rating) || textOf(element, '.rating, .stars, [data-rating]') || 'No rating'
+      });
+    });
+
+    return {
+      html: doc.documentElement.outerHTML.substring(0, 50000), // Limit HTML size
+      data: data,
+      matched: elements.length,
+      timestamp: Date.now(),
+      url: doc.location?.href || ''
+    };
+  } catch (error) {
+    return {
+      html: '',
+      data: [],
+      matched: 0,
+      error: error.message,
+      timestamp: Date.now(),
+      url: doc.location?.href || ''
+    };
+  }
+}
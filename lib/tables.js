@@ -0,0 +1,28 @@
+// lib/tables.js - Results built from tables and definition lists read by content/table-extractor.js
+
+// Result for one extracted table ({ kind, selector, caption, columns, rows, items }).
+// `grid` keeps the column order and numeric flags for the popup's grid view and the
+// exporters; `extracted_data` has one item per row keyed by column name.
+// `tables` optionally lists every table found on the page, so the popup can switch.
+export function tableResult(table, { url = '', pageTitle = '', source = 'page_tables', tables } = {}) {
+  return {
+    success: true,
+    source,
+    url,
+    pageTitle,
+    strategy: table.kind === 'definition_list' ? 'definition_list' : 'table',
+    selectors: { primary: table.selector },
+    caption: table.caption || '',
+    grid: { columns: table.columns, rows: table.rows },
+    extracted_data: table.items,
+    total_results: table.items.length,
+    ...(tables && { tables }),
+    timestamp: Date.now()
+  };
+}
+
+// Short label for a table in the popup's table picker, e.g. "Specifications (12 × 2)"
+export function describeTable(table, index) {
+  const name = table.caption || (table.kind === 'definition_list' ? 'Definition list' : `Table ${index + 1}`);
+  return `${name} (${table.rows.length} × ${table.columns.length})`;
+}
@@ -0,0 +1,74 @@
+// lib/values.js - Parse prices, currencies and ratings out of scraped text
+
+// A number with thousands separators. A space only separates thousands when exactly
+// three digits follow ("1 299 000"), so "₹79,990 ₹89,990" stays two numbers.
+const NUMBER_PATTERN = String.raw`\d(?:[\d.,]|[\s\u00a0\u202f](?=\d{3}(?!\d)))*`;
+
+// Currency symbols and codes written right before or after an amount
+const CURRENCY_MARK = String.raw`₹|\$|€|£|\brs\.?|\b(?:inr|usd|eur|gbp)\b`;
+
+const AFTER_CURRENCY = new RegExp(`(?:${CURRENCY_MARK})\\s*(${NUMBER_PATTERN})`, 'i');
+const BEFORE_CURRENCY = new RegExp(`(${NUMBER_PATTERN})\\s*(?:${CURRENCY_MARK})`, 'i');
+const ANY_NUMBER = new RegExp(`(${NUMBER_PATTERN})`);
+
+// The number in a piece of text, e.g. "₹1,23,456.50" → 123456.5, "1.299,00 €" → 1299,
+// "4.5 out of 5 stars" → 4.5. A number next to a currency mark wins over earlier ones
+// ("2 items from ₹499" → 499); otherwise the first number is used. Returns null when
+// the text has no number.
+export function parseNumber(text) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+
+  const source = String(text ?? '');
+  const match = source.match(AFTER_CURRENCY) || source.match(BEFORE_CURRENCY) || source.match(ANY_NUMBER);
+  if (!match) return null;
+
+  let digits = match[1].replace(/\s+/g, '').replace(/[.,]+$/, '');
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal point
+    digits = lastComma > lastDot
+      ? digits.replace(/\./g, '').replace(',', '.')
+      : digits.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    // "12,999" and "1,23,456" group thousands; "12,5" is a decimal comma
+    const decimals = digits.length - lastComma - 1;
+    digits = decimals === 3 || digits.split(',').length > 2
+      ? digits.replace(/,/g, '')
+      : digits.replace(',', '.');
+  } else if (digits.split('.').length > 2) {
+    // "1.299.000" uses dots as thousands separators
+    digits = digits.replace(/\./g, '');
+  }
+
+  const value = parseFloat(digits);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Price as a number, ignoring currency symbols and codes; null for "Price not found"
+export function parsePrice(text) {
+  return parseNumber(text);
+}
+
+// Rating as a number; "4.2 out of 5 stars" and "4.2★" both give 4.2
+export function parseRating(text) {
+  const value = parseNumber(text);
+  return value !== null && value <= 10 ? value : null;
+}
+
+// Currency symbols and words, mapped to ISO 4217 codes
+const CURRENCY_PATTERNS = [
+  ['INR', /₹|\brs\.?(?=\s*\d|\s|$)|\binr\b|\brupees?\b/i],
+  ['USD', /\$|\busd\b|\bdollars?\b/i],
+  ['EUR', /€|\beur\b|\beuros?\b/i],
+  ['GBP', /£|\bgbp\b|\bpounds?\b/i]
+];
+
+// Currency code of a price or query ("₹79,990" → "INR", "under 500 dollars" → "USD"),
+// or null when none is written
+export function parseCurrency(text) {
+  const source = String(text ?? '');
+  const match = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(source));
+  return match ? match[0] : null;
+}
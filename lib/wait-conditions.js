@@ -0,0 +1,64 @@
+// lib/wait-conditions.js - When a loaded page is ready to scrape
+
+import { STAGE_TIMEOUTS } from './jobs.js';
+
+// Conditions an adapter can wait for after the tab reports `complete`; the content
+// script (content/wait-conditions.js) evaluates them:
+//   { type: 'selector', selector }         - an element matching `selector` exists
+//   { type: 'network_idle', quietMs }      - no new requests for `quietMs`
+//   { type: 'dom_quiet', quietMs }         - no DOM mutations for `quietMs`
+//   { type: 'item_count', selector, quietMs } - the number of `selector` matches is
+//                                            non-zero and unchanged for `quietMs`
+// Every condition gives up after `timeoutMs` and the page is scraped as it is.
+export const WAIT_TYPES = {
+  selector: 'Element appears',
+  network_idle: 'Network idle',
+  dom_quiet: 'Page stops changing',
+  item_count: 'Item count stable'
+};
+
+// Used for adapters without a `wait` entry: static pages are ready almost at once,
+// client-rendered ones get a few seconds to settle
+export const DEFAULT_WAIT = { type: 'dom_quiet', quietMs: 500, timeoutMs: 5000 };
+
+// Quiet period used when a condition does not set one
+export const DEFAULT_QUIET_MS = 500;
+
+// Longest wait an adapter may ask for. The wait runs as the pageReady stage, so it is
+// that stage's timeout less 5 s for the round trip to the content script.
+export const MAX_WAIT_MS = STAGE_TIMEOUTS.pageReady - 5000;
+
+// Check an adapter's wait entry; returns a list of problems (empty when valid)
+export function validateWait(wait) {
+  if (wait === undefined || wait === null) return [];
+  if (typeof wait !== 'object' || !WAIT_TYPES[wait.type]) {
+    return [`wait.type must be one of ${Object.keys(WAIT_TYPES).join(', ')}`];
+  }
+
+  const errors = [];
+  if (wait.type === 'selector' && !wait.selector) {
+    errors.push('wait.selector is required for "selector" waits');
+  }
+  if (wait.timeoutMs !== undefined && !(wait.timeoutMs > 0 && wait.timeoutMs <= MAX_WAIT_MS)) {
+    errors.push(`wait.timeoutMs must be between 1 and ${MAX_WAIT_MS}`);
+  }
+  if (wait.quietMs !== undefined && !(wait.quietMs > 0)) {
+    errors.push('wait.quietMs must be a positive number');
+  }
+  return errors;
+}
+
+// The condition to evaluate for an analysis: the adapter's own, else the default.
+// An item_count wait without a selector counts the analysis' item selector.
+export function resolveWait(wait, selectors = {}) {
+  const condition = { ...(wait || DEFAULT_WAIT) };
+  if (condition.type === 'item_count' && !condition.selector) {
+    condition.selector = selectors.primary;
+  }
+
+  return {
+    ...condition,
+    quietMs: condition.quietMs || DEFAULT_QUIET_MS,
+    timeoutMs: Math.min(condition.timeoutMs || DEFAULT_WAIT.timeoutMs, MAX_WAIT_MS)
+  };
+}
@@ -0,0 +1,213 @@
+// lib/watches.js - Scheduled watch jobs and the rules evaluated on each run
+
+import { parsePrice, parseRating } from './values.js';
+import { itemKey } from './result-diff.js';
+
+// chrome.alarms name prefix; the rest of the alarm name is the watch id
+export const WATCH_ALARM_PREFIX = 'watch:';
+
+// Shortest allowed interval between runs, to stay polite to the scraped sites
+export const MIN_WATCH_INTERVAL_MINUTES = 15;
+
+// Runs kept per watch
+export const WATCH_RUN_LIMIT = 20;
+
+// Rules a watch can evaluate against each run's items. `test(item, value, context)`
+// returns true when the item matches; context.previousKeys holds the item keys of the
+// previous run (null on the first run).
+export const WATCH_RULES = {
+  price_below: {
+    label: 'Price below',
+    needsValue: true,
+    test: (item, value) => {
+      const price = parsePrice(item.price);
+      return price !== null && price < value;
+    },
+    describe: (item, value) => `${item.price} (below ${value})`
+  },
+  rating_above: {
+    label: 'Rating above',
+    needsValue: true,
+    test: (item, value) => {
+      const rating = parseRating(item.rating);
+      return rating !== null && rating > value;
+    },
+    describe: (item, value) => `Rated ${item.rating} (above ${value})`
+  },
+  new_item: {
+    label: 'New item appears',
+    needsValue: false,
+    // Everything is "new" on the first run, so nothing matches until there is a baseline
+    test: (item, value, context) => context.previousKeys !== null && !context.previousKeys.has(itemKey(item)),
+    describe: (item) => `New: ${item.price && item.price !== 'Price not found' ? item.price : 'listed'}`
+  }
+};
+
+// Check a watch definition; returns a list of problems (empty when valid)
+export function validateWatch(watch) {
+  const errors = [];
+
+  if (!watch.name?.trim()) {
+    errors.push('name is required');
+  }
+  if (watch.type === 'query') {
+    if (!watch.query?.trim()) errors.push('query is required');
+  } else if (watch.type === 'url') {
+    if (!/^https?:\/\//.test(watch.url || '')) errors.push('url must start with http:// or https://');
+    if (!watch.selectors?.primary) errors.push('an item selector is required');
+  } else {
+    errors.push('type must be "query" or "url"');
+  }
+  if (!(watch.intervalMinutes >= MIN_WATCH_INTERVAL_MINUTES)) {
+    errors.push(`interval must be at least ${MIN_WATCH_INTERVAL_MINUTES} minutes`);
+  }
+  if (!Array.isArray(watch.rules) || watch.rules.length === 0) {
+    errors.push('add at least one rule');
+  } else {
+    watch.rules.forEach(rule => {
+      const definition = WATCH_RULES[rule.type];
+      if (!definition) {
+        errors.push(`unknown rule "${rule.type}"`);
+      } else if (definition.needsValue && !Number.isFinite(rule.value)) {
+        errors.push(`${definition.label} needs a number`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Evaluate a watch's rules against a run's items. Returns a list of
+// { rule, item, key, description } where `key` identifies the match across runs.
+export function evaluateWatch(watch, items, previousItems = null) {
+  const context = {
+    previousKeys: previousItems ? new Set(previousItems.map(itemKey)) : null
+  };
+
+  const matches = [];
+  watch.rules.forEach(rule => {
+    const definition = WATCH_RULES[rule.type];
+    if (!definition) return;
+
+    items.forEach(item => {
+      if (definition.test(item, rule.value, context)) {
+        matches.push({
+          rule,
+          item,
+          key: `${rule.type}:${itemKey(item)}`,
+          description: definition.describe(item, rule.value)
+        });
+      }
+    });
+  });
+
+  return matches;
+}
+
+// Watches and their runs, stored in chrome.storage.local. Watches are
+// { id, name, type: 'query'|'url', query, url, selectors, fields, intervalMinutes,
+//   rules, enabled, createdAt, lastRun }; runs are
+// { timestamp, status, error, total_results, items, matchKeys }.
+export class WatchStore {
+  constructor({ storageKey = 'watches', runsKey = 'watchRuns', storage } = {}) {
+    this.storageKey = storageKey;
+    this.runsKey = runsKey;
+    this.storage = storage || chrome.storage.local;
+    this.state = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  // Read watches and runs from storage once per service worker lifetime
+  async load() {
+    if (this.state) return this.state;
+
+    if (!this.loading) {
+      this.loading = this.storage.get([this.storageKey, this.runsKey])
+        .then((stored) => {
+          this.state = {
+            watches: stored[this.storageKey] || {},
+            runs: stored[this.runsKey] || {}
+          };
+          return this.state;
+        })
+        .catch((error) => {
+          console.warn('⚠️ Failed to load watches, starting empty:', error);
+          this.state = { watches: {}, runs: {} };
+          return this.state;
+        });
+    }
+
+    return this.loading;
+  }
+
+  // Write everything back; writes are chained so they land in order
+  persist() {
+    const snapshot = { [this.storageKey]: this.state.watches, [this.runsKey]: this.state.runs };
+    this.writing = this.writing
+      .then(() => this.storage.set(snapshot))
+      .catch((error) => console.warn('⚠️ Failed to persist watches:', error));
+    return this.writing;
+  }
+
+  async list() {
+    const { watches } = await this.load();
+    return Object.values(watches).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async get(id) {
+    const { watches } = await this.load();
+    return watches[id] || null;
+  }
+
+  // Create or update a watch. Resolves to the stored watch.
+  async save(watch) {
+    const { watches } = await this.load();
+    const existing = watch.id ? watches[watch.id] : null;
+
+    const stored = {
+      enabled: true,
+      lastRun: null,
+      ...existing,
+      ...watch,
+      id: existing?.id || `watch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: existing?.createdAt || Date.now()
+    };
+
+    watches[stored.id] = stored;
+    await this.persist();
+    return stored;
+  }
+
+  async delete(id) {
+    const { watches, runs } = await this.load();
+    if (!watches[id]) return false;
+
+    delete watches[id];
+    delete runs[id];
+    await this.persist();
+    return true;
+  }
+
+  // Runs of a watch, newest first
+  async getRuns(id) {
+    const { runs } = await this.load();
+    return runs[id] || [];
+  }
+
+  // Store a run and update the watch's lastRun summary
+  async addRun(id, run) {
+    const { watches, runs } = await this.load();
+    if (!watches[id]) return;
+
+    runs[id] = [run, ...(runs[id] || [])].slice(0, WATCH_RUN_LIMIT);
+    watches[id].lastRun = {
+      timestamp: run.timestamp,
+      status: run.status,
+      error: run.error,
+      total_results: run.total_results,
+      matchCount: run.matchKeys.length
+    };
+    await this.persist();
+  }
+}
@@ -0,0 +1,501 @@
+// options.js - Options page for creating, testing and saving custom site adapters
+
+import { BUILT_IN_ADAPTERS, CUSTOM_ADAPTERS_KEY, SiteAdapterRegistry, validateAdapter } from './lib/site-adapters.js';
+import { PAGINATION_TYPES } from './lib/pagination.js';
+import { WAIT_TYPES } from './lib/wait-conditions.js';
+
+// Field selectors editable on the form, keyed by adapter field name
+const FIELD_INPUTS = {
+  title: 'fieldTitle',
+  price: 'fieldPrice',
+  rating: 'fieldRating',
+  link: 'fieldLink',
+  description: 'fieldDescription'
+};
+
+// Detail-page selectors editable on the form, keyed by detail field (see lib/enrichment.js)
+const DETAIL_INPUTS = {
+  specs: 'detailSpecs',
+  seller: 'detailSeller',
+  availability: 'detailAvailability',
+  review_count: 'detailReviewCount'
+};
+
+// Number of matched items shown in the test preview
+const PREVIEW_LIMIT = 10;
+
+class OptionsManager {
+  constructor() {
+    this.registry = new SiteAdapterRegistry();
+    this.customAdapters = [];
+    this.editingId = null;
+    this.init();
+  }
+
+  // Initialize the options page
+  async init() {
+    console.log('🧩 Options page initialized');
+    this.setupEventListeners();
+    this.renderStrategyOptions();
+    this.renderPaginationOptions();
+    this.renderWaitOptions();
+    this.renderBuiltInList();
+    await this.loadCustomAdapters();
+    this.resetForm();
+  }
+
+  // Setup event listeners
+  setupEventListeners() {
+    document.getElementById('newAdapterBtn').addEventListener('click', () => this.resetForm());
+    document.getElementById('adapterForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveAdapter();
+    });
+    document.getElementById('deleteAdapterBtn').addEventListener('click', () => this.deleteAdapter());
+    document.getElementById('testAdapterBtn').addEventListener('click', () => this.testAdapter());
+
+    document.getElementById('paginationType').addEventListener('change', () => this.updatePaginationFields());
+    document.getElementById('waitType').addEventListener('change', () => this.updateWaitFields());
+
+    // Keep the sample URL in step with the form
+    ['adapterUrl', 'adapterQueryFormat', 'sampleQuery'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.updateSampleUrl());
+    });
+
+    // Adapters saved from another options tab
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && CUSTOM_ADAPTERS_KEY in changes) {
+        this.customAdapters = changes[CUSTOM_ADAPTERS_KEY].newValue || [];
+        this.renderCustomList();
+      }
+    });
+  }
+
+  // Load custom adapters from storage
+  async loadCustomAdapters() {
+    try {
+      const stored = await chrome.storage.local.get(CUSTOM_ADAPTERS_KEY);
+      this.customAdapters = stored[CUSTOM_ADAPTERS_KEY] || [];
+    } catch (error) {
+      console.warn('Failed to load custom adapters:', error);
+      this.customAdapters = [];
+    }
+    this.renderCustomList();
+  }
+
+  renderStrategyOptions() {
+    const datalist = document.getElementById('strategyOptions');
+    datalist.innerHTML = this.registry.strategies()
+      .map(strategy => `<option value="${this.escapeHtml(strategy)}"></option>`)
+      .join('');
+  }
+
+  renderPaginationOptions() {
+    const select = document.getElementById('paginationType');
+    Object.entries(PAGINATION_TYPES).forEach(([type, label]) => {
+      select.add(new Option(label, type));
+    });
+  }
+
+  // Show only the inputs the chosen pagination type uses
+  updatePaginationFields() {
+    const type = document.getElementById('paginationType').value;
+    document.getElementById('paginationSelectorGroup').hidden = type !== 'next';
+    document.getElementById('paginationParamGroup').hidden = type !== 'param';
+  }
+
+  renderWaitOptions() {
+    const select = document.getElementById('waitType');
+    Object.entries(WAIT_TYPES).forEach(([type, label]) => {
+      select.add(new Option(label, type));
+    });
+  }
+
+  // Show only the inputs the chosen wait condition uses
+  updateWaitFields() {
+    const type = document.getElementById('waitType').value;
+    document.getElementById('waitSelectorGroup').hidden = !['selector', 'item_count'].includes(type);
+    document.getElementById('waitTimingGroup').hidden = !type;
+  }
+
+  renderBuiltInList() {
+    const list = document.getElementById('builtInAdapterList');
+    list.innerHTML = '';
+
+    BUILT_IN_ADAPTERS.forEach(adapter => {
+      const item = this.createListItem(adapter);
+      const duplicateBtn = document.createElement('button');
+      duplicateBtn.className = 'action-btn';
+      duplicateBtn.textContent = 'Duplicate';
+      duplicateBtn.addEventListener('click', () => this.duplicateAdapter(adapter));
+      item.appendChild(duplicateBtn);
+      list.appendChild(item);
+    });
+  }
+
+  renderCustomList() {
+    const list = document.getElementById('customAdapterList');
+    list.innerHTML = '';
+
+    if (this.customAdapters.length === 0) {
+      list.innerHTML = '<li class="empty">No custom adapters yet</li>';
+      return;
+    }
+
+    this.customAdapters.forEach(adapter => {
+      const item = this.createListItem(adapter);
+      item.classList.toggle('selected', adapter.id === this.editingId);
+      item.addEventListener('click', () => this.editAdapter(adapter));
+      list.appendChild(item);
+    });
+  }
+
+  createListItem(adapter) {
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span>${this.escapeHtml(adapter.label)} <span class="adapter-id">${this.escapeHtml(adapter.id)}</span></span>
+    `;
+    return item;
+  }
+
+  // Clear the form for a new adapter
+  resetForm() {
+    this.editingId = null;
+    this.fillForm({ queryFormat: 'encode', selectors: {}, fields: {} });
+    document.getElementById('editorTitle').textContent = 'New Adapter';
+    document.getElementById('deleteAdapterBtn').hidden = true;
+    this.renderCustomList();
+  }
+
+  editAdapter(adapter) {
+    this.editingId = adapter.id;
+    this.fillForm(adapter);
+    document.getElementById('editorTitle').textContent = `Edit ${adapter.label}`;
+    document.getElementById('deleteAdapterBtn').hidden = false;
+    this.renderCustomList();
+  }
+
+  // Start a new custom adapter from a built-in one
+  duplicateAdapter(adapter) {
+    this.resetForm();
+    this.fillForm({
+      ...adapter,
+      id: `${adapter.id}-custom`,
+      label: `${adapter.label} (custom)`
+    });
+  }
+
+  fillForm(adapter) {
+    document.getElementById('adapterId').value = adapter.id || '';
+    document.getElementById('adapterLabel').value = adapter.label || '';
+    document.getElementById('adapterUrl').value = adapter.url || '';
+    document.getElementById('adapterQueryFormat').value = adapter.queryFormat || 'encode';
+    document.getElementById('adapterStrategy').value = adapter.strategy || '';
+    document.getElementById('adapterKeywords').value = (adapter.keywords || []).join(', ');
+    document.getElementById('adapterHosts').value = (adapter.hosts || []).join(', ');
+    document.getElementById('adapterItemSelector').value = adapter.selectors?.primary || '';
+    Object.entries(FIELD_INPUTS).forEach(([field, inputId]) => {
+      document.getElementById(inputId).value = adapter.fields?.[field] || '';
+    });
+    Object.entries(DETAIL_INPUTS).forEach(([field, inputId]) => {
+      document.getElementById(inputId).value = adapter.details?.[field] || '';
+    });
+    document.getElementById('sampleQuery').value = adapter.examples?.[0] || '';
+
+    const pagination = adapter.pagination || {};
+    document.getElementById('paginationType').value = pagination.type || '';
+    document.getElementById('paginationSelector').value = pagination.selector || '';
+    document.getElementById('paginationParam').value = pagination.param || '';
+    document.getElementById('paginationStart').value = pagination.start ?? '';
+    document.getElementById('paginationStep').value = pagination.step ?? '';
+    this.updatePaginationFields();
+
+    const wait = adapter.wait || {};
+    document.getElementById('waitType').value = wait.type || '';
+    document.getElementById('waitSelector').value = wait.selector || '';
+    document.getElementById('waitQuietMs').value = wait.quietMs ?? '';
+    document.getElementById('waitTimeoutMs').value = wait.timeoutMs ?? '';
+    this.updateWaitFields();
+
+    this.showErrors([]);
+    document.getElementById('testPreview').hidden = true;
+    this.updateSampleUrl();
+  }
+
+  // Build an adapter object from the form fields
+  readForm() {
+    const splitList = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+    const value = (id) => document.getElementById(id).value.trim();
+
+    const fields = {};
+    Object.entries(FIELD_INPUTS).forEach(([field, inputId]) => {
+      if (value(inputId)) fields[field] = value(inputId);
+    });
+
+    const details = {};
+    Object.entries(DETAIL_INPUTS).forEach(([field, inputId]) => {
+      if (value(inputId)) details[field] = value(inputId);
+    });
+
+    const url = value('adapterUrl');
+    let hosts = splitList(value('adapterHosts'));
+    if (hosts.length === 0) {
+      try {
+        hosts = [new URL(url.replace('{QUERY}', 'query')).hostname.replace(/^www\./, '')];
+      } catch (error) {
+        hosts = [];
+      }
+    }
+
+    return {
+      id: value('adapterId').toLowerCase(),
+      label: value('adapterLabel'),
+      url,
+      queryFormat: value('adapterQueryFormat'),
+      hosts,
+      keywords: splitList(value('adapterKeywords')),
+      strategy: value('adapterStrategy'),
+      selectors: {
+        primary: value('adapterItemSelector'),
+        secondary: fields.price || ''
+      },
+      fields,
+      ...(this.readPagination() && { pagination: this.readPagination() }),
+      ...(this.readWait() && { wait: this.readWait() }),
+      ...(Object.keys(details).length > 0 && { details }),
+      examples: value('sampleQuery') ? [value('sampleQuery')] : []
+    };
+  }
+
+  // Wait condition from the form, or null for the default
+  readWait() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const type = value('waitType');
+    if (!type) return null;
+
+    return {
+      type,
+      ...(['selector', 'item_count'].includes(type) && value('waitSelector') && { selector: value('waitSelector') }),
+      ...(value('waitQuietMs') && { quietMs: Number(value('waitQuietMs')) }),
+      ...(value('waitTimeoutMs') && { timeoutMs: Number(value('waitTimeoutMs')) })
+    };
+  }
+
+  // Pagination settings from the form, or null for first page only
+  readPagination() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const type = value('paginationType');
+
+    if (type === 'next') return { type, selector: value('paginationSelector') };
+    if (type === 'param') {
+      return {
+        type,
+        param: value('paginationParam'),
+        ...(value('paginationStart') && { start: Number(value('paginationStart')) }),
+        ...(value('paginationStep') && { step: Number(value('paginationStep')) })
+      };
+    }
+    return type ? { type } : null;
+  }
+
+  // Check the form; built-in ids and ids of other custom adapters are taken
+  validateForm(adapter) {
+    const errors = validateAdapter(adapter);
+
+    if (BUILT_IN_ADAPTERS.some(builtIn => builtIn.id === adapter.id)) {
+      errors.push(`"${adapter.id}" is a built-in adapter id`);
+    }
+    if (adapter.id !== this.editingId && this.customAdapters.some(custom => custom.id === adapter.id)) {
+      errors.push(`An adapter with id "${adapter.id}" already exists`);
+    }
+    errors.push(...this.findInvalidSelectors(adapter));
+
+    return errors;
+  }
+
+  // Selectors the browser refuses to parse
+  findInvalidSelectors(adapter) {
+    const details = Object.fromEntries(Object.entries(adapter.details || {}).map(([field, selector]) => [`${field} detail`, selector]));
+    const selectors = { item: adapter.selectors.primary, ...adapter.fields, 'next page': adapter.pagination?.selector, wait: adapter.wait?.selector, ...details };
+
+    return Object.entries(selectors)
+      .filter(([, selector]) => {
+        if (!selector) return false;
+        try {
+          document.createDocumentFragment().querySelector(selector);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      })
+      .map(([name, selector]) => `${name} selector "${selector}" is not valid CSS`);
+  }
+
+  showErrors(errors) {
+    document.getElementById('formErrors').innerHTML = errors
+      .map(error => `<li>${this.escapeHtml(error)}</li>`)
+      .join('');
+  }
+
+  // Save the adapter being edited
+  async saveAdapter() {
+    const adapter = this.readForm();
+    const errors = this.validateForm(adapter);
+    this.showErrors(errors);
+    if (errors.length > 0) return;
+
+    const adapters = this.customAdapters.filter(custom => custom.id !== this.editingId);
+    adapters.push(adapter);
+
+    try {
+      await chrome.storage.local.set({ [CUSTOM_ADAPTERS_KEY]: adapters });
+      this.customAdapters = adapters;
+      this.editAdapter(adapter);
+      this.showNotification(`Saved ${adapter.label}`, 'success');
+    } catch (error) {
+      console.error('Failed to save adapter:', error);
+      this.showNotification('Failed to save adapter', 'error');
+    }
+  }
+
+  // Delete the adapter being edited
+  async deleteAdapter() {
+    if (!this.editingId || !confirm(`Delete the "${this.editingId}" adapter?`)) return;
+
+    const adapters = this.customAdapters.filter(custom => custom.id !== this.editingId);
+    try {
+      await chrome.storage.local.set({ [CUSTOM_ADAPTERS_KEY]: adapters });
+      this.customAdapters = adapters;
+      this.resetForm();
+      this.showNotification('Adapter deleted', 'success');
+    } catch (error) {
+      console.error('Failed to delete adapter:', error);
+      this.showNotification('Failed to delete adapter', 'error');
+    }
+  }
+
+  updateSampleUrl() {
+    const adapter = this.readForm();
+    const query = document.getElementById('sampleQuery').value.trim();
+    const sampleUrl = document.getElementById('sampleUrl');
+
+    sampleUrl.textContent = adapter.url && query
+      ? `Searches ${this.registry.buildUrl(adapter, query)}`
+      : '';
+  }
+
+  // The most recently used web page tab (the options tab itself is not http(s))
+  async findTestTab() {
+    const tabs = await chrome.tabs.query({});
+    return tabs
+      .filter(tab => /^https?:/.test(tab.url || ''))
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
+  }
+
+  // Send a message to the tab's content script, injecting it first on pages that were
+  // open before the extension was installed
+  async sendToContentScript(tabId, message) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      const [{ js: files }] = chrome.runtime.getManifest().content_scripts;
+      await chrome.scripting.executeScript({ target: { tabId }, files });
+      return chrome.tabs.sendMessage(tabId, message);
+    }
+  }
+
+  // Run the form's selectors against the current tab through the content script
+  async testAdapter() {
+    const adapter = this.readForm();
+    const errors = [
+      ...(adapter.selectors.primary ? [] : ['selectors.primary is required']),
+      ...this.findInvalidSelectors(adapter)
+    ];
+    this.showErrors(errors);
+    if (errors.length > 0) return;
+
+    const testBtn = document.getElementById('testAdapterBtn');
+    testBtn.disabled = true;
+
+    try {
+      const tab = await this.findTestTab();
+      if (!tab) {
+        throw new Error('Open the page you want to test in another tab first');
+      }
+
+      const response = await this.sendToContentScript(tab.id, {
+        action: 'extractPageData',
+        selectors: adapter.selectors,
+        fields: adapter.fields
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      // Show the user what matched on the page itself
+      this.sendToContentScript(tab.id, { action: 'highlightElements', selectors: { primary: adapter.selectors.primary } })
+        .catch(() => {});
+
+      this.renderPreview(adapter, response.data, tab);
+    } catch (error) {
+      console.error('Adapter test failed:', error);
+      this.showErrors([`Test failed: ${error.message}`]);
+      document.getElementById('testPreview').hidden = true;
+    } finally {
+      testBtn.disabled = false;
+    }
+  }
+
+  renderPreview(adapter, pageData, tab) {
+    const columns = Object.keys(FIELD_INPUTS).filter(field => adapter.fields[field]);
+    const items = pageData.elements.slice(0, PREVIEW_LIMIT);
+
+    document.getElementById('testSummary').textContent =
+      `${pageData.matched} item(s) matched on "${tab.title || tab.url}"` +
+      (pageData.matched > items.length ? `, showing the first ${items.length}` : '');
+
+    const header = `<tr><th>#</th>${columns.length > 0
+      ? columns.map(field => `<th>${field}</th>`).join('')
+      : '<th>text</th>'}</tr>`;
+
+    const rows = items.map(item => {
+      const cells = columns.length > 0
+        ? columns.map(field => {
+          const value = item.fields?.[field];
+          return value
+            ? `<td>${this.escapeHtml(value)}</td>`
+            : '<td class="missing">not found</td>';
+        }).join('')
+        : `<td>${this.escapeHtml(item.text.replace(/\s+/g, ' ').substring(0, 200))}</td>`;
+      return `<tr><td>${item.index + 1}</td>${cells}</tr>`;
+    }).join('');
+
+    document.getElementById('previewTable').innerHTML = header + rows;
+    document.getElementById('testPreview').hidden = false;
+  }
+
+  // Show a short-lived notification
+  showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => notification.remove(), 3000);
+  }
+
+  // Utility functions
+  escapeHtml(unsafe) {
+    return String(unsafe)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsManager();
+});
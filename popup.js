@@ -1,23 +1,61 @@
 // popup.js - UI logic for the Smart Web Scraper extension
 
+import { EXPORT_FORMATS, serializeResults, exportFilename } from './lib/exporters.js';
+import { diffResults } from './lib/result-diff.js';
+import { tableResult, describeTable } from './lib/tables.js';
+
 class PopupManager {
   constructor() {
     this.isLoading = false;
     this.currentResults = null;
+    this.currentJobId = null;
+    this.lastQuery = null;
+    this.historyEntry = null;
+    this.historySearchTimer = null;
+    this.editingWatchId = null;
+    this.watches = [];
     this.settings = {
+      llmProvider: 'ollama-generate',
       gemmaEndpoint: 'http://localhost:11434/api/generate',
       gemmaModel: 'gemma3n:latest',
+      apiKey: '',
+      contextWindow: 8192,
       maxResults: 20,
-      enableCache: true
+      maxPages: 3,
+      compareConcurrency: 2,
+      enrichCount: 0,
+      enableCache: true,
+      domainConcurrency: 1,
+      domainDelayMs: 2000,
+      domainPolicies: {},
+      respectRobotsTxt: false
     };
     
-    this.loadingMessages = [
-      'Analyzing your query...',
-      'Determining target website...',
-      'Scraping web content...',
-      'Extracting data with Gemma 3...',
-      'Processing results...'
-    ];
+    // Icons for the progress stages reported by the background
+    this.stageIcons = {
+      started: '🚀',
+      analyzing: '🧠',
+      url_chosen: '🎯',
+      queued: '⏳',
+      cache_hit: '📦',
+      tab_opened: '🌐',
+      page_loaded: '📄',
+      page_ready: '⏱️',
+      structured_data: '🧬',
+      list_detected: '🔎',
+      page_extracted: '📄',
+      items_extracted: '🛒',
+      llm_extracting: '🤖',
+      llm_tokens: '✍️',
+      llm_chunk: '🧩',
+      comparing: '⚖️',
+      site_compared: '🏷️',
+      site_failed: '⚠️',
+      llm_failed: '⚠️',
+      enriching: '🔬',
+      enriched: '🔬',
+      done: '✅'
+    };
     
     this.init();
   }
@@ -27,6 +65,7 @@ class PopupManager {
     console.log('🚀 Popup initialized');
     this.setupEventListeners();
     this.loadSettings();
+    this.showPendingResult();
     await this.updateStatus();
     this.setupKeyboardShortcuts();
   }
@@ -48,6 +87,55 @@ class PopupManager {
       });
     });
 
+    // Tabs
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
+    });
+
+    // History tab
+    document.getElementById('historySearch').addEventListener('input', () => {
+      clearTimeout(this.historySearchTimer);
+      this.historySearchTimer = setTimeout(() => this.loadHistory(), 200);
+    });
+    document.getElementById('historyStrategy').addEventListener('change', () => this.loadHistory());
+    document.getElementById('clearHistoryBtn').addEventListener('click', () => this.clearHistory());
+    document.getElementById('historyBackBtn').addEventListener('click', () => this.showHistoryList());
+    document.getElementById('historyRerunBtn').addEventListener('click', () => this.rerunHistoryEntry());
+    document.getElementById('historyDeleteBtn').addEventListener('click', () => this.deleteHistoryEntry());
+    document.getElementById('historyList').addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (item) this.showHistoryEntry(item.dataset.id);
+    });
+
+    // Watches tab
+    document.getElementById('newWatchBtn').addEventListener('click', () => this.showWatchForm());
+    document.getElementById('cancelWatchBtn').addEventListener('click', () => this.hideWatchForm());
+    document.getElementById('watchType').addEventListener('change', () => this.updateWatchTypeFields());
+    document.getElementById('watchForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveWatch();
+    });
+    document.getElementById('watchList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-watch-action]');
+      if (button) this.handleWatchAction(button.dataset.watchAction, button.closest('.watch-item').dataset.id);
+    });
+    document.getElementById('watchQueryBtn').addEventListener('click', () => {
+      this.switchTab('watches');
+      this.showWatchForm({ type: 'query', name: this.lastQuery, query: this.lastQuery });
+    });
+
+    // Visual selection tool
+    document.getElementById('selectAreaBtn').addEventListener('click', () => this.startAreaSelection());
+    document.getElementById('compareBtn').addEventListener('click', () => this.handleSearch({ compare: true }));
+    document.getElementById('scrapePageBtn').addEventListener('click', () => this.scrapeCurrentPage());
+    document.getElementById('pageTablesBtn').addEventListener('click', () => this.scrapePageTables());
+
+    // Switch between the tables found on a page
+    document.getElementById('resultsContent').addEventListener('change', (e) => {
+      if (e.target.id === 'tablePicker') this.showTable(Number(e.target.value));
+    });
+    document.getElementById('saveRecipeBtn').addEventListener('click', () => this.saveSelectionRecipe());
+
     // Footer actions
     document.getElementById('clearCacheBtn').addEventListener('click', () => this.clearCache());
     document.getElementById('settingsBtn').addEventListener('click', () => this.showSettings());
@@ -55,6 +143,30 @@ class PopupManager {
     // Settings modal
     document.getElementById('closeSettings').addEventListener('click', () => this.hideSettings());
     document.getElementById('saveSettings').addEventListener('click', () => this.saveSettings());
+    document.getElementById('llmProvider').addEventListener('change', () => this.handleProviderChange());
+    document.getElementById('manageAdaptersBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    // Re-run the last query without using the cache
+    document.getElementById('refreshBtn').addEventListener('click', () => this.refreshResults());
+
+    // Export menu
+    this.renderExportMenu();
+    document.getElementById('exportBtn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleExportMenu();
+    });
+    document.addEventListener('click', (e) => {
+      if (!document.getElementById('exportMenu').contains(e.target)) this.toggleExportMenu(false);
+    });
+
+    // Open result links in a new tab
+    document.getElementById('resultsContent').addEventListener('click', (e) => {
+      const item = e.target.closest('.result-item, .compare-offer');
+      if (item?.dataset.link) this.openLink(item.dataset.link);
+    });
+
+    // Cancel the running query
+    document.getElementById('cancelQueryBtn').addEventListener('click', () => this.cancelQuery());
 
     // Modal background clicks
     document.getElementById('loadingModal').addEventListener('click', (e) => {
@@ -72,6 +184,7 @@ class PopupManager {
       if (e.key === 'Escape') {
         this.hideLoading();
         this.hideSettings();
+        this.toggleExportMenu(false);
       }
       
       // Ctrl/Cmd + Enter for search
@@ -94,20 +207,66 @@ class PopupManager {
 
   // Update settings UI
   updateSettingsUI() {
+    document.getElementById('llmProvider').value = this.settings.llmProvider;
     document.getElementById('gemmaEndpoint').value = this.settings.gemmaEndpoint;
     document.getElementById('gemmaModel').value = this.settings.gemmaModel;
+    document.getElementById('apiKey').value = this.settings.apiKey;
+    document.getElementById('contextWindow').value = this.settings.contextWindow;
     document.getElementById('maxResults').value = this.settings.maxResults;
+    document.getElementById('maxPages').value = this.settings.maxPages;
+    document.getElementById('compareConcurrency').value = this.settings.compareConcurrency;
+    document.getElementById('enrichCount').value = this.settings.enrichCount;
     document.getElementById('enableCache').checked = this.settings.enableCache;
+    document.getElementById('domainConcurrency').value = this.settings.domainConcurrency;
+    document.getElementById('domainDelayMs').value = this.settings.domainDelayMs;
+    document.getElementById('domainPolicies').value = Object.keys(this.settings.domainPolicies || {}).length > 0
+      ? JSON.stringify(this.settings.domainPolicies, null, 2)
+      : '';
+    document.getElementById('respectRobotsTxt').checked = this.settings.respectRobotsTxt;
+  }
+
+  // Swap in the new provider's default endpoint unless a custom one was entered
+  handleProviderChange() {
+    const providerSelect = document.getElementById('llmProvider');
+    const endpointInput = document.getElementById('gemmaEndpoint');
+    const defaultEndpoints = Array.from(providerSelect.options).map(option => option.dataset.endpoint);
+
+    if (!endpointInput.value.trim() || defaultEndpoints.includes(endpointInput.value.trim())) {
+      endpointInput.value = providerSelect.selectedOptions[0].dataset.endpoint;
+    }
+    endpointInput.placeholder = providerSelect.selectedOptions[0].dataset.endpoint;
   }
 
   // Save settings to storage
   async saveSettings() {
+    let domainPolicies;
+    try {
+      const raw = document.getElementById('domainPolicies').value.trim();
+      domainPolicies = raw ? JSON.parse(raw) : {};
+      if (typeof domainPolicies !== 'object' || Array.isArray(domainPolicies)) {
+        throw new Error('Expected an object keyed by host');
+      }
+    } catch (error) {
+      this.showNotification(`Per-site limits: ${error.message}`, 'error');
+      return;
+    }
+
     try {
       this.settings = {
+        llmProvider: document.getElementById('llmProvider').value,
         gemmaEndpoint: document.getElementById('gemmaEndpoint').value,
         gemmaModel: document.getElementById('gemmaModel').value,
+        apiKey: document.getElementById('apiKey').value.trim(),
+        contextWindow: parseInt(document.getElementById('contextWindow').value),
         maxResults: parseInt(document.getElementById('maxResults').value),
-        enableCache: document.getElementById('enableCache').checked
+        maxPages: parseInt(document.getElementById('maxPages').value),
+        compareConcurrency: parseInt(document.getElementById('compareConcurrency').value),
+        enrichCount: parseInt(document.getElementById('enrichCount').value),
+        enableCache: document.getElementById('enableCache').checked,
+        domainConcurrency: parseInt(document.getElementById('domainConcurrency').value),
+        domainDelayMs: parseInt(document.getElementById('domainDelayMs').value),
+        domainPolicies,
+        respectRobotsTxt: document.getElementById('respectRobotsTxt').checked
       };
       
       await chrome.storage.sync.set(this.settings);
@@ -153,8 +312,8 @@ class PopupManager {
     }
   }
 
-  // Handle search action
-  async handleSearch() {
+  // Handle search action; `options.bypassCache` forces a fresh scrape
+  async handleSearch(options = {}) {
     const query = document.getElementById('queryInput').value.trim();
     
     if (!query) {
@@ -162,6 +321,81 @@ class PopupManager {
       return;
     }
 
+    console.log(`${options.compare ? '⚖️ Comparing' : '🔍 Searching for'}: "${query}"`);
+    this.runAndShowResults({
+      action: options.compare ? 'compareQuery' : 'scrapeQuery',
+      query: query,
+      bypassCache: Boolean(options.bypassCache)
+    }, query);
+  }
+
+  // Scrape the page open in the active tab, without searching
+  async scrapeCurrentPage() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      this.showNotification('Open a web page to scrape it', 'error');
+      return;
+    }
+
+    try {
+      // Makes sure the content script is there on pages opened before the extension
+      await this.sendToContentScript(tab.id, { action: 'getPageInfo' });
+    } catch (error) {
+      console.error('Failed to reach the page:', error);
+      this.showNotification('Cannot scrape this page', 'error');
+      return;
+    }
+
+    console.log(`📄 Scraping current page: ${tab.url}`);
+    this.runAndShowResults({
+      action: 'scrapePage',
+      tabId: tab.id,
+      useLLM: document.getElementById('pageUseLlm').checked
+    }, null);
+  }
+
+  // Read the tables and definition lists on the active tab's page, showing the largest
+  async scrapePageTables() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      this.showNotification('Open a web page to read its tables', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendToContentScript(tab.id, { action: 'extractTables' });
+      if (!response?.success) throw new Error(response?.error || 'No answer from the page');
+      if (response.data.length === 0) {
+        this.showNotification('No tables found on this page', 'warning');
+        return;
+      }
+
+      console.log(`📋 Found ${response.data.length} tables on ${tab.url}`);
+      this.lastQuery = null;
+      this.currentResults = tableResult(response.data[0], { url: tab.url, pageTitle: tab.title, tables: response.data });
+      document.getElementById('queryInput').value = '';
+      this.displayResults(this.currentResults);
+      this.saveLastResults();
+    } catch (error) {
+      console.error('Failed to read tables:', error);
+      this.showNotification('Cannot read tables on this page', 'error');
+    }
+  }
+
+  // Show another of the page's tables
+  showTable(index) {
+    const { tables, url, pageTitle } = this.currentResults || {};
+    if (!tables?.[index]) return;
+
+    this.currentResults = tableResult(tables[index], { url, pageTitle, tables });
+    this.currentResults.tableIndex = index;
+    this.displayResults(this.currentResults);
+    this.saveLastResults();
+  }
+
+  // Run a search or page scrape with the progress panel open, then show its results.
+  // `query` is what Refresh and Watch reuse (null for the current page).
+  async runAndShowResults(message, query) {
     if (this.isLoading) {
       return;
     }
@@ -170,31 +404,127 @@ class PopupManager {
       this.setLoading(true);
       this.showLoading();
       
-      console.log(`🔍 Searching for: "${query}"`);
-      
-      const response = await chrome.runtime.sendMessage({
-        action: 'scrapeQuery',
-        query: query
-      });
+      const data = await this.runQuery(message);
 
-      if (response.success) {
-        this.currentResults = response.data;
-        this.displayResults(response.data);
-        this.showNotification(`Found ${response.data.total_results || 0} results`, 'success');
+      this.lastQuery = query;
+      this.currentResults = data;
+      this.displayResults(data);
+      this.saveLastResults();
+      this.showNotification(`Found ${data.total_results || 0} results`, 'success');
+    } catch (error) {
+      if (error.outcome === 'cancelled') {
+        this.showError('Search cancelled', '🛑');
+        this.showNotification('Search cancelled', 'info');
       } else {
-        throw new Error(response.error || 'Search failed');
+        console.error('Search error:', error);
+        this.showError(error.message);
+        this.showNotification(error.outcome === 'timeout' ? 'Search timed out.' : 'Search failed. Please try again.', 'error');
       }
-    } catch (error) {
-      console.error('Search error:', error);
-      this.showError(error.message);
-      this.showNotification('Search failed. Please try again.', 'error');
     } finally {
+      this.currentJobId = null;
       this.setLoading(false);
       this.hideLoading();
       this.updateStatus();
     }
   }
 
+  // Run a query over a long-lived port so progress events arrive while it runs
+  runQuery(message) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'scrapeProgress' });
+      let settled = false;
+
+      port.onMessage.addListener((response) => {
+        if (response.type === 'progress') {
+          this.handleProgress(response.event);
+          return;
+        }
+
+        settled = true;
+        port.disconnect();
+
+        if (response.type === 'result') {
+          resolve(response.data);
+        } else {
+          const error = new Error(response.error || 'Search failed');
+          error.outcome = response.outcome;
+          reject(error);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          settled = true;
+          reject(new Error('Lost connection to the background service'));
+        }
+      });
+
+      port.postMessage(message);
+    });
+  }
+
+  // Scrape the last query again, skipping the cached result
+  refreshResults() {
+    if (!this.lastQuery) return;
+    document.getElementById('queryInput').value = this.lastQuery;
+    this.handleSearch({ bypassCache: true, compare: this.currentResults?.source === 'compare' });
+  }
+
+  // Ask the background to cancel the running query
+  async cancelQuery() {
+    if (!this.currentJobId) return;
+
+    const cancelBtn = document.getElementById('cancelQueryBtn');
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = 'Cancelling...';
+
+    try {
+      await chrome.runtime.sendMessage({ action: 'cancelQuery', jobId: this.currentJobId });
+    } catch (error) {
+      console.warn('Failed to cancel query:', error);
+    }
+  }
+
+  // Render a progress event in the loading timeline, and show partial results early
+  handleProgress(event) {
+    this.currentJobId = event.jobId || this.currentJobId;
+
+    const loadingText = document.getElementById('loadingText');
+    const timeline = document.getElementById('progressTimeline');
+    loadingText.textContent = event.message;
+
+    // Streaming updates replace each other instead of growing the timeline
+    const lastEntry = timeline.lastElementChild;
+    const entry = lastEntry?.dataset.stage === event.stage && event.stage === 'llm_tokens'
+      ? lastEntry
+      : document.createElement('li');
+
+    entry.dataset.stage = event.stage;
+    entry.innerHTML = `
+      <span class="timeline-icon">${this.stageIcons[event.stage] || '•'}</span>
+      <span class="timeline-message">${this.escapeHtml(event.message)}</span>
+      <span class="timeline-time">${this.formatElapsed(event.timestamp - this.loadingStartedAt)}</span>
+    `;
+    if (event.stage === 'llm_tokens' && event.detail.preview) {
+      entry.title = event.detail.preview;
+    }
+
+    if (entry !== lastEntry) {
+      timeline.appendChild(entry);
+    }
+    timeline.scrollTop = timeline.scrollHeight;
+
+    if (event.stage === 'items_extracted' && event.detail.count > 0) {
+      this.displayResults({
+        extracted_data: event.detail.items,
+        total_results: event.detail.count,
+        strategy: event.detail.strategy,
+        source: 'partial',
+        timestamp: event.timestamp
+      });
+    }
+  }
+
   // Set loading state
   setLoading(loading) {
     this.isLoading = loading;
@@ -209,29 +539,23 @@ class PopupManager {
     }
   }
 
-  // Show loading modal with rotating messages
+  // Show loading modal with an empty progress timeline
   showLoading() {
     const modal = document.getElementById('loadingModal');
-    const loadingText = document.getElementById('loadingText');
     
     modal.classList.add('show');
-    
-    let messageIndex = 0;
-    loadingText.textContent = this.loadingMessages[messageIndex];
-    
-    this.loadingInterval = setInterval(() => {
-      messageIndex = (messageIndex + 1) % this.loadingMessages.length;
-      loadingText.textContent = this.loadingMessages[messageIndex];
-    }, 2000);
+    document.getElementById('loadingText').textContent = 'Starting...';
+    document.getElementById('progressTimeline').innerHTML = '';
+    this.loadingStartedAt = Date.now();
+
+    const cancelBtn = document.getElementById('cancelQueryBtn');
+    cancelBtn.disabled = false;
+    cancelBtn.textContent = 'Cancel';
   }
 
   // Hide loading modal
   hideLoading() {
     document.getElementById('loadingModal').classList.remove('show');
-    if (this.loadingInterval) {
-      clearInterval(this.loadingInterval);
-      this.loadingInterval = null;
-    }
   }
 
   // Display search results
@@ -240,7 +564,18 @@ class PopupManager {
     const resultsMeta = document.getElementById('resultsMeta');
     
     // Update meta information
-    resultsMeta.textContent = `${data.total_results || 0} results • ${data.source || 'unknown'} • ${this.formatTimestamp(data.timestamp)}`;
+    const pages = data.pages_visited > 1 ? ` • ${data.pages_visited} pages` : '';
+    const enriched = data.enrichment?.enriched ? ` • ${data.enrichment.enriched} with details` : '';
+    const parts = data.chunks?.total > 1 ? ` • ${data.chunks.read}/${data.chunks.total} page parts read` : '';
+    resultsMeta.textContent = `${data.total_results || 0} results${pages}${enriched}${parts} • ${data.source || 'unknown'} • ${this.formatTimestamp(data.timestamp)}`;
+    this.renderCacheMeta(resultsMeta, data.cache);
+    this.renderValidationMeta(resultsMeta, data.validation);
+    this.renderConstraintsMeta(resultsMeta, data.constraints);
+    document.getElementById('refreshBtn').hidden = !this.lastQuery || data.source === 'partial';
+    document.getElementById('exportMenu').hidden = data.source === 'partial' || !data.extracted_data?.length;
+    document.getElementById('watchQueryBtn').hidden = !this.lastQuery || data.source === 'partial';
+    document.getElementById('saveRecipeBtn').hidden = data.source !== 'selection';
+    this.toggleExportMenu(false);
     
     if (!data.extracted_data || data.extracted_data.length === 0) {
       resultsContent.innerHTML = `
@@ -253,17 +588,28 @@ class PopupManager {
       return;
     }
 
+    if (data.comparison) {
+      resultsContent.innerHTML = this.renderComparison(data);
+      return;
+    }
+
+    if (data.grid) {
+      resultsContent.innerHTML = this.renderGrid(data);
+      return;
+    }
+
     // Generate result items HTML
     const resultsHTML = data.extracted_data.slice(0, this.settings.maxResults).map(item => {
       return `
-        <div class="result-item" onclick="window.open('${this.escapeHtml(item.link || '#')}', '_blank')">
+        <div class="result-item" data-link="${this.escapeHtml(item.link || '')}">
           <div class="result-title">${this.escapeHtml(item.title || 'No title')}</div>
-          ${item.price && item.price !== 'Price not found' ? `<div class="result-price">${this.escapeHtml(item.price)}</div>` : ''}
+          ${item.price && item.price !== 'Price not found' ? `<div class="result-price">${this.escapeHtml(String(item.price))}</div>` : ''}
           <div class="result-meta">
             <span class="result-source">${this.escapeHtml(data.strategy || 'general')}</span>
-            ${item.rating && item.rating !== 'No rating' ? `<span class="result-rating">${this.escapeHtml(item.rating)}</span>` : ''}
+            ${item.rating && item.rating !== 'No rating' ? `<span class="result-rating">${this.escapeHtml(String(item.rating))}</span>` : ''}
           </div>
           ${item.description ? `<div class="result-description">${this.escapeHtml(item.description)}</div>` : ''}
+          ${item.enriched ? this.renderItemDetails(item) : ''}
         </div>
       `;
     }).join('');
@@ -271,13 +617,692 @@ class PopupManager {
     resultsContent.innerHTML = resultsHTML;
   }
 
+  // Seller, availability, review count and the first few specs read from an item's own page
+  renderItemDetails(item) {
+    const chips = [
+      item.availability && `📦 ${item.availability}`,
+      item.seller && `🏪 ${item.seller}`,
+      item.review_count && `💬 ${item.review_count}`
+    ].filter(Boolean);
+    const specs = item.specs && typeof item.specs === 'object'
+      ? Object.entries(item.specs).slice(0, 4).map(([name, value]) => `${name}: ${value}`)
+      : item.specs ? [String(item.specs)] : [];
+
+    return `
+      <div class="result-details">
+        ${chips.map(chip => `<span class="result-detail">${this.escapeHtml(String(chip))}</span>`).join('')}
+        ${specs.length > 0 ? `<div class="result-specs">${this.escapeHtml(specs.join(' • '))}</div>` : ''}
+      </div>
+    `;
+  }
+
+  // Table results as a grid in the table's own column order; numeric columns are
+  // right-aligned and show their unit in the header. A picker switches between the
+  // tables found on the page.
+  renderGrid(data) {
+    const { columns, rows } = data.grid;
+    const picker = data.tables?.length > 1 ? `
+      <select id="tablePicker" class="table-picker">
+        ${data.tables.map((table, index) => `
+          <option value="${index}" ${index === (data.tableIndex || 0) ? 'selected' : ''}>${this.escapeHtml(describeTable(table, index))}</option>
+        `).join('')}
+      </select>
+    ` : '';
+    const numeric = (index) => columns[index].numeric ? ' class="is-numeric"' : '';
+
+    return `
+      ${picker}
+      ${data.caption ? `<div class="grid-caption">${this.escapeHtml(data.caption)}</div>` : ''}
+      <div class="grid-scroll">
+        <table class="result-grid">
+          <thead>
+            <tr>${columns.map((column, index) => `<th${numeric(index)}>${this.escapeHtml(column.name)}${column.unit ? ` <small>(${this.escapeHtml(column.unit)})</small>` : ''}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `<tr>${row.map((value, index) => `<td${numeric(index)}>${this.escapeHtml(typeof value === 'number' ? value.toLocaleString() : value)}</td>`).join('')}</tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // Comparison table: one row per product with its lowest price, then a row per site
+  // offering it. Sites that could not be searched are listed above the table.
+  renderComparison(data) {
+    const failed = (data.sites || []).filter(site => site.error);
+    const failedHTML = failed.length > 0
+      ? `<div class="compare-failed">⚠️ Not searched: ${failed.map(site => `${this.escapeHtml(site.label)} (${this.escapeHtml(site.error)})`).join(', ')}</div>`
+      : '';
+
+    const rowsHTML = data.comparison.slice(0, this.settings.maxResults).map(group => `
+      <tbody class="compare-group">
+        <tr class="compare-product">
+          <th scope="rowgroup">${this.escapeHtml(group.title)}</th>
+          <td class="compare-lowest">${group.lowest ? this.escapeHtml(String(group.lowest.price)) : '—'}</td>
+          <td>${group.siteCount} ${group.siteCount === 1 ? 'site' : 'sites'}</td>
+        </tr>
+        ${group.offers.map(offer => `
+          <tr class="compare-offer${offer.site === group.lowest?.site ? ' is-lowest' : ''}" data-link="${this.escapeHtml(offer.link || '')}">
+            <td title="${this.escapeHtml(offer.title)}">${this.escapeHtml(offer.title)}</td>
+            <td>${offer.price ? this.escapeHtml(String(offer.price)) : '—'}</td>
+            <td class="compare-site">${this.escapeHtml(offer.site_label || offer.site)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    `).join('');
+
+    return `
+      ${failedHTML}
+      <table class="compare-table">
+        <thead>
+          <tr><th>Product</th><th>Price</th><th>Source</th></tr>
+        </thead>
+        ${rowsHTML}
+      </table>
+    `;
+  }
+
+  // Show the Search or History tab
+  switchTab(tab) {
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    document.getElementById('searchPanel').hidden = tab !== 'search';
+    document.getElementById('historyPanel').hidden = tab !== 'history';
+    document.getElementById('watchesPanel').hidden = tab !== 'watches';
+
+    if (tab === 'history') {
+      this.showHistoryList();
+    } else if (tab === 'watches') {
+      this.hideWatchForm();
+    }
+  }
+
+  // Fetch history entries matching the search box and type filter
+  async loadHistory() {
+    const filters = {
+      search: document.getElementById('historySearch').value.trim(),
+      strategy: document.getElementById('historyStrategy').value
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getHistory', filters });
+      if (!response.success) throw new Error(response.error);
+
+      this.renderHistoryList(response.data, filters);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      document.getElementById('historyList').innerHTML = '<li class="empty-state"><p>Could not load history</p></li>';
+    }
+  }
+
+  renderHistoryList(entries, filters) {
+    // Offer each strategy seen so far as a filter, keeping the current choice
+    const strategySelect = document.getElementById('historyStrategy');
+    const strategies = new Set([...strategySelect.options].map(option => option.value).filter(Boolean));
+    entries.forEach(entry => entry.strategy && strategies.add(entry.strategy));
+    strategySelect.innerHTML = '<option value="">All types</option>' + [...strategies].sort()
+      .map(strategy => `<option value="${this.escapeHtml(strategy)}">${this.escapeHtml(strategy.replace(/_/g, ' '))}</option>`)
+      .join('');
+    strategySelect.value = filters.strategy;
+
+    const list = document.getElementById('historyList');
+    if (entries.length === 0) {
+      list.innerHTML = `
+        <li class="empty-state">
+          <div class="empty-icon">🕘</div>
+          <p>${filters.search || filters.strategy ? 'No matching searches' : 'No searches yet'}</p>
+        </li>
+      `;
+      return;
+    }
+
+    list.innerHTML = entries.map(entry => `
+      <li class="history-item" data-id="${this.escapeHtml(entry.id)}">
+        <div class="history-query">${this.escapeHtml(entry.query)}</div>
+        <div class="history-item-meta">
+          ${entry.total_results} results • ${this.escapeHtml(entry.website || entry.strategy || 'web')} • ${this.formatTimestamp(entry.timestamp)}
+        </div>
+      </li>
+    `).join('');
+  }
+
+  showHistoryList() {
+    this.historyEntry = null;
+    document.getElementById('historyBrowser').hidden = false;
+    document.getElementById('historyDetail').hidden = true;
+    this.loadHistory();
+  }
+
+  // Show one history entry and what changed since the previous run of the same query
+  async showHistoryEntry(id) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getHistoryEntry', id });
+      if (!response.success) throw new Error(response.error);
+
+      const { entry, previous } = response.data;
+      this.historyEntry = entry;
+
+      document.getElementById('historyBrowser').hidden = true;
+      document.getElementById('historyDetail').hidden = false;
+      document.getElementById('historyDetailTitle').textContent = entry.query;
+      document.getElementById('historyDetailMeta').textContent =
+        `${entry.total_results} results • ${entry.source || 'unknown'} • ${new Date(entry.timestamp).toLocaleString()}`;
+
+      this.renderHistoryDiff(entry, previous);
+    } catch (error) {
+      console.error('Failed to load history entry:', error);
+      this.showNotification('Could not open history entry', 'error');
+    }
+  }
+
+  renderHistoryDiff(entry, previous) {
+    const container = document.getElementById('historyDiff');
+
+    if (!previous) {
+      container.innerHTML = `
+        <div class="diff-summary">First run of this query - nothing to compare yet.</div>
+        <div class="diff-section">
+          ${entry.items.map(item => this.renderDiffItem(item, 'unchanged')).join('')}
+        </div>
+      `;
+      return;
+    }
+
+    const diff = diffResults(previous.items, entry.items);
+    const sections = [
+      ['added', `🆕 New (${diff.added.length})`, diff.added.map(item => this.renderDiffItem(item, 'added'))],
+      ['changed', `🔄 Changed (${diff.changed.length})`, diff.changed.map(change => this.renderDiffItem(change.item, 'changed', change.changes))],
+      ['removed', `🗑️ Removed (${diff.removed.length})`, diff.removed.map(item => this.renderDiffItem(item, 'removed'))]
+    ].filter(([, , items]) => items.length > 0);
+
+    container.innerHTML = `
+      <div class="diff-summary">
+        Compared with ${this.formatTimestamp(previous.timestamp)} (${new Date(previous.timestamp).toLocaleString()}):
+        ${diff.added.length} new • ${diff.removed.length} removed • ${diff.changed.length} changed • ${diff.unchanged} unchanged
+      </div>
+      ${sections.length > 0
+        ? sections.map(([, title, items]) => `<div class="diff-section"><h5>${title}</h5>${items.join('')}</div>`).join('')
+        : '<div class="diff-summary">No differences.</div>'}
+    `;
+  }
+
+  renderDiffItem(item, type, changes = {}) {
+    const details = Object.entries(changes).map(([field, change]) => {
+      // Lower prices and higher ratings are improvements
+      const better = change.delta === null ? null : (field === 'price' ? change.delta < 0 : change.delta > 0);
+      const className = better === null ? '' : better ? ' better' : ' worse';
+      return `<span class="diff-change${className}">${field}: ${this.escapeHtml(String(change.from || '—'))} → ${this.escapeHtml(String(change.to || '—'))}</span>`;
+    }).join('');
+
+    const price = type !== 'changed' && item.price && item.price !== 'Price not found'
+      ? ` • ${this.escapeHtml(String(item.price))}`
+      : '';
+
+    return `
+      <div class="diff-item ${type}">
+        ${this.escapeHtml(item.title || 'No title')}${price}
+        ${details}
+      </div>
+    `;
+  }
+
+  // Run a history entry's query again, skipping the cache so the result can be diffed
+  rerunHistoryEntry() {
+    if (!this.historyEntry) return;
+
+    document.getElementById('queryInput').value = this.historyEntry.query;
+    this.switchTab('search');
+    this.handleSearch({ bypassCache: true, compare: this.historyEntry.source === 'compare' });
+  }
+
+  async deleteHistoryEntry() {
+    if (!this.historyEntry) return;
+
+    try {
+      await chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id: this.historyEntry.id });
+      this.showHistoryList();
+    } catch (error) {
+      console.error('Failed to delete history entry:', error);
+      this.showNotification('Failed to delete history entry', 'error');
+    }
+  }
+
+  async clearHistory() {
+    if (!confirm('Delete all search history?')) return;
+
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearHistory' });
+      this.showNotification('History cleared', 'success');
+      this.loadHistory();
+    } catch (error) {
+      console.error('Failed to clear history:', error);
+      this.showNotification('Failed to clear history', 'error');
+    }
+  }
+
+  // Fetch and render the scheduled watches
+  async loadWatches() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getWatches' });
+      if (!response.success) throw new Error(response.error);
+
+      this.watches = response.data;
+      this.renderWatchList();
+    } catch (error) {
+      console.error('Failed to load watches:', error);
+      document.getElementById('watchList').innerHTML = '<li class="empty-state"><p>Could not load watches</p></li>';
+    }
+  }
+
+  renderWatchList() {
+    const list = document.getElementById('watchList');
+    if (this.watches.length === 0) {
+      list.innerHTML = `
+        <li class="empty-state">
+          <div class="empty-icon">⏰</div>
+          <p>No watches yet</p>
+          <small>Watch a query to get notified about price drops and new items</small>
+        </li>
+      `;
+      return;
+    }
+
+    list.innerHTML = this.watches.map(watch => {
+      const lastRun = watch.lastRun;
+      const status = !lastRun
+        ? 'Not run yet'
+        : lastRun.status === 'completed'
+          ? `Last run ${this.formatTimestamp(lastRun.timestamp)} • ${lastRun.total_results} results • ${lastRun.matchCount} matching`
+          : `Last run ${this.formatTimestamp(lastRun.timestamp)} ${lastRun.status}: ${lastRun.error || 'unknown error'}`;
+
+      return `
+        <li class="watch-item${watch.enabled ? '' : ' paused'}" data-id="${this.escapeHtml(watch.id)}">
+          <div class="watch-item-header">
+            <span class="watch-name">${this.escapeHtml(watch.name)}</span>
+            <span class="watch-item-actions">
+              <button class="action-btn" data-watch-action="run" title="Run now">▶</button>
+              <button class="action-btn" data-watch-action="toggle" title="${watch.enabled ? 'Pause' : 'Resume'}">${watch.enabled ? '⏸' : '⏵'}</button>
+              <button class="action-btn" data-watch-action="edit" title="Edit">✎</button>
+              <button class="action-btn" data-watch-action="delete" title="Delete">✕</button>
+            </span>
+          </div>
+          <div class="watch-item-meta">
+            ${this.escapeHtml(watch.type === 'url' ? watch.url : watch.query)} • every ${this.formatInterval(watch.intervalMinutes)}${watch.enabled ? '' : ' (paused)'}
+          </div>
+          <div class="watch-item-meta${lastRun && lastRun.status !== 'completed' ? ' failed' : ''}">${this.escapeHtml(status)}</div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  async handleWatchAction(action, id) {
+    const watch = this.watches.find(w => w.id === id);
+    if (!watch) return;
+
+    try {
+      if (action === 'edit') {
+        this.showWatchForm(watch);
+        return;
+      }
+
+      if (action === 'delete') {
+        if (!confirm(`Delete the watch "${watch.name}"?`)) return;
+        await chrome.runtime.sendMessage({ action: 'deleteWatch', id });
+      } else if (action === 'toggle') {
+        await chrome.runtime.sendMessage({ action: 'setWatchEnabled', id, enabled: !watch.enabled });
+      } else if (action === 'run') {
+        this.showNotification(`Running "${watch.name}"...`, 'info');
+        const response = await chrome.runtime.sendMessage({ action: 'runWatchNow', id });
+        const run = response.data;
+        if (run) {
+          this.showNotification(run.status === 'completed'
+            ? `${run.total_results} results, ${run.matchKeys.length} matching`
+            : `Watch ${run.status}: ${run.error}`, run.status === 'completed' ? 'success' : 'error');
+        }
+      }
+      this.loadWatches();
+    } catch (error) {
+      console.error('Watch action failed:', error);
+      this.showNotification('Watch action failed', 'error');
+    }
+  }
+
+  // Show the watch form, empty or filled from an existing watch
+  showWatchForm(watch = {}) {
+    this.editingWatchId = watch.id || null;
+    const rules = Object.fromEntries((watch.rules || []).map(rule => [rule.type, rule]));
+
+    document.getElementById('watchFormTitle').textContent = watch.id ? 'Edit Watch' : 'New Watch';
+    document.getElementById('watchName').value = watch.name || '';
+    document.getElementById('watchType').value = watch.type || 'query';
+    document.getElementById('watchQuery').value = watch.query || '';
+    document.getElementById('watchUrl').value = watch.url || '';
+    document.getElementById('watchItemSelector').value = watch.selectors?.primary || '';
+    document.getElementById('watchPriceSelector').value = watch.fields?.price || '';
+    document.getElementById('watchInterval').value = String(watch.intervalMinutes || 60);
+    document.getElementById('rulePriceBelow').checked = Boolean(rules.price_below);
+    document.getElementById('rulePriceBelowValue').value = rules.price_below?.value ?? '';
+    document.getElementById('ruleRatingAbove').checked = Boolean(rules.rating_above);
+    document.getElementById('ruleRatingAboveValue').value = rules.rating_above?.value ?? '';
+    document.getElementById('ruleNewItem').checked = Boolean(rules.new_item);
+    document.getElementById('watchErrors').innerHTML = '';
+
+    this.updateWatchTypeFields();
+    document.getElementById('watchBrowser').hidden = true;
+    document.getElementById('watchForm').hidden = false;
+  }
+
+  hideWatchForm() {
+    this.editingWatchId = null;
+    document.getElementById('watchForm').hidden = true;
+    document.getElementById('watchBrowser').hidden = false;
+    this.loadWatches();
+  }
+
+  updateWatchTypeFields() {
+    const type = document.getElementById('watchType').value;
+    document.getElementById('watchQueryGroup').hidden = type !== 'query';
+    document.getElementById('watchUrlGroup').hidden = type !== 'url';
+  }
+
+  // Build a watch from the form
+  readWatchForm() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const checked = (id) => document.getElementById(id).checked;
+
+    const rules = [];
+    if (checked('rulePriceBelow')) rules.push({ type: 'price_below', value: parseFloat(value('rulePriceBelowValue')) });
+    if (checked('ruleRatingAbove')) rules.push({ type: 'rating_above', value: parseFloat(value('ruleRatingAboveValue')) });
+    if (checked('ruleNewItem')) rules.push({ type: 'new_item' });
+
+    const watch = {
+      name: value('watchName') || value('watchQuery') || value('watchUrl'),
+      type: value('watchType'),
+      intervalMinutes: parseInt(value('watchInterval'), 10),
+      rules
+    };
+
+    if (watch.type === 'url') {
+      watch.url = value('watchUrl');
+      watch.selectors = { primary: value('watchItemSelector'), secondary: value('watchPriceSelector') };
+      watch.fields = value('watchPriceSelector') ? { price: value('watchPriceSelector') } : {};
+    } else {
+      watch.query = value('watchQuery');
+    }
+    if (this.editingWatchId) {
+      watch.id = this.editingWatchId;
+    }
+
+    return watch;
+  }
+
+  async saveWatch() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'saveWatch', watch: this.readWatchForm() });
+      if (!response.success) {
+        document.getElementById('watchErrors').innerHTML = response.error.split('; ')
+          .map(error => `<li>${this.escapeHtml(error)}</li>`)
+          .join('');
+        return;
+      }
+
+      this.showNotification(`Watching "${response.data.name}"`, 'success');
+      this.hideWatchForm();
+    } catch (error) {
+      console.error('Failed to save watch:', error);
+      this.showNotification('Failed to save watch', 'error');
+    }
+  }
+
+  formatInterval(minutes) {
+    if (minutes % 1440 === 0) return minutes === 1440 ? 'day' : `${minutes / 1440} days`;
+    if (minutes % 60 === 0) return minutes === 60 ? 'hour' : `${minutes / 60} hours`;
+    return `${minutes} min`;
+  }
+
+  // Open a result link in a new tab; only web links are followed
+  openLink(link) {
+    if (/^https?:\/\//i.test(link)) {
+      chrome.tabs.create({ url: link });
+    }
+  }
+
+  // Keep the last results for this browser session so they survive closing the popup
+  async saveLastResults() {
+    try {
+      await chrome.storage.session.set({ lastResults: { query: this.lastQuery, data: this.currentResults } });
+    } catch (error) {
+      console.warn('Failed to save last results:', error);
+    }
+  }
+
+  // Show the results from the previous popup session, if any
+  async restoreLastResults() {
+    try {
+      const { lastResults } = await chrome.storage.session.get('lastResults');
+      if (!lastResults?.data || this.currentResults) return;
+
+      this.lastQuery = lastResults.query;
+      this.currentResults = lastResults.data;
+      document.getElementById('queryInput').value = lastResults.query || '';
+      this.displayResults(lastResults.data);
+    } catch (error) {
+      console.warn('Failed to restore last results:', error);
+    }
+  }
+
+  // Show a result parked while the popup was closed (context menu or area selection),
+  // falling back to the last results
+  async showPendingResult() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getPendingResult' });
+      if (response?.success && response.data) {
+        const { query, data, remaining } = response.data;
+        this.lastQuery = query;
+        this.currentResults = data;
+        document.getElementById('queryInput').value = query || '';
+        this.displayResults(data);
+        this.saveLastResults();
+        if (remaining > 0) {
+          this.showNotification(`${remaining} more ${remaining === 1 ? 'result is' : 'results are'} waiting; reopen the popup to see the next`, 'info');
+        }
+        return;
+      }
+    } catch (error) {
+      console.warn('Failed to get pending result:', error);
+    }
+    this.restoreLastResults();
+  }
+
+  // Open the selection tool on the active tab; the popup closes so the page can be dragged over
+  async startAreaSelection() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      this.showNotification('Open a web page to select an area on it', 'error');
+      return;
+    }
+
+    try {
+      await this.sendToContentScript(tab.id, { action: 'injectSelectionTool' });
+      window.close();
+    } catch (error) {
+      console.error('Failed to start selection:', error);
+      this.showNotification('Cannot select on this page', 'error');
+    }
+  }
+
+  // Send a message to the tab's content script, injecting it first on pages that were
+  // open before the extension was installed
+  async sendToContentScript(tabId, message) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      const [{ js: files }] = chrome.runtime.getManifest().content_scripts;
+      await chrome.scripting.executeScript({ target: { tabId }, files });
+      return chrome.tabs.sendMessage(tabId, message);
+    }
+  }
+
+  // Save the selectors behind the current selection result as a custom site adapter
+  async saveSelectionRecipe() {
+    if (this.currentResults?.source !== 'selection') return;
+
+    let suggested = '';
+    try {
+      suggested = `${new URL(this.currentResults.url).hostname.replace(/^www\./, '')} list`;
+    } catch (error) {
+      // Keep the name empty
+    }
+    const name = prompt('Name for this recipe:', suggested);
+    if (name === null) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveSelectionRecipe',
+        name,
+        result: this.currentResults
+      });
+      if (!response.success) throw new Error(response.error);
+
+      this.showNotification(`Saved recipe "${response.data.label}" - edit it under Manage Site Adapters`, 'success');
+    } catch (error) {
+      console.error('Failed to save recipe:', error);
+      this.showNotification(`Could not save recipe: ${error.message}`, 'error');
+    }
+  }
+
+  // Build one row per export format with download and copy buttons
+  renderExportMenu() {
+    const dropdown = document.getElementById('exportDropdown');
+    dropdown.innerHTML = '';
+
+    Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+      const row = document.createElement('div');
+      row.className = 'export-option';
+      row.innerHTML = `
+        <span class="export-option-label">${this.escapeHtml(label)}</span>
+        <button class="action-btn" data-export="download" title="Download ${this.escapeHtml(label)}">⬇</button>
+        <button class="action-btn" data-export="copy" title="Copy ${this.escapeHtml(label)} to clipboard">📋</button>
+      `;
+      row.querySelector('[data-export="download"]').addEventListener('click', () => this.downloadResults(format));
+      row.querySelector('[data-export="copy"]').addEventListener('click', () => this.copyResults(format));
+      dropdown.appendChild(row);
+    });
+  }
+
+  toggleExportMenu(show) {
+    const dropdown = document.getElementById('exportDropdown');
+    dropdown.hidden = show === undefined ? !dropdown.hidden : !show;
+  }
+
+  // Serialize the current results, capped at the Max Results setting (tables export
+  // every row, as shown)
+  serializeCurrentResults(format) {
+    const maxResults = this.currentResults.grid ? 0 : this.settings.maxResults;
+    return serializeResults(this.currentResults, format, { maxResults });
+  }
+
+  // Save the current results as a file
+  downloadResults(format) {
+    if (!this.currentResults) return;
+
+    try {
+      const { mimeType, bom } = EXPORT_FORMATS[format];
+      const content = this.serializeCurrentResults(format);
+      const blob = new Blob([bom ? '\uFEFF' : '', content], { type: `${mimeType};charset=utf-8` });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exportFilename(this.currentResults, format, this.lastQuery);
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      this.toggleExportMenu(false);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showNotification('Export failed', 'error');
+    }
+  }
+
+  // Copy the current results to the clipboard
+  async copyResults(format) {
+    if (!this.currentResults) return;
+
+    try {
+      await navigator.clipboard.writeText(this.serializeCurrentResults(format));
+      this.toggleExportMenu(false);
+      this.showNotification(`Copied results as ${EXPORT_FORMATS[format].label}`, 'success');
+    } catch (error) {
+      console.error('Copy failed:', error);
+      this.showNotification('Could not copy to clipboard', 'error');
+    }
+  }
+
+  // Show when and where a cached result was scraped
+  renderCacheMeta(resultsMeta, cache) {
+    if (!cache?.hit) return;
+
+    let source = '';
+    try {
+      source = cache.sourceUrl ? ` from ${new URL(cache.sourceUrl).hostname}` : '';
+    } catch (error) {
+      // Not a valid URL, leave the source out
+    }
+
+    const badge = document.createElement('span');
+    badge.className = 'results-cache';
+    badge.textContent = ` • 📦 cached ${this.formatTimestamp(cache.cachedAt)}${source}`;
+    badge.title = `Cached ${new Date(cache.cachedAt).toLocaleString()}${cache.sourceUrl ? `\n${cache.sourceUrl}` : ''}\nExpires ${new Date(cache.expiresAt).toLocaleTimeString()}`;
+    resultsMeta.appendChild(badge);
+  }
+
+  // Append schema validation problems reported by the background to the meta line
+  renderValidationMeta(resultsMeta, validation) {
+    const issues = [];
+    let failedAttempts = 0;
+
+    Object.entries(validation || {}).forEach(([stage, record]) => {
+      (record?.failures || []).forEach(failure => {
+        failedAttempts++;
+        failure.errors.forEach(error => issues.push(`${stage}${failure.part ? ` part ${failure.part}` : ''} (attempt ${failure.attempt}): ${error}`));
+      });
+    });
+
+    if (failedAttempts === 0) return;
+
+    const failed = Object.values(validation).some(record => record && !record.valid);
+    const warning = document.createElement('span');
+    warning.className = `results-validation${failed ? ' failed' : ''}`;
+    warning.textContent = failed
+      ? ` • ⚠️ invalid Gemma JSON after ${failedAttempts} ${failedAttempts === 1 ? 'attempt' : 'attempts'}`
+      : ` • ⚠️ ${failedAttempts} schema ${failedAttempts === 1 ? 'retry' : 'retries'}`;
+    warning.title = issues.join('\n');
+    resultsMeta.appendChild(warning);
+  }
+
+  // Show the filters and sort order taken from the query
+  renderConstraintsMeta(resultsMeta, constraints) {
+    if (!constraints?.applied?.length) return;
+
+    const filters = document.createElement('span');
+    filters.className = 'results-filters';
+    filters.textContent = ` • 🎚️ ${constraints.applied.join(', ')}`;
+    filters.title = constraints.removed > 0
+      ? `${constraints.removed} ${constraints.removed === 1 ? 'result' : 'results'} outside these filters removed`
+      : 'All results matched these filters';
+    resultsMeta.appendChild(filters);
+  }
+
   // Show error message
-  showError(message) {
+  showError(message, icon = '❌') {
     const resultsContent = document.getElementById('resultsContent');
+    document.getElementById('exportMenu').hidden = true;
     resultsContent.innerHTML = `
       <div class="empty-state">
-        <div class="empty-icon">❌</div>
-        <p>Error occurred</p>
+        <div class="empty-icon">${icon}</div>
+        <p>${icon === '❌' ? 'Error occurred' : 'Stopped'}</p>
         <small>${this.escapeHtml(message)}</small>
       </div>
     `;
@@ -361,6 +1386,10 @@ class PopupManager {
       .replace(/'/g, "&#039;");
   }
 
+  formatElapsed(ms) {
+    return `${(Math.max(ms, 0) / 1000).toFixed(1)}s`;
+  }
+
   formatTimestamp(timestamp) {
     if (!timestamp) return 'unknown time';
     const date = new Date(timestamp);
@@ -385,9 +1414,4 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     window.popupManager?.updateStatus();
   }
   return true;
-});
-
-// Export for testing
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { PopupManager };
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+// test/chunking.test.mjs - Splitting page text for the context window and merging the parts' items
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkBudget, chunkPage, chunkText, estimateTokens, htmlToText, mergeChunkItems, MAX_CHUNKS } from '../lib/chunking.js';
+
+// `count` blocks of `size` characters, blank-line separated
+function blocks(count, size) {
+  return Array.from({ length: count }, (_, index) => String(index % 10).repeat(size)).join('\n\n');
+}
+
+test('chunkBudget leaves room for the prompt, the answer and estimation error', () => {
+  assert.equal(estimateTokens('x'.repeat(401)), 101);
+  assert.equal(chunkBudget(8192, 'x'.repeat(4000), 2048), 7372 - 1000 - 2048);
+  assert.equal(chunkBudget(2048, 'x'.repeat(4000), 2048), 256);
+});
+
+test('chunkText keeps blocks whole and parts within the budget', () => {
+  const chunks = chunkText(blocks(5, 150), 100);
+
+  assert.equal(chunks.length, 3);
+  assert.ok(chunks.every(chunk => chunk.length <= 400));
+  assert.deepEqual(chunks[0].split('\n\n'), ['0'.repeat(150), '1'.repeat(150)]);
+  assert.equal(chunks.join('\n\n'), blocks(5, 150));
+});
+
+test('chunkText splits oversized blocks by lines, then long lines by characters', () => {
+  const block = ['a'.repeat(30), 'b'.repeat(30), 'c'.repeat(90)].join('\n');
+  const chunks = chunkText(block, 10);
+
+  assert.deepEqual(chunks, ['a'.repeat(30), 'b'.repeat(30), 'c'.repeat(40), 'c'.repeat(40), 'c'.repeat(10)]);
+  assert.deepEqual(chunkText(' \n\n\n ', 10), []);
+});
+
+test('chunkPage sends at most MAX_CHUNKS parts and counts the rest', () => {
+  const text = blocks(MAX_CHUNKS + 3, 390);
+  const { parts, total } = chunkPage(text, 100);
+
+  assert.equal(total, MAX_CHUNKS + 3);
+  assert.equal(parts.length, MAX_CHUNKS);
+  assert.deepEqual(parts, chunkText(text, 100).slice(0, MAX_CHUNKS));
+  assert.deepEqual(chunkPage(text, 100, 2).parts.length, 2);
+  assert.deepEqual(chunkPage('', 100), { parts: [], total: 0 });
+});
+
+test('htmlToText drops markup and decodes entities', () => {
+  const text = htmlToText('<head><title>x</title></head><script>var a = 1;</script><!-- ad --><div><h2>Kettle &amp; Toaster</h2><p>Price:&nbsp;&#8377;1,299<br>In stock</p></div><table><tr><td>A</td><td>B</td></tr></table>');
+
+  assert.equal(text, 'Kettle & Toaster\n\nPrice: ₹1,299\nIn stock\n\n| A | B');
+});
+
+test('mergeChunkItems keeps page order and names the part each item came from', () => {
+  const merged = mergeChunkItems([
+    { chunk: 1, items: [{ title: 'Toaster', price: '₹2,499' }] },
+    { chunk: 0, items: [{ title: 'Kettle', price: '₹1,299' }, { title: 'not found' }, null] }
+  ]);
+
+  assert.deepEqual(merged, [
+    { title: 'Kettle', price: '₹1,299', source_chunk: 1 },
+    { title: 'Toaster', price: '₹2,499', source_chunk: 2 }
+  ]);
+});
+
+test('mergeChunkItems keeps an item repeated across parts once and fills its missing fields', () => {
+  const merged = mergeChunkItems([
+    { chunk: 0, items: [{ title: 'Electric  Kettle', price: '₹1,299', rating: 'N/A', link: '' }] },
+    { chunk: 1, items: [{ title: 'electric kettle', price: '₹1,299', rating: '4.2', link: 'https://a.in/p/1' }] },
+    { chunk: 2, items: [{ title: 'Electric Kettle', price: '₹999' }] }
+  ]);
+
+  assert.deepEqual(merged, [
+    { title: 'Electric  Kettle', price: '₹1,299', rating: '4.2', link: 'https://a.in/p/1', source_chunk: 1 },
+    { title: 'Electric Kettle', price: '₹999', source_chunk: 3 }
+  ]);
+});
@@ -0,0 +1,106 @@
+// test/compare.test.mjs - Matching the same product across retailers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupOffers, titleSimilarity, titleTokens, flattenGroups, MATCH_THRESHOLD } from '../lib/compare.js';
+
+// Items as lib/constraints.js normalizes them
+function item(title, price, site = {}) {
+  const value = price === null ? null : Number(String(price).replace(/[^\d.]/g, ''));
+  return { title, price: price === null ? 'Price not found' : price, price_value: value, currency: value === null ? null : 'INR', link: site.link || null };
+}
+
+test('titleTokens drops stopwords and punctuation and joins units to their numbers', () => {
+  assert.deepEqual(titleTokens('Samsung Galaxy M34 5G (Midnight Blue, 6 GB, 128GB Storage) - with Free Cover'),
+    ['samsung', 'galaxy', 'm34', '5g', 'midnight', 'blue', '6gb', '128gb', 'storage', 'cover']);
+});
+
+test('a short title matches the long listing title of the same product', () => {
+  const score = titleSimilarity('Samsung Galaxy M34 5G', 'Samsung Galaxy M34 5G (Midnight Blue, 6GB, 128GB Storage)');
+
+  assert.equal(score, 1);
+  assert.ok(titleSimilarity('Redmi 13 5G Orchid Pink 128 GB', 'Xiaomi Redmi 13 5G (Orchid Pink, 8GB RAM, 128GB)') >= MATCH_THRESHOLD);
+});
+
+test('different model numbers and variant words do not match', () => {
+  // 4 of 5 words shared, but only 2 of the 3 model tokens
+  assert.equal(titleSimilarity('Samsung Galaxy M34 5G 128GB', 'Samsung Galaxy M14 5G 128GB'), (4 / 5) * (2 / 3));
+  assert.ok(titleSimilarity('Samsung Galaxy M34 5G 128GB', 'Samsung Galaxy M14 5G 128GB') < MATCH_THRESHOLD);
+  assert.equal(titleSimilarity('Apple iPhone 15 (128 GB) Black', 'Apple iPhone 15 Plus (128 GB) Black'), 0);
+  assert.equal(titleSimilarity('Apple iPhone 15 Pro Max', 'Apple iPhone 15 Max Pro 256GB'), 1);
+});
+
+test('single-word titles never match', () => {
+  assert.equal(titleSimilarity('Kettle', 'Kettle'), 0);
+  assert.equal(titleSimilarity('', 'Samsung Galaxy M34'), 0);
+});
+
+test('groupOffers groups matching titles across sites, most sites first, then cheapest', () => {
+  const groups = groupOffers([
+    { site: 'amazon', label: 'Amazon India', items: [
+      item('Samsung Galaxy M34 5G (Midnight Blue, 6GB, 128GB Storage)', '₹16,999'),
+      item('Redmi 13 5G (Orchid Pink, 8GB, 128GB)', '₹13,999')
+    ] },
+    { site: 'flipkart', label: 'Flipkart', items: [
+      item('Samsung Galaxy M34 5G (Midnight Blue, 128 GB)', '₹15,999'),
+      item('POCO M6 Pro 5G (Power Black, 128 GB)', '₹10,999')
+    ] }
+  ]);
+
+  assert.deepEqual(groups.map(group => [group.title, group.siteCount]), [
+    ['Samsung Galaxy M34 5G (Midnight Blue, 128 GB)', 2],
+    ['POCO M6 Pro 5G (Power Black, 128 GB)', 1],
+    ['Redmi 13 5G (Orchid Pink, 8GB, 128GB)', 1]
+  ]);
+  assert.deepEqual(groups[0].offers.map(offer => offer.site), ['flipkart', 'amazon']);
+  assert.equal(groups[0].lowest.site, 'flipkart');
+  assert.equal(groups[0].lowest.site_label, 'Flipkart');
+});
+
+test('a group takes one offer per site', () => {
+  const groups = groupOffers([
+    { site: 'amazon', label: 'Amazon India', items: [
+      item('Samsung Galaxy M34 5G 128GB', '₹16,999'),
+      item('Samsung Galaxy M34 5G 128GB (Renewed)', '₹12,499')
+    ] }
+  ]);
+
+  assert.equal(groups.length, 2);
+  assert.ok(groups.every(group => group.siteCount === 1));
+});
+
+test('the threshold decides how close titles must be', () => {
+  const sources = [
+    { site: 'amazon', label: 'Amazon India', items: [item('Prestige Electric Kettle Steel Body', '₹1,299')] },
+    { site: 'flipkart', label: 'Flipkart', items: [item('Prestige Electric Kettle Glass Jar', '₹1,199')] }
+  ];
+
+  assert.equal(titleSimilarity('Prestige Electric Kettle Steel Body', 'Prestige Electric Kettle Glass Jar'), 0.6);
+  assert.equal(groupOffers(sources).length, 1);
+  assert.equal(groupOffers(sources, 0.7).length, 2);
+});
+
+test('unpriced offers and offers in another currency are never the lowest', () => {
+  const [group] = groupOffers([
+    { site: 'amazon', label: 'Amazon India', items: [item('Sony WH-1000XM5 Headphones', '₹26,990')] },
+    { site: 'flipkart', label: 'Flipkart', items: [item('Sony WH-1000XM5 Headphones Black', null)] },
+    { site: 'shopping', label: 'Google Shopping', items: [{ ...item('Sony WH-1000XM5 Headphones', '$329'), currency: 'USD' }] }
+  ]);
+
+  assert.equal(group.siteCount, 3);
+  assert.equal(group.lowest.site, 'amazon');
+  assert.equal(group.offers[group.offers.length - 1].site, 'flipkart');
+});
+
+test('flattenGroups numbers the groups and marks the lowest offer', () => {
+  const rows = flattenGroups(groupOffers([
+    { site: 'amazon', label: 'Amazon India', items: [item('Samsung Galaxy M34 5G', '₹16,999')] },
+    { site: 'flipkart', label: 'Flipkart', items: [item('Samsung Galaxy M34 5G', '₹15,999'), item('POCO M6 Pro 5G', '₹10,999')] }
+  ]));
+
+  assert.deepEqual(rows.map(row => [row.product_group, row.site, row.lowest_price]), [
+    [1, 'flipkart', true],
+    [1, 'amazon', false],
+    [2, 'flipkart', true]
+  ]);
+});
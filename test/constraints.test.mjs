@@ -0,0 +1,135 @@
+// test/constraints.test.mjs - Query constraints and the price/rating parsers behind them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConstraints, mergeConstraints, applyConstraints, describeConstraints, hasConstraints } from '../lib/constraints.js';
+import { parseNumber, parsePrice, parseRating, parseCurrency } from '../lib/values.js';
+
+test('parseNumber reads comma, lakh, space and European grouping', () => {
+  assert.equal(parseNumber('₹79,990'), 79990);
+  assert.equal(parseNumber('₹1,23,456.50'), 123456.5);
+  assert.equal(parseNumber('1 299 000'), 1299000);
+  assert.equal(parseNumber('1.299.000'), 1299000);
+  assert.equal(parseNumber('1.299,00 €'), 1299);
+  assert.equal(parseNumber('12,5'), 12.5);
+  assert.equal(parseNumber(42), 42);
+  assert.equal(parseNumber('Price not found'), null);
+  assert.equal(parseNumber(null), null);
+});
+
+test('parseNumber keeps separate numbers apart and prefers the one next to a currency', () => {
+  assert.equal(parseNumber('₹79,990 ₹89,990'), 79990);
+  assert.equal(parseNumber('79,990 89,990'), 79990);
+  assert.equal(parseNumber('2 items from ₹499'), 499);
+  assert.equal(parseNumber('Pack of 3 - 1,499 INR'), 1499);
+});
+
+test('parsePrice, parseRating and parseCurrency', () => {
+  assert.equal(parsePrice('Rs. 629'), 629);
+  assert.equal(parsePrice('$1,049.99'), 1049.99);
+  assert.equal(parseRating('4.5 out of 5 stars'), 4.5);
+  assert.equal(parseRating('4.2★'), 4.2);
+  assert.equal(parseRating('2,134 ratings'), null);
+  assert.equal(parseCurrency('₹79,990'), 'INR');
+  assert.equal(parseCurrency('Rs. 629'), 'INR');
+  assert.equal(parseCurrency('under 500 dollars'), 'USD');
+  assert.equal(parseCurrency('1.299,00 €'), 'EUR');
+  assert.equal(parseCurrency('79990'), null);
+});
+
+test('"under ₹X" sets a price ceiling in rupees', () => {
+  const constraints = parseConstraints('gaming laptop under ₹80,000');
+
+  assert.equal(constraints.maxPrice, 80000);
+  assert.equal(constraints.minPrice, null);
+  assert.equal(constraints.currency, 'INR');
+  assert.equal(constraints.searchText, 'gaming laptop');
+});
+
+test('price ceilings and floors in words, k and lakh', () => {
+  assert.equal(parseConstraints('phone under 25000').maxPrice, 25000);
+  assert.equal(parseConstraints('laptop below 80k').maxPrice, 80000);
+  assert.equal(parseConstraints('tv within 1.5 lakh').maxPrice, 150000);
+  assert.equal(parseConstraints('headphones above 2,000 rupees').minPrice, 2000);
+  assert.equal(parseConstraints('shoes under 100 dollars').currency, 'USD');
+});
+
+test('price ranges give both bounds in order', () => {
+  const constraints = parseConstraints('phone between 30,000 and 20,000');
+
+  assert.equal(constraints.minPrice, 20000);
+  assert.equal(constraints.maxPrice, 30000);
+  assert.equal(parseConstraints('tablet from ₹15k to ₹25k').maxPrice, 25000);
+});
+
+test('numbers with units are not prices', () => {
+  const constraints = parseConstraints('phone with 8 gb ram under 16 gb');
+
+  assert.equal(constraints.maxPrice, null);
+  assert.equal(parseConstraints('tv under 55 inch').maxPrice, null);
+});
+
+test('minimum ratings: "4+ stars", "rated 4.2 and above", "at least 4.5 stars"', () => {
+  assert.equal(parseConstraints('earbuds 4+ stars').minRating, 4);
+  assert.equal(parseConstraints('earbuds rated 4.2 and above').minRating, 4.2);
+  assert.equal(parseConstraints('earbuds at least 4.5 stars').minRating, 4.5);
+  assert.equal(parseConstraints('earbuds rated 7 and above').minRating, null);
+});
+
+test('brands and sort orders', () => {
+  const constraints = parseConstraints('cheapest samsung phone 4 stars and above under 20000');
+
+  assert.equal(constraints.brand, 'Samsung');
+  assert.equal(constraints.sort, 'price_asc');
+  assert.equal(constraints.minRating, 4);
+  assert.equal(constraints.maxPrice, 20000);
+  assert.equal(parseConstraints("levi's jeans").brand, "Levi's");
+  assert.equal(parseConstraints('best rated headphones').sort, 'rating_desc');
+  assert.equal(parseConstraints('gaming laptop').brand, null);
+  assert.equal(hasConstraints(parseConstraints('gaming laptop')), false);
+});
+
+test('mergeConstraints only fills what the rules left empty', () => {
+  const merged = mergeConstraints(parseConstraints('phone under 20000'), {
+    max_price: 30000, min_rating: 4, brand: 'Samsung', currency: 'inr'
+  });
+
+  assert.equal(merged.maxPrice, 20000);
+  assert.equal(merged.minRating, 4);
+  assert.equal(merged.brand, 'Samsung');
+  assert.equal(merged.currency, 'INR');
+  assert.equal(mergeConstraints(parseConstraints('phone'), { min_rating: 9 }).minRating, null);
+});
+
+test('applyConstraints filters and sorts, keeping items it cannot judge', () => {
+  const items = [
+    { title: 'Samsung Galaxy M34', price: '₹16,999', rating: '4.1 out of 5 stars' },
+    { title: 'Samsung Galaxy S24', price: '₹79,999', rating: '4.5 out of 5 stars' },
+    { title: 'Samsung Galaxy A15', price: 'Price not found', rating: '3.9 out of 5 stars' },
+    { title: 'Samsung Galaxy F15', price: '$199', rating: 'No rating' },
+    { title: 'Redmi 13 5G', price: '₹13,999', rating: '4.0 out of 5 stars' }
+  ];
+  const { items: kept, removed, sort } = applyConstraints(items, parseConstraints('samsung phone under ₹20,000 rated 4 and above'));
+
+  assert.deepEqual(kept.map(item => item.title), ['Samsung Galaxy M34', 'Samsung Galaxy F15']);
+  assert.equal(removed, 3);
+  assert.equal(sort, 'price_asc');
+  assert.equal(kept[0].price_value, 16999);
+  assert.equal(kept[0].currency, 'INR');
+  assert.equal(kept[0].rating_value, 4.1);
+});
+
+test('applyConstraints without constraints only normalizes', () => {
+  const { items, removed, sort } = applyConstraints([{ title: 'Kettle', price: 'Rs. 1,299', rating: '4.2' }], parseConstraints('kettle'));
+
+  assert.deepEqual(items, [{ title: 'Kettle', price: 'Rs. 1,299', rating: '4.2', price_value: 1299, currency: 'INR', rating_value: 4.2 }]);
+  assert.equal(removed, 0);
+  assert.equal(sort, null);
+});
+
+test('describeConstraints labels the applied filters', () => {
+  assert.deepEqual(describeConstraints(parseConstraints('samsung phone under ₹80,000 4+ stars')),
+    ['≤ ₹80,000', '★ 4+', 'Samsung']);
+  assert.deepEqual(describeConstraints(parseConstraints('laptop between 50000 and 1.5 lakh'), 'price_asc'),
+    ['50,000–1,50,000', 'cheapest first']);
+});
@@ -0,0 +1,118 @@
+// test/exporters.test.mjs - CSV, JSON, NDJSON and Markdown serialization
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, toJson, toNdjson, toMarkdown, serializeResults, exportFilename } from '../lib/exporters.js';
+
+const TIMESTAMP = Date.UTC(2025, 0, 1, 18, 30);
+
+function results(items, extra = {}) {
+  return { url: 'https://www.amazon.in/s?k=kettle', strategy: 'product_list', source: 'gemma_extraction', timestamp: TIMESTAMP, extracted_data: items, ...extra };
+}
+
+// CSV records after the header row
+function csvRows(csv) {
+  return csv.trimEnd().split('\r\n').slice(1);
+}
+
+test('CSV puts known columns first, then other fields, then the result metadata', () => {
+  const csv = toCsv(results([{ warranty: '1 year', link: 'https://a.in/1', price: '₹999', title: 'Kettle' }]));
+
+  assert.equal(csv.split('\r\n')[0], 'title,price,link,warranty,url,strategy,source,timestamp');
+  assert.equal(csvRows(csv)[0], 'Kettle,₹999,https://a.in/1,1 year,https://www.amazon.in/s?k=kettle,product_list,gemma_extraction,2025-01-01T18:30:00.000Z');
+  assert.ok(csv.endsWith('\r\n'));
+});
+
+test('CSV quotes cells with commas, quotes, line breaks or outer spaces', () => {
+  const csv = toCsv(results([
+    { title: 'Kettle, 1.5 L', description: 'The "best" kettle' },
+    { title: 'Line\nbreak', description: ' padded ' }
+  ]));
+  const rows = csv.split('\r\n');
+
+  assert.ok(rows[1].startsWith('"Kettle, 1.5 L","The ""best"" kettle",'));
+  assert.ok(csv.includes('"Line\nbreak"," padded "'));
+});
+
+test('CSV writes objects as JSON and missing values as empty cells', () => {
+  const csv = toCsv(results([{ title: 'Kettle', specs: { capacity: '1.5 L' } }, { title: 'Toaster' }]));
+  const [first, second] = csvRows(csv);
+
+  assert.ok(first.startsWith('Kettle,"{""capacity"":""1.5 L""}",'));
+  assert.ok(second.startsWith('Toaster,,'));
+});
+
+test('CSV prefixes cells that start like a formula with a quote', () => {
+  const csv = toCsv(results([
+    { title: '=HYPERLINK("http://evil.example","Click")', price: '+91 98765', rating: '@SUM(A1)', description: '-cmd', link: '\tpadded' }
+  ]));
+  const [row] = csvRows(csv);
+
+  assert.ok(row.startsWith(`"'=HYPERLINK(""http://evil.example"",""Click"")",'+91 98765,'@SUM(A1),'\tpadded,'-cmd,`), row);
+});
+
+test('CSV leaves numbers alone, including negative ones', () => {
+  const csv = toCsv(results([{ title: 'Kettle', price: '-12.5', price_value: -12.5, rating_value: 4 }]));
+  const [row] = csvRows(csv);
+
+  assert.ok(row.startsWith('Kettle,-12.5,-12.5,4,'), row);
+});
+
+test('maxResults caps the exported items', () => {
+  const items = [{ title: 'A' }, { title: 'B' }, { title: 'C' }];
+
+  assert.equal(csvRows(toCsv(results(items), { maxResults: 2 })).length, 2);
+  assert.equal(JSON.parse(toJson(results(items), { maxResults: 2 })).total_results, 2);
+  assert.equal(toNdjson(results(items), { maxResults: 1 }).split('\n').filter(Boolean).length, 1);
+});
+
+test('JSON keeps the items as they are under the result metadata', () => {
+  const json = JSON.parse(toJson(results([{ title: 'Kettle', price_value: 999 }])));
+
+  assert.deepEqual(json, {
+    url: 'https://www.amazon.in/s?k=kettle',
+    strategy: 'product_list',
+    source: 'gemma_extraction',
+    timestamp: '2025-01-01T18:30:00.000Z',
+    total_results: 1,
+    extracted_data: [{ title: 'Kettle', price_value: 999 }]
+  });
+});
+
+test('NDJSON writes one object per line with the metadata merged in', () => {
+  const lines = toNdjson(results([{ title: 'Kettle\nElectric' }, { title: 'Toaster', url: 'https://a.in/toaster' }])).split('\n');
+
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], '');
+  assert.deepEqual(JSON.parse(lines[0]), {
+    url: 'https://www.amazon.in/s?k=kettle', strategy: 'product_list', source: 'gemma_extraction', timestamp: '2025-01-01T18:30:00.000Z', title: 'Kettle\nElectric'
+  });
+  // An item's own url wins over the page URL
+  assert.equal(JSON.parse(lines[1]).url, 'https://a.in/toaster');
+});
+
+test('Markdown escapes pipes and backslashes and turns line breaks into <br>', () => {
+  const markdown = toMarkdown(results([{ title: 'A | B', description: 'C:\\temp\r\n  next line' }]));
+  const lines = markdown.split('\n');
+
+  assert.equal(lines[0], '**1 results** from <https://www.amazon.in/s?k=kettle> • product_list • gemma_extraction • 2025-01-01T18:30:00.000Z');
+  assert.equal(lines[2], '| title | description |');
+  assert.equal(lines[3], '| --- | --- |');
+  assert.equal(lines[4], '| A \\| B | C:\\\\temp<br>next line |');
+});
+
+test('Markdown without items is only the caption', () => {
+  assert.equal(toMarkdown({ extracted_data: [] }), '**0 results**\n');
+});
+
+test('serializeResults dispatches by format and rejects unknown ones', () => {
+  assert.equal(serializeResults(results([{ title: 'Kettle' }]), 'csv'), toCsv(results([{ title: 'Kettle' }])));
+  assert.throws(() => serializeResults(results([]), 'xml'), /Unknown export format: xml/);
+});
+
+test('exportFilename uses a slug of the query and the extension of the format', () => {
+  const name = exportFilename(results([]), 'markdown', 'Electric Kettle under ₹1,000!');
+
+  assert.match(name, /^scrape-electric-kettle-under-1-000-\d{8}-\d{4}\.md$/);
+  assert.match(exportFilename({}, 'ndjson'), /^scrape-results-\d{8}-\d{4}\.ndjson$/);
+});
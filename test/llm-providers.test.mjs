@@ -0,0 +1,245 @@
+// test/llm-providers.test.mjs - LLMClient against a mock HTTP server
+
+// The server records every request and answers from a queue of canned responses, so
+// each test checks the exact body a provider sends and how the client reads back
+// complete, streamed and rejected responses.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { LLMClient, LLMProviderError } from '../lib/llm-providers.js';
+import { SchemaValidationError } from '../lib/json-schema.js';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['website', 'url'],
+  properties: {
+    website: { type: 'string' },
+    url: { type: 'string' }
+  }
+};
+
+let server;
+let baseUrl;
+let requests = [];
+let responses = [];
+
+// Queue a response: { status, json } for a complete answer or { status, chunks } for a
+// stream written piece by piece
+function respond(...queued) {
+  responses.push(...queued);
+}
+
+before(async () => {
+  server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(raw) });
+      const { status = 200, json, chunks } = responses.shift() || { status: 500, json: { error: 'no response queued' } };
+
+      if (chunks) {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        for (const chunk of chunks) {
+          res.write(chunk);
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        res.end();
+      } else {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  responses = [];
+});
+
+function client(provider, options = {}) {
+  const paths = { 'ollama-generate': '/api/generate', 'ollama-chat': '/api/chat', openai: '/v1/chat/completions' };
+  return new LLMClient({ provider, endpoint: `${baseUrl}${paths[provider]}`, model: 'gemma3:4b', ...options });
+}
+
+test('ollama-generate sends prompt, system and options', async () => {
+  respond({ json: { response: 'Hello there', done: true } });
+
+  const text = await client('ollama-generate', { contextWindow: 8192 })
+    .complete('Say hello', { system: 'Be brief', maxTokens: 20 });
+
+  assert.equal(text, 'Hello there');
+  assert.equal(requests[0].path, '/api/generate');
+  assert.deepEqual(requests[0].body, {
+    model: 'gemma3:4b',
+    prompt: 'Say hello',
+    system: 'Be brief',
+    stream: false,
+    options: { temperature: 0.1, top_p: 0.9, num_predict: 20, num_ctx: 8192 }
+  });
+});
+
+test('ollama-chat sends messages and reads message.content', async () => {
+  respond({ json: { message: { role: 'assistant', content: 'Hi' }, done: true } });
+
+  const text = await client('ollama-chat').complete('Say hello', { system: 'Be brief' });
+
+  assert.equal(text, 'Hi');
+  assert.equal(requests[0].path, '/api/chat');
+  assert.deepEqual(requests[0].body, {
+    model: 'gemma3:4b',
+    messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Say hello' }],
+    stream: false,
+    options: { temperature: 0.1, top_p: 0.9, num_predict: 500 }
+  });
+});
+
+test('openai sends chat completion fields and the API key', async () => {
+  respond({ json: { choices: [{ message: { role: 'assistant', content: 'Hi' } }] } });
+
+  const text = await client('openai', { apiKey: 'secret' }).complete('Say hello');
+
+  assert.equal(text, 'Hi');
+  assert.equal(requests[0].path, '/v1/chat/completions');
+  assert.equal(requests[0].headers.authorization, 'Bearer secret');
+  assert.deepEqual(requests[0].body, {
+    model: 'gemma3:4b',
+    messages: [{ role: 'user', content: 'Say hello' }],
+    stream: false,
+    temperature: 0.1,
+    top_p: 0.9,
+    max_tokens: 500
+  });
+});
+
+test('format modes are sent the way each provider expects', async () => {
+  const schemaFormat = { mode: 'schema', schema: SCHEMA, name: 'analysis' };
+  respond({ json: { response: '{}' } }, { json: { message: { content: '{}' } } },
+    { json: { choices: [{ message: { content: '{}' } }] } }, { json: { choices: [{ message: { content: '{}' } }] } });
+
+  await client('ollama-generate').complete('p', { format: schemaFormat });
+  await client('ollama-chat').complete('p', { format: { mode: 'json' } });
+  await client('openai').complete('p', { format: schemaFormat });
+  await client('openai').complete('p', { format: { mode: 'json' } });
+
+  assert.deepEqual(requests[0].body.format, SCHEMA);
+  assert.equal(requests[1].body.format, 'json');
+  assert.deepEqual(requests[2].body.response_format, { type: 'json_schema', json_schema: { name: 'analysis', schema: SCHEMA } });
+  assert.deepEqual(requests[3].body.response_format, { type: 'json_object' });
+});
+
+test('a non-2xx answer raises LLMProviderError with the status', async () => {
+  respond({ status: 503, json: { error: 'loading model' } });
+
+  await assert.rejects(client('ollama-generate').complete('p'), (error) => {
+    assert.ok(error instanceof LLMProviderError);
+    assert.equal(error.status, 503);
+    return true;
+  });
+});
+
+test('ollama streams are read as NDJSON, including lines split across chunks', async () => {
+  respond({
+    chunks: [
+      '{"response":"Hel","done":false}\n{"respo',
+      'nse":"lo","done":false}\n',
+      '{"response":"","done":true}\n'
+    ]
+  });
+  const tokens = [];
+
+  const text = await client('ollama-generate').complete('Say hello', { onToken: (token, soFar) => tokens.push([token, soFar]) });
+
+  assert.equal(requests[0].body.stream, true);
+  assert.equal(text, 'Hello');
+  assert.deepEqual(tokens, [['Hel', 'Hel'], ['lo', 'Hello']]);
+});
+
+test('ollama-chat streams read message.content from each line', async () => {
+  respond({ chunks: ['{"message":{"content":"A"},"done":false}\n{"message":{"content":"B"},"done":true}'] });
+
+  const text = await client('ollama-chat').complete('p', { onToken: () => {} });
+
+  assert.equal(text, 'AB');
+});
+
+test('openai streams are read as server-sent events and stop at [DONE]', async () => {
+  const event = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+  respond({
+    chunks: [
+      ': keep-alive\n\n',
+      event('{"web'),
+      event('site":"amazon"}'),
+      'data: [DONE]\n\n',
+      event('ignored after DONE')
+    ]
+  });
+  const tokens = [];
+
+  const text = await client('openai').complete('p', { onToken: token => tokens.push(token) });
+
+  assert.equal(text, '{"website":"amazon"}');
+  assert.deepEqual(tokens, ['{"web', 'site":"amazon"}']);
+});
+
+test('completeJson uses the strongest format mode first', async () => {
+  respond({ json: { response: '{"website":"amazon","url":"https://www.amazon.in/s?k=phone"}' } });
+
+  const { value, validation } = await client('ollama-generate').completeJson('Analyze', { schema: SCHEMA, schemaName: 'analysis' });
+
+  assert.deepEqual(value, { website: 'amazon', url: 'https://www.amazon.in/s?k=phone' });
+  assert.deepEqual(validation, { valid: true, attempts: 1, format: 'schema', failures: [] });
+  assert.deepEqual(requests[0].body.format, SCHEMA);
+});
+
+test('completeJson steps down to the next format mode on a 400 without spending an attempt', async () => {
+  respond(
+    { status: 400, json: { error: { message: 'response_format json_schema not supported' } } },
+    { status: 400, json: { error: { message: 'response_format not supported' } } },
+    { json: { choices: [{ message: { content: 'Sure! {"website":"google","url":"https://www.google.com"}' } }] } }
+  );
+
+  const { value, validation } = await client('openai').completeJson('Analyze', { schema: SCHEMA, maxAttempts: 1 });
+
+  assert.equal(value.website, 'google');
+  assert.equal(validation.attempts, 1);
+  assert.equal(validation.format, 'none');
+  assert.equal(requests[0].body.response_format.type, 'json_schema');
+  assert.deepEqual(requests[1].body.response_format, { type: 'json_object' });
+  assert.equal(requests[2].body.response_format, undefined);
+});
+
+test('completeJson re-prompts with the validation errors and the previous answer', async () => {
+  respond(
+    { json: { response: '{"website":"amazon"}' } },
+    { json: { response: '{"website":"amazon","url":"https://www.amazon.in"}' } }
+  );
+
+  const { validation } = await client('ollama-generate').completeJson('Analyze the query', { schema: SCHEMA });
+
+  assert.equal(validation.attempts, 2);
+  assert.equal(validation.failures.length, 1);
+  assert.equal(requests[0].body.prompt, 'Analyze the query');
+
+  const retry = requests[1].body.prompt;
+  assert.ok(retry.startsWith('Analyze the query\n\nYour previous response was rejected'));
+  validation.failures[0].errors.forEach(error => assert.ok(retry.includes(`- ${error}`)));
+  assert.ok(retry.includes('Previous response:\n{"website":"amazon"}'));
+  assert.ok(retry.endsWith('Respond again with ONLY the corrected JSON object.'));
+  assert.deepEqual(requests[1].body.format, SCHEMA);
+});
+
+test('completeJson gives up with SchemaValidationError after maxAttempts', async () => {
+  respond({ json: { response: 'I cannot help with that' } }, { json: { response: 'Still no JSON' } });
+
+  await assert.rejects(client('ollama-generate').completeJson('p', { schema: SCHEMA, maxAttempts: 2 }), (error) => {
+    assert.ok(error instanceof SchemaValidationError);
+    assert.deepEqual(error.failures.map(failure => failure.attempt), [1, 2]);
+    return true;
+  });
+  assert.equal(requests.length, 2);
+});
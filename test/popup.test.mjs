@@ -0,0 +1,64 @@
+// test/popup.test.mjs - Popup rendering in jsdom
+
+// popup.js runs against popup.html in a jsdom window. Every chrome.* call resolves to
+// an empty object, so the popup starts without a background page to talk to.
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+// chrome.* stand-in: any property is another stand-in, any call resolves to {}
+function chromeStub() {
+  const stub = new Proxy(function () {}, {
+    get: (target, property) => property === 'then' ? undefined : stub,
+    apply: () => Promise.resolve({})
+  });
+  return stub;
+}
+
+let popup;
+let document;
+
+before(async () => {
+  const html = readFileSync(new URL('../popup.html', import.meta.url), 'utf8')
+    .replace(/<script\b[^>]*><\/script>/g, '');
+  const dom = new JSDOM(html, { url: 'chrome-extension://test/popup.html' });
+
+  document = dom.window.document;
+  Object.assign(globalThis, { window: dom.window, document, chrome: chromeStub() });
+  // The popup logs to the test process's stdout, which the test runner reads reports from
+  mock.method(console, 'log', () => {});
+  await import('../popup.js');
+  document.dispatchEvent(new dom.window.Event('DOMContentLoaded'));
+  popup = dom.window.popupManager;
+});
+
+function results(items, extra = {}) {
+  return { extracted_data: items, total_results: items.length, source: 'gemma_extraction', strategy: 'product_list', timestamp: Date.now(), ...extra };
+}
+
+test('numeric prices and ratings from Gemma are shown', () => {
+  popup.displayResults(results([{ title: 'Redmi 13 5G', price: 13999, rating: 4.2, link: 'https://www.amazon.in/dp/B0CQYJ4L6P' }]));
+
+  const item = document.querySelector('#resultsContent .result-item');
+  assert.equal(item.querySelector('.result-price').textContent, '13999');
+  assert.equal(item.querySelector('.result-rating').textContent, '4.2');
+});
+
+test('text prices are escaped', () => {
+  popup.displayResults(results([{ title: 'Kettle', price: '<b>₹1,299</b>', rating: 'No rating' }]));
+
+  const item = document.querySelector('#resultsContent .result-item');
+  assert.equal(item.querySelector('.result-price').textContent, '<b>₹1,299</b>');
+  assert.equal(item.querySelector('.result-rating'), null);
+});
+
+test('comparison rows show numeric offer prices', () => {
+  const offer = { site: 'amazon', site_label: 'Amazon India', title: 'Redmi 13 5G', price: 13999, price_value: 13999, link: 'https://www.amazon.in/dp/B0CQYJ4L6P' };
+  popup.displayResults(results([offer], {
+    comparison: [{ title: 'Redmi 13 5G', offers: [offer], lowest: offer, siteCount: 1 }]
+  }));
+
+  assert.equal(document.querySelector('.compare-lowest').textContent, '13999');
+  assert.equal(document.querySelector('.compare-offer td:nth-child(2)').textContent, '13999');
+});
@@ -0,0 +1,68 @@
+// test/result-diff.test.mjs - Item identity across runs and the diff between snapshots
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffResults, itemKey } from '../lib/result-diff.js';
+
+test('itemKey ignores query strings, fragments and case in links', () => {
+  assert.equal(
+    itemKey({ title: 'Kettle', link: 'https://www.Amazon.in/dp/B0C7BRQ1ZC?ref=sr_1_1&tag=x#reviews' }),
+    itemKey({ title: 'Electric kettle', link: 'https://www.amazon.in/dp/b0c7brq1zc' })
+  );
+  assert.equal(itemKey({ link: 'https://www.amazon.in/dp/B0C7BRQ1ZC?ref=sr_1_1' }), 'link:https://www.amazon.in/dp/b0c7brq1zc');
+});
+
+test('itemKey falls back to the normalized title without a usable link', () => {
+  assert.equal(itemKey({ title: '  Electric   Kettle ', link: '/dp/B0C7BRQ1ZC' }), 'title:electric kettle');
+  assert.equal(itemKey({ title: 'Electric Kettle' }), itemKey({ title: 'electric kettle' }));
+  assert.equal(itemKey(null), 'title:');
+});
+
+test('diffResults sorts items into added, removed, changed and unchanged', () => {
+  const previous = [
+    { title: 'Kettle', link: 'https://a.in/p/1?ref=a', price: '₹1,299', rating: '4.1' },
+    { title: 'Toaster', link: 'https://a.in/p/2', price: '₹2,499', rating: '4.0' },
+    { title: 'Mixer', link: 'https://a.in/p/3', price: '₹3,999' }
+  ];
+  const current = [
+    { title: 'Kettle', link: 'https://a.in/p/1?ref=b', price: '₹1,099', rating: '4.1' },
+    { title: 'Toaster', link: 'https://a.in/p/2', price: '₹2,499', rating: '4.0' },
+    { title: 'Air fryer', link: 'https://a.in/p/4', price: '₹5,999' }
+  ];
+  const diff = diffResults(previous, current);
+
+  assert.deepEqual(diff.added.map(item => item.title), ['Air fryer']);
+  assert.deepEqual(diff.removed.map(item => item.title), ['Mixer']);
+  assert.equal(diff.unchanged, 1);
+  assert.equal(diff.changed.length, 1);
+  assert.equal(diff.changed[0].item, current[0]);
+  assert.equal(diff.changed[0].previous, previous[0]);
+  assert.deepEqual(diff.changed[0].changes, { price: { from: '₹1,299', to: '₹1,099', delta: -200 } });
+});
+
+test('the same number written differently is not a change', () => {
+  const diff = diffResults(
+    [{ title: 'Kettle', price: '₹1,000', rating: '4.5 out of 5 stars' }],
+    [{ title: 'Kettle', price: '1000', rating: '4.5' }]
+  );
+
+  assert.deepEqual(diff.changed, []);
+  assert.equal(diff.unchanged, 1);
+});
+
+test('a price that cannot be read still shows as a change, without a delta', () => {
+  const diff = diffResults(
+    [{ title: 'Kettle', price: '₹1,299' }],
+    [{ title: 'Kettle', price: 'Currently unavailable' }]
+  );
+
+  assert.deepEqual(diff.changed[0].changes.price, { from: '₹1,299', to: 'Currently unavailable', delta: null });
+});
+
+test('duplicates of an item count once', () => {
+  const kettle = { title: 'Kettle', link: 'https://a.in/p/1', price: '₹1,299' };
+  const diff = diffResults([kettle, { ...kettle, price: '₹999' }], [kettle, { ...kettle, link: 'https://a.in/p/1?ref=sponsored' }]);
+
+  assert.deepEqual(diff, { added: [], removed: [], changed: [], unchanged: 1 });
+  assert.deepEqual(diffResults(), { added: [], removed: [], changed: [], unchanged: 0 });
+});
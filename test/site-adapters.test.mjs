@@ -0,0 +1,217 @@
+// test/site-adapters.test.mjs - Built-in adapters against fixture pages in their sites' markup
+
+// Each fixture in test/fixtures is a small hand-written page in the markup the adapter
+// of the same id targets (classes, attributes and nesting of the site's result list),
+// loaded at the URL the adapter opens for the fixture's query. extractPageContent is
+// the function injected into the tab, so it runs here unchanged against a jsdom
+// document instead of the page.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { BUILT_IN_ADAPTERS, SiteAdapterRegistry, extractPageContent, validateAdapter } from '../lib/site-adapters.js';
+
+// Query each fixture was made for and the first item expected
+const FIXTURES = {
+  amazon: {
+    query: 'phone',
+    matched: 2,
+    first: {
+      title: 'Samsung Galaxy M34 5G (Midnight Blue, 6GB, 128GB Storage)',
+      price: '₹16,999',
+      link: 'https://www.amazon.in/Samsung-Galaxy-Midnight-Storage-Without/dp/B0C7BRQ1ZC/ref=sr_1_1',
+      rating: '4.1 out of 5 stars',
+      description: 'FREE delivery Tue, 21 Oct'
+    }
+  },
+  flipkart: {
+    query: 'smart tv',
+    matched: 2,
+    first: {
+      title: 'Xiaomi X 108 cm (43 inch) Ultra HD (4K) LED Smart Google TV',
+      price: '₹24,999',
+      link: 'https://www.flipkart.com/mi-x-108-cm-43-inch-ultra-hd-4k-led-smart-google-tv/p/itm1c8a3d0e4c8b1?pid=TVSGZKHWY2ZGTZUG',
+      rating: '4.3',
+      description: 'Operating System: Google TV'
+    }
+  },
+  myntra: {
+    query: 'cotton kurta',
+    matched: 2,
+    first: {
+      title: 'Women Ethnic Motifs Printed Pure Cotton Kurta',
+      price: 'Rs. 629',
+      link: 'https://www.myntra.com/kurtas/anouk/anouk-women-ethnic-motifs-printed-pure-cotton-kurta/24689524/buy',
+      rating: '4.2',
+      description: 'Anouk'
+    }
+  },
+  shopping: {
+    query: 'ps5',
+    matched: 2,
+    first: {
+      title: 'Sony PlayStation 5 Slim Console',
+      price: '₹44,990',
+      link: 'https://shopping.google.com/shopping/product/1234567890',
+      rating: '4.7'
+    }
+  },
+  flights: {
+    query: 'Delhi to Goa',
+    matched: 2,
+    first: {
+      title: 'IndiGo',
+      price: '₹5,412',
+      link: 'https://www.google.com/travel/flights/booking?tfs=CBwQAhoe',
+      description: '2 hr 35 min'
+    }
+  },
+  tracking: {
+    query: '75123456789',
+    matched: 1,
+    first: {
+      title: 'Waybill 75123456789',
+      link: 'https://www.bluedart.com/tracking/75123456789',
+      description: 'Shipment delivered - Bengaluru'
+    }
+  },
+  zomato: {
+    query: 'cafes in bangalore',
+    matched: 2,
+    first: {
+      title: 'Third Wave Coffee',
+      price: '₹600 for two',
+      link: 'https://www.zomato.com/bangalore/third-wave-coffee-indiranagar',
+      rating: '4.3',
+      description: 'Cafe, Coffee, Desserts'
+    }
+  },
+  swiggy: {
+    query: 'biryani',
+    matched: 2,
+    first: {
+      title: 'Meghana Foods',
+      price: '₹500 for two',
+      link: 'https://www.swiggy.com/restaurants/meghana-foods-residency-road-bangalore-1234',
+      rating: '4.4',
+      description: 'Biryani, Andhra, South Indian'
+    }
+  },
+  google: {
+    query: 'capital of peru',
+    matched: 2,
+    first: {
+      title: 'Lima - Wikipedia',
+      link: 'https://en.wikipedia.org/wiki/Lima',
+      description: 'Lima is the capital and largest city of Peru.'
+    }
+  }
+};
+
+const registry = new SiteAdapterRegistry();
+
+// URL the adapter opens for the fixture's query; relative links resolve against it
+function fixtureUrl(id) {
+  return registry.buildUrl(registry.get(id), FIXTURES[id].query);
+}
+
+function loadFixture(id) {
+  const html = readFileSync(new URL(`./fixtures/${id}.html`, import.meta.url), 'utf8');
+  return new JSDOM(html, { url: fixtureUrl(id) });
+}
+
+test('every built-in adapter has a fixture', () => {
+  assert.deepEqual(BUILT_IN_ADAPTERS.map(adapter => adapter.id).sort(), Object.keys(FIXTURES).sort());
+});
+
+BUILT_IN_ADAPTERS.forEach(adapter => {
+  const expected = FIXTURES[adapter.id];
+  if (!expected) return;
+
+  test(`${adapter.id} adapter extracts its fixture page`, () => {
+    assert.deepEqual(validateAdapter(adapter), []);
+    assert.equal(registry.findByUrl(fixtureUrl(adapter.id))?.id, adapter.id);
+
+    const dom = loadFixture(adapter.id);
+
+    const result = extractPageContent(adapter, 20, dom.window.document);
+    assert.equal(result.error, undefined);
+    assert.equal(result.matched, expected.matched);
+    assert.equal(result.data.length, expected.matched);
+    assert.equal(result.url, fixtureUrl(adapter.id));
+    assert.ok(result.html.startsWith('<html'));
+
+    Object.entries(expected.first).forEach(([field, value]) => {
+      assert.equal(result.data[0][field], value, `${adapter.id} ${field}`);
+    });
+    result.data.forEach(item => assert.notEqual(item.title, 'No title'));
+  });
+});
+
+test('myntra price skips the struck-out price and reads undiscounted items', () => {
+  const myntra = BUILT_IN_ADAPTERS.find(adapter => adapter.id === 'myntra');
+  const result = extractPageContent(myntra, 20, loadFixture('myntra').window.document);
+
+  assert.deepEqual(result.data.map(item => item.price), ['Rs. 629', 'Rs. 549']);
+});
+
+test('custom recipes win URL lookups over built-in adapters for the same host', () => {
+  const withRecipes = new SiteAdapterRegistry();
+  const recipe = (id, url, host) => ({
+    id, label: id, url, hosts: [host], strategy: 'product_list', selectors: { primary: 'li.result' }
+  });
+  withRecipes.setCustomAdapters([
+    recipe('amazon-deals', 'https://www.amazon.in/deals', 'amazon.in'),
+    recipe('google-list', 'https://www.google.com/search?q=x', 'google.com')
+  ]);
+
+  assert.equal(withRecipes.findByUrl('https://www.amazon.in/s?k=phone').id, 'amazon-deals');
+  assert.equal(withRecipes.findByUrl('https://www.google.com/search?q=lima').id, 'google-list');
+  assert.equal(withRecipes.findByUrl('https://www.google.com/travel/flights?q=goa').id, 'flights');
+  assert.equal(withRecipes.findByUrl('https://www.flipkart.com/search?q=tv').id, 'flipkart');
+});
+
+test('maxResults limits the items but not the match count', () => {
+  const amazon = BUILT_IN_ADAPTERS.find(adapter => adapter.id === 'amazon');
+  const result = extractPageContent(amazon, 1, loadFixture('amazon').window.document);
+
+  assert.equal(result.matched, 2);
+  assert.equal(result.data.length, 1);
+});
+
+test('a root element limits extraction to that part of the page', () => {
+  const google = BUILT_IN_ADAPTERS.find(adapter => adapter.id === 'google');
+  const document = loadFixture('google').window.document;
+  const result = extractPageContent(google, 20, document.querySelectorAll('.g')[1]);
+
+  assert.equal(result.matched, 0);
+  assert.equal(result.url, fixtureUrl('google'));
+
+  const scoped = extractPageContent({ selectors: { primary: 'a' }, fields: { title: 'h3' } }, 20, document.querySelectorAll('.g')[1]);
+  assert.deepEqual(scoped.data.map(item => item.title), ['Lima | History, Population, Climate, & Facts | Britannica']);
+});
+
+test('XPath item selectors are evaluated as XPath', () => {
+  const dom = loadFixture('zomato');
+  globalThis.XPathResult = dom.window.XPathResult;
+  try {
+    const result = extractPageContent({
+      selectors: { primary: '//div[contains(concat(" ", normalize-space(@class), " "), " search-result ")]' },
+      fields: { title: 'h4', price: '.cost' }
+    }, 20, dom.window.document);
+
+    assert.equal(result.matched, 2);
+    assert.deepEqual(result.data.map(item => item.title), ['Third Wave Coffee', 'Dyu Art Cafe']);
+    assert.equal(result.data[1].price, '₹800 for two');
+  } finally {
+    delete globalThis.XPathResult;
+  }
+});
+
+test('an invalid selector gives no items instead of an error', () => {
+  const result = extractPageContent({ selectors: { primary: 'div[' }, fields: {} }, 20, loadFixture('amazon').window.document);
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.matched, 0);
+  assert.deepEqual(result.data, []);
+});
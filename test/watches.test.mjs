@@ -0,0 +1,87 @@
+// test/watches.test.mjs - Watch validation and rule evaluation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateWatch, validateWatch, MIN_WATCH_INTERVAL_MINUTES } from '../lib/watches.js';
+
+function watch(rules, extra = {}) {
+  return { name: 'Kettles', type: 'query', query: 'electric kettle', intervalMinutes: 60, rules, ...extra };
+}
+
+test('validateWatch accepts query and URL watches', () => {
+  assert.deepEqual(validateWatch(watch([{ type: 'price_below', value: 1500 }])), []);
+  assert.deepEqual(validateWatch(watch([{ type: 'new_item' }], {
+    type: 'url', url: 'https://www.amazon.in/s?k=kettle', selectors: { primary: '.s-result-item' }
+  })), []);
+});
+
+test('validateWatch lists every problem', () => {
+  assert.deepEqual(validateWatch({ name: ' ', type: 'url', url: 'ftp://a.in', intervalMinutes: 5, rules: [] }), [
+    'name is required',
+    'url must start with http:// or https://',
+    'an item selector is required',
+    `interval must be at least ${MIN_WATCH_INTERVAL_MINUTES} minutes`,
+    'add at least one rule'
+  ]);
+  assert.deepEqual(validateWatch(watch([{ type: 'price_below', value: '1500' }, { type: 'in_stock' }], { type: 'rss' })), [
+    'type must be "query" or "url"',
+    'Price below needs a number',
+    'unknown rule "in_stock"'
+  ]);
+  assert.deepEqual(validateWatch(watch([{ type: 'new_item' }], { query: '' })), ['query is required']);
+});
+
+test('price_below matches parsed prices under the value and skips unreadable ones', () => {
+  const items = [
+    { title: 'Kettle', price: '₹1,299' },
+    { title: 'Toaster', price: '₹2,499' },
+    { title: 'Mixer', price: 'Price not found' },
+    { title: 'Grinder' }
+  ];
+  const matches = evaluateWatch(watch([{ type: 'price_below', value: 1500 }]), items);
+
+  assert.deepEqual(matches.map(match => match.item.title), ['Kettle']);
+  assert.equal(matches[0].description, '₹1,299 (below 1500)');
+  assert.equal(matches[0].key, 'price_below:title:kettle');
+});
+
+test('rating_above matches ratings over the value', () => {
+  const matches = evaluateWatch(watch([{ type: 'rating_above', value: 4 }]), [
+    { title: 'Kettle', rating: '4.3 out of 5 stars' },
+    { title: 'Toaster', rating: '4.0' },
+    { title: 'Mixer', rating: 'No rating' }
+  ]);
+
+  assert.deepEqual(matches.map(match => match.description), ['Rated 4.3 out of 5 stars (above 4)']);
+});
+
+test('new_item does not fire on the first run', () => {
+  const items = [{ title: 'Kettle', link: 'https://a.in/p/1', price: '₹1,299' }];
+
+  assert.deepEqual(evaluateWatch(watch([{ type: 'new_item' }]), items), []);
+  assert.deepEqual(evaluateWatch(watch([{ type: 'new_item' }]), items, null), []);
+});
+
+test('new_item fires for items missing from the previous run', () => {
+  const previous = [{ title: 'Kettle', link: 'https://a.in/p/1?ref=a', price: '₹1,299' }];
+  const current = [
+    { title: 'Kettle', link: 'https://a.in/p/1?ref=b', price: '₹1,199' },
+    { title: 'Toaster', link: 'https://a.in/p/2', price: 'Price not found' }
+  ];
+  const matches = evaluateWatch(watch([{ type: 'new_item' }]), current, previous);
+
+  assert.deepEqual(matches.map(match => match.item.title), ['Toaster']);
+  assert.equal(matches[0].description, 'New: listed');
+  assert.equal(matches[0].key, 'new_item:link:https://a.in/p/2');
+  assert.equal(evaluateWatch(watch([{ type: 'new_item' }]), current, []).length, 2);
+});
+
+test('every rule is evaluated and unknown rules are skipped', () => {
+  const matches = evaluateWatch(watch([
+    { type: 'price_below', value: 1500 },
+    { type: 'in_stock' },
+    { type: 'rating_above', value: 4 }
+  ]), [{ title: 'Kettle', price: '₹1,299', rating: '4.3' }]);
+
+  assert.deepEqual(matches.map(match => match.key), ['price_below:title:kettle', 'rating_above:title:kettle']);
+});